@@ -12,6 +12,10 @@ const PORT = process.env.PORT || 5000;
 app.use(cors());
 app.use(express.json());
 
+// Generated images are stored here when S3 isn't configured
+const { LOCAL_STORAGE_PATH, LOCAL_STORAGE_ROUTE } = require('./services/imageStorageService');
+app.use(LOCAL_STORAGE_ROUTE, express.static(LOCAL_STORAGE_PATH));
+
 // MongoDB connection
 mongoose.connect(process.env.MONGO_URI, {
   useNewUrlParser: true,
@@ -21,6 +25,12 @@ mongoose.connect(process.env.MONGO_URI, {
 
 // Import services
 const aiProviderManager = require('./services/aiProviderManager');
+const generationQueue = require('./services/generationQueue');
+const moderationService = require('./services/moderationService');
+const imageOperationService = require('./services/imageOperationService');
+const tokenLedger = require('./services/tokenLedgerService');
+const tokenRewardService = require('./services/tokenRewardService');
+const promoCodeService = require('./services/promoCodeService');
 const notifications = require('./routes/notifications');
 
 // Initialize AI Provider Manager
@@ -29,7 +39,13 @@ const initializeAIProvider = async () => {
     const aiConfig = {
       provider: process.env.AI_PROVIDER || 'mock',
       timeout: parseInt(process.env.AI_TIMEOUT) || 30000,
-      retries: parseInt(process.env.AI_RETRIES) || 3,
+      retries: isNaN(parseInt(process.env.AI_RETRIES)) ? 3 : parseInt(process.env.AI_RETRIES),
+      retryBaseDelay: parseInt(process.env.AI_RETRY_BASE_DELAY) || 500,
+      retryMaxDelay: parseInt(process.env.AI_RETRY_MAX_DELAY) || 10000,
+      fallbackProviders: process.env.AI_FALLBACK_PROVIDERS ?
+        process.env.AI_FALLBACK_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean) : [],
+      circuitBreakerThreshold: parseInt(process.env.AI_CIRCUIT_BREAKER_THRESHOLD) || 3,
+      circuitBreakerCooldown: parseInt(process.env.AI_CIRCUIT_BREAKER_COOLDOWN) || 60000,
       
       // OpenAI Configuration
       openaiApiKey: process.env.OPENAI_API_KEY,
@@ -39,11 +55,29 @@ const initializeAIProvider = async () => {
       // Stability AI Configuration
       stabilityApiKey: process.env.STABILITY_API_KEY,
       stabilityModel: process.env.STABILITY_MODEL || 'stable-diffusion-xl-1024-v1-0',
+      stabilityBaseUrl: process.env.STABILITY_API_URL,
       
       // Custom Provider Configuration
       customProviderPath: process.env.CUSTOM_PROVIDER_PATH,
       customProviderConfig: process.env.CUSTOM_PROVIDER_CONFIG ? 
-        JSON.parse(process.env.CUSTOM_PROVIDER_CONFIG) : {}
+        JSON.parse(process.env.CUSTOM_PROVIDER_CONFIG) : {},
+
+      // Declarative HTTP providers (file or directory of .json/.yaml definitions)
+      providerDefinitionsPath: process.env.AI_PROVIDER_DEFINITIONS,
+
+      // USD cost tables per provider, overriding the built-in ones
+      providerCosts: process.env.AI_PROVIDER_COSTS ?
+        JSON.parse(process.env.AI_PROVIDER_COSTS) : {},
+
+      // Prompt Enhancement Configuration
+      textProvider: process.env.AI_TEXT_PROVIDER || 'mock',
+      openaiTextModel: process.env.OPENAI_TEXT_MODEL || 'gpt-4o-mini',
+      promptEnhancementTokenCost: isNaN(parseInt(process.env.PROMPT_ENHANCEMENT_TOKEN_COST)) ? 1 : parseInt(process.env.PROMPT_ENHANCEMENT_TOKEN_COST),
+      promptEnhancementMaxLength: parseInt(process.env.PROMPT_ENHANCEMENT_MAX_LENGTH) || 1000,
+      promptEnhancementCostUsd: isNaN(parseFloat(process.env.PROMPT_ENHANCEMENT_COST_USD)) ? undefined : parseFloat(process.env.PROMPT_ENHANCEMENT_COST_USD),
+      customTextProviderPath: process.env.CUSTOM_TEXT_PROVIDER_PATH,
+      customTextProviderConfig: process.env.CUSTOM_TEXT_PROVIDER_CONFIG ?
+        JSON.parse(process.env.CUSTOM_TEXT_PROVIDER_CONFIG) : {}
     };
 
     await aiProviderManager.initialize(aiConfig);
@@ -54,18 +88,82 @@ const initializeAIProvider = async () => {
   }
 };
 
-// Initialize AI Provider before starting server
-initializeAIProvider().then(() => {
+// Initialize content moderation
+const initializeModeration = async () => {
+  try {
+    await moderationService.initialize({
+      classifier: process.env.MODERATION_CLASSIFIER || 'local',
+      classifierPath: process.env.MODERATION_CLASSIFIER_PATH,
+      classifierConfig: process.env.MODERATION_CLASSIFIER_CONFIG ?
+        JSON.parse(process.env.MODERATION_CLASSIFIER_CONFIG) : {}
+    });
+    console.log('✅ Moderation service initialized successfully');
+  } catch (error) {
+    console.error('❌ Failed to initialize moderation service:', error);
+    // Continue with the local classifier
+  }
+};
+
+// Initialize post-processing operations
+const initializeImageOperations = async () => {
+  try {
+    await imageOperationService.initialize({
+      processor: process.env.IMAGE_PROCESSOR || 'local',
+      processorPath: process.env.IMAGE_PROCESSOR_PATH,
+      processorConfig: process.env.IMAGE_PROCESSOR_CONFIG ?
+        JSON.parse(process.env.IMAGE_PROCESSOR_CONFIG) : {},
+      pricing: process.env.IMAGE_OPERATION_PRICING ?
+        JSON.parse(process.env.IMAGE_OPERATION_PRICING) : {},
+      maxDimension: parseInt(process.env.IMAGE_OPERATION_MAX_DIMENSION) || 8192
+    });
+    console.log('✅ Image operation service initialized successfully');
+  } catch (error) {
+    console.error('❌ Failed to initialize image operation service:', error);
+    // Continue with the local processor
+  }
+};
+
+// Initialize AI Provider, moderation and image operations before starting server
+Promise.all([initializeAIProvider(), initializeModeration(), initializeImageOperations()]).then(() => {
   // Routes
   app.use('/api/auth', require('./routes/auth'));
   app.use('/api/profile', require('./routes/profile'));
   app.use('/api/tokens', require('./routes/tokens'));
   app.use('/api/payments', require('./routes/payments'));
   app.use('/api/images', require('./routes/images'));
+  app.use('/api/prompt-templates', require('./routes/promptTemplates'));
   app.use('/api/upload', require('./routes/upload'));
   app.use('/api/admin', require('./routes/admin'));
   app.use('/api/webhooks', require('./routes/webhooks'));
   app.use('/api/notifications', notifications);
+
+  // Start the image generation workers
+  generationQueue.start({
+    concurrency: parseInt(process.env.GENERATION_CONCURRENCY) || 2,
+    perUserConcurrency: parseInt(process.env.GENERATION_USER_CONCURRENCY) || 1,
+    leaseDuration: parseInt(process.env.GENERATION_LEASE_MS) || 60000,
+    heartbeatInterval: parseInt(process.env.GENERATION_HEARTBEAT_MS) || 15000
+  });
+
+  // Check balances against the token ledger and expire abandoned holds
+  tokenLedger.start({
+    reconcileInterval: parseInt(process.env.TOKEN_RECONCILE_INTERVAL_MS) || 60 * 60 * 1000,
+    holdTtl: parseInt(process.env.TOKEN_HOLD_TTL_MS) || 60 * 60 * 1000,
+    lotSweepInterval: parseInt(process.env.TOKEN_EXPIRY_INTERVAL_MS) || 60 * 60 * 1000,
+    expiryNoticeDays: parseInt(process.env.TOKEN_EXPIRY_NOTICE_DAYS) || 7
+  });
+
+  // Give back promo codes reserved by checkouts that were never paid
+  promoCodeService.startReservationSweep({
+    reservationTtl: parseInt(process.env.PROMO_RESERVATION_TTL_MS) || 24 * 60 * 60 * 1000,
+    sweepInterval: parseInt(process.env.PROMO_RESERVATION_SWEEP_MS) || 15 * 60 * 1000
+  });
+
+  // Token amounts of the rewards users can claim
+  tokenRewardService.initialize({
+    rewardTokens: process.env.TOKEN_REWARDS ?
+      JSON.parse(process.env.TOKEN_REWARDS) : {}
+  });
 });
 
 app.get('/', (req, res) => {
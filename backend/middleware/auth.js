@@ -23,4 +23,13 @@ const auth = async (req, res, next) => {
   }
 };
 
-module.exports = auth; 
\ No newline at end of file
+// EventSource cannot set headers, so event streams may pass the same JWT as ?token=
+const streamAuth = (req, res, next) => {
+  if (!req.header('Authorization') && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  return auth(req, res, next);
+};
+
+module.exports = auth;
+module.exports.streamAuth = streamAuth;
@@ -31,6 +31,16 @@ const FileSchema = new mongoose.Schema({
     enum: ['image', 'video', 'document', 'audio', 'other'],
     default: 'other'
   },
+  // Preview of image uploads
+  thumbnailUrl: {
+    type: String,
+    default: null
+  },
+  // Thumbnail, medium, webp and avif variants of image uploads
+  derivatives: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
   isPublic: {
     type: Boolean,
     default: false
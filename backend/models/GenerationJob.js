@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const GenerationJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  image: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Image',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['text_to_image', 'image_to_image', 'inpainting', 'variation'],
+    default: 'text_to_image'
+  },
+  prompt: {
+    type: String,
+    required: true
+  },
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Input images for image-to-image, inpainting and variation jobs
+  source: {
+    url: { type: String, default: null },
+    mimeType: { type: String, default: null }
+  },
+  mask: {
+    url: { type: String, default: null },
+    mimeType: { type: String, default: null }
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // Number of times a worker has claimed this job
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  // Lease held by the worker currently processing the job
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  leaseExpiresAt: {
+    type: Date,
+    default: null
+  },
+  lastHeartbeatAt: {
+    type: Date,
+    default: null
+  },
+  runAfter: {
+    type: Date,
+    default: Date.now
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+GenerationJobSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for claiming jobs and lease recovery
+GenerationJobSchema.index({ status: 1, runAfter: 1, createdAt: 1 });
+GenerationJobSchema.index({ status: 1, leaseExpiresAt: 1 });
+GenerationJobSchema.index({ user: 1, status: 1 });
+GenerationJobSchema.index({ image: 1 });
+
+module.exports = mongoose.model('GenerationJob', GenerationJobSchema);
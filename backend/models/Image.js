@@ -10,6 +10,11 @@ const ImageSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Prompt as written by the user, when `prompt` holds an enhanced version
+  originalPrompt: {
+    type: String,
+    default: null
+  },
   imageUrl: {
     type: String,
     required: false // Initially null until generation completes
@@ -22,15 +27,139 @@ const ImageSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Where our copy of the generated image is kept
+  storage: {
+    type: String,
+    enum: ['s3', 'local', null],
+    default: null
+  },
+  storageKey: {
+    type: String,
+    default: null
+  },
+  contentHash: {
+    type: String,
+    default: null
+  },
+  mimeType: {
+    type: String,
+    default: null
+  },
+  width: {
+    type: Number,
+    default: null
+  },
+  height: {
+    type: Number,
+    default: null
+  },
+  byteSize: {
+    type: Number,
+    default: null
+  },
+  // Thumbnail, medium, webp and avif variants ({ storage, storageKey, url, width, height, mimeType, byteSize })
+  derivatives: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
   status: {
     type: String,
-    enum: ['generating', 'completed', 'failed'],
-    default: 'generating'
+    enum: ['queued', 'generating', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // What the provider charged us for this image, in USD (0 for cache hits and post-processing)
+  providerCostUsd: {
+    type: Number,
+    default: 0
   },
   tokensUsed: {
     type: Number,
     required: true
   },
+  // Spend transaction that paid for this image
+  tokenTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token',
+    default: null
+  },
+  refundTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token',
+    default: null
+  },
+  refundedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when a failed image turned out to have nothing to give back
+  refundSkippedAt: {
+    type: Date,
+    default: null
+  },
+  // Input of image-to-image, inpainting and variation requests
+  sourceImage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Image',
+    default: null
+  },
+  sourceFile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    default: null
+  },
+  // Content address of the request; identical requests reuse the result
+  cacheKey: {
+    type: String,
+    default: null
+  },
+  // Original image a cache hit reuses the stored files of
+  cachedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Image',
+    default: null
+  },
+  // Lineage of regenerated and remixed images
+  parentImage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Image',
+    default: null
+  },
+  rootImage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Image',
+    default: null
+  },
+  lineageType: {
+    type: String,
+    enum: ['regenerate', 'remix', 'postprocess', null],
+    default: null
+  },
+  lineageDepth: {
+    type: Number,
+    default: 0
+  },
+  // Images generated by one request share a batch id
+  batchId: {
+    type: String,
+    default: null
+  },
+  batchIndex: {
+    type: Number,
+    default: null
+  },
+  // Set when the prompt or result was flagged for review
+  moderation: {
+    status: {
+      type: String,
+      enum: ['none', 'flagged', 'approved', 'rejected'],
+      default: 'none'
+    },
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ModerationEvent',
+      default: null
+    }
+  },
   metadata: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
@@ -50,4 +179,11 @@ ImageSchema.pre('save', function(next) {
   next();
 });
 
+ImageSchema.index({ batchId: 1, batchIndex: 1 });
+ImageSchema.index({ contentHash: 1 });
+ImageSchema.index({ rootImage: 1 });
+ImageSchema.index({ cacheKey: 1, createdAt: -1 });
+ImageSchema.index({ cacheKey: 1, user: 1, createdAt: -1 });
+ImageSchema.index({ status: 1, refundedAt: 1, refundSkippedAt: 1, updatedAt: 1 });
+
 module.exports = mongoose.model('Image', ImageSchema); 
\ No newline at end of file
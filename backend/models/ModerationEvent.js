@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const ModerationEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  image: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Image',
+    default: null
+  },
+  stage: {
+    type: String,
+    enum: ['prompt', 'output'],
+    required: true
+  },
+  decision: {
+    type: String,
+    enum: ['allowed', 'flagged', 'blocked'],
+    required: true
+  },
+  // Prompt text or image URL that was checked
+  content: {
+    type: String,
+    default: null
+  },
+  // Rules that matched: { ruleSet, ruleSetName, action, type: 'word'|'pattern'|'category', value, score }
+  matches: [{
+    type: mongoose.Schema.Types.Mixed
+  }],
+  categoryScores: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  classifier: {
+    type: String,
+    default: null
+  },
+  reviewStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ModerationEventSchema.index({ reviewStatus: 1, createdAt: -1 });
+ModerationEventSchema.index({ user: 1, createdAt: -1 });
+ModerationEventSchema.index({ image: 1 });
+
+module.exports = mongoose.model('ModerationEvent', ModerationEventSchema);
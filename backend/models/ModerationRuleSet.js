@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const ModerationRuleSetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Which content the rules are applied to
+  stages: {
+    type: [{ type: String, enum: ['prompt', 'output'] }],
+    default: ['prompt']
+  },
+  // What happens when any rule matches
+  action: {
+    type: String,
+    enum: ['block', 'flag'],
+    default: 'block'
+  },
+  // Whole words (or phrases), matched case-insensitively
+  words: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // Regular expressions, e.g. { pattern: 'blood\\w*', flags: 'i' }
+  patterns: [{
+    pattern: { type: String, required: true },
+    flags: { type: String, default: 'i' },
+    _id: false
+  }],
+  // Classifier category score thresholds, e.g. { sexual: 0.8 }
+  categoryThresholds: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ModerationRuleSetSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Reject regular expressions that do not compile before they reach the pipeline
+ModerationRuleSetSchema.path('patterns').validate(function(patterns) {
+  return patterns.every(({ pattern, flags }) => {
+    try {
+      new RegExp(pattern, flags);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+}, 'Invalid regular expression');
+
+module.exports = mongoose.model('ModerationRuleSet', ModerationRuleSetSchema);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const PromoCodeSchema = new mongoose.Schema({
+  // Stored upper-case; users may type it in any case
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Free tokens granted when the code is redeemed (0: the code only works at checkout)
+  tokens: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Checkout discount: `percent` of the price, or a `fixed` amount in the package currency
+  discountType: {
+    type: String,
+    enum: ['percent', 'fixed', null],
+    default: null
+  },
+  discountValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Extra tokens added to a purchase made with the code
+  bonusTokens: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Packages the code can be used on (empty means all)
+  packages: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TokenPackage'
+  }],
+  // Days the granted tokens stay valid (null means they never expire)
+  tokenExpiryDays: {
+    type: Number,
+    default: null
+  },
+  maxRedemptions: {
+    type: Number,
+    default: null // null means unlimited
+  },
+  maxRedemptionsPerUser: {
+    type: Number,
+    default: 1 // null means unlimited
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+  validFrom: {
+    type: Date,
+    default: null // null means valid right away
+  },
+  validUntil: {
+    type: Date,
+    default: null // null means never expires
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+PromoCodeSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Whether the code can be used at all right now
+PromoCodeSchema.methods.isAvailable = function(now = new Date()) {
+  if (!this.isActive) return false;
+  if (this.validFrom && now < this.validFrom) return false;
+  if (this.validUntil && now > this.validUntil) return false;
+  return true;
+};
+
+// Whether the code changes anything at checkout
+PromoCodeSchema.methods.appliesAtCheckout = function() {
+  return (Boolean(this.discountType) && this.discountValue > 0) || this.bonusTokens > 0;
+};
+
+module.exports = mongoose.model('PromoCode', PromoCodeSchema);
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+const TemplateVariableSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    match: /^[A-Za-z_][A-Za-z0-9_]*$/
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Used when the caller does not give a value; variables without one are required
+  defaultValue: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+const PromptTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  // Prompt text with {{variable}} placeholders
+  template: {
+    type: String,
+    required: true,
+    maxlength: 4000
+  },
+  negativePrompt: {
+    type: String,
+    maxlength: 2000,
+    default: null
+  },
+  variables: [TemplateVariableSchema],
+  // Generation options applied unless the request overrides them (style preset)
+  defaults: {
+    style: { type: String, default: null },
+    size: { type: String, default: null },
+    model: { type: String, default: null },
+    quality: { type: String, default: null },
+    provider: { type: String, default: null },
+    parameters: { type: mongoose.Schema.Types.Mixed, default: {} }
+  },
+  // 'user' templates belong to their owner, 'global' ones are curated by admins for everyone
+  scope: {
+    type: String,
+    enum: ['user', 'global'],
+    default: 'user'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    trim: true,
+    default: 'general'
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PromptTemplateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Query filter for templates a user may use: their own and active global ones
+PromptTemplateSchema.statics.accessibleBy = function(userId) {
+  return {
+    $or: [
+      { scope: 'user', user: userId },
+      { scope: 'global', isActive: true }
+    ]
+  };
+};
+
+PromptTemplateSchema.index({ scope: 1, user: 1, createdAt: -1 });
+PromptTemplateSchema.index({ scope: 1, category: 1 });
+
+module.exports = mongoose.model('PromptTemplate', PromptTemplateSchema);
@@ -21,7 +21,7 @@ const TokenSchema = new mongoose.Schema({
   },
   category: {
     type: String,
-    enum: ['ai_generation', 'image_upload', 'admin_bonus', 'purchase', 'refund', 'expiration', 'other'],
+    enum: ['ai_generation', 'image_upload', 'admin_bonus', 'purchase', 'refund', 'expiration', 'reward', 'promo_code', 'other'],
     default: 'other'
   },
   paymentId: {
@@ -33,11 +33,45 @@ const TokenSchema = new mongoose.Schema({
     ref: 'TokenPackage',
     default: null
   },
+  // Image this transaction was charged or refunded for
+  image: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Image',
+    default: null
+  },
+  // Original transaction a refund reverses
+  relatedTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token',
+    default: null
+  },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'cancelled'],
+    // held: reserved for work in progress, then captured (completed) or released
+    enum: ['pending', 'completed', 'failed', 'cancelled', 'held', 'releasing', 'released'],
     default: 'completed'
   },
+  // Set on holds: when an unsettled hold expires
+  holdExpiresAt: {
+    type: Date,
+    default: null
+  },
+  // Lots a debit took its tokens from (or an expiry emptied), oldest first
+  lots: [{
+    _id: false,
+    lot: { type: mongoose.Schema.Types.ObjectId, ref: 'TokenLot' },
+    amount: Number
+  }],
+  // User balance right after this entry was applied
+  balanceAfter: {
+    type: Number,
+    default: null
+  },
+  // What the provider charged us for this spend, in USD
+  providerCostUsd: {
+    type: Number,
+    default: 0
+  },
   // AI generation specific metadata
   aiProvider: {
     type: String,
@@ -88,5 +122,27 @@ TokenSchema.index({ user: 1, createdAt: -1 });
 TokenSchema.index({ user: 1, type: 1 });
 TokenSchema.index({ user: 1, category: 1 });
 TokenSchema.index({ createdAt: -1 });
+TokenSchema.index({ image: 1 });
+TokenSchema.index({ status: 1, createdAt: 1 });
+TokenSchema.index({ status: 1, holdExpiresAt: 1 });
+// A payment can only ever be credited once. Failed entries (a crash before the
+// balance changed) do not count, so the payment can still be credited later.
+TokenSchema.index(
+  { paymentId: 1 },
+  {
+    name: 'purchase_payment_unique',
+    unique: true,
+    partialFilterExpression: { type: 'purchase', paymentId: { $type: 'string' }, status: { $in: ['pending', 'completed'] } }
+  }
+);
+// Each image of a spend can only ever be refunded once (same rule for failed entries)
+TokenSchema.index(
+  { relatedTransaction: 1, image: 1 },
+  {
+    name: 'refund_image_unique',
+    unique: true,
+    partialFilterExpression: { type: 'refund', relatedTransaction: { $type: 'objectId' }, status: { $in: ['pending', 'completed'] } }
+  }
+);
 
 module.exports = mongoose.model('Token', TokenSchema); 
\ No newline at end of file
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Audit record of a token-granting action a user took (redeeming a code, claiming a reward)
+const TokenClaimSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    // checkout_code: a promo code applied to a purchase
+    enum: ['redeem_code', 'checkout_code', 'claim_reward'],
+    required: true
+  },
+  // What was claimed: the code (`CODE#2` for a user's second use, whether redeemed or at checkout;
+  // `CODE:<payment>` for a checkout recorded without a reservation),
+  // or the reward name and period (`daily_login:2026-10-19`)
+  key: {
+    type: String,
+    required: true
+  },
+  tokens: {
+    type: Number,
+    required: true
+  },
+  promoCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    default: null
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  // Checkout discount, in cents
+  discount: {
+    type: Number,
+    default: 0
+  },
+  // Ledger entry that credited the tokens
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token',
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A user can only claim the same thing once
+TokenClaimSchema.index({ user: 1, action: 1, key: 1 }, { unique: true });
+TokenClaimSchema.index({ promoCode: 1, user: 1 });
+// Each use of a code is taken once, whichever action took it
+TokenClaimSchema.index(
+  { user: 1, promoCode: 1, key: 1 },
+  {
+    name: 'promo_code_use_unique',
+    unique: true,
+    partialFilterExpression: { promoCode: { $type: 'objectId' } }
+  }
+);
+TokenClaimSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('TokenClaim', TokenClaimSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// A batch of credited tokens (a purchase, a bonus) that is spent oldest-first and may expire
+const TokenLotSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Ledger entry that credited the lot
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token',
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['purchase', 'bonus', 'admin_adjustment', 'other'],
+    default: 'other'
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  remaining: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // null means the tokens never expire
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Tokens taken out of an expired lot whose `expired` ledger entry is not written yet
+  expiring: {
+    type: Number,
+    default: 0
+  },
+  expiringAt: {
+    type: Date,
+    default: null
+  },
+  expiredAt: {
+    type: Date,
+    default: null
+  },
+  // When the user was told the lot is about to expire
+  expiryNotifiedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+TokenLotSchema.index({ user: 1, remaining: 1, createdAt: 1 });
+TokenLotSchema.index({ expiresAt: 1, remaining: 1 });
+TokenLotSchema.index({ expiring: 1, expiringAt: 1 });
+
+module.exports = mongoose.model('TokenLot', TokenLotSchema);
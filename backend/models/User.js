@@ -19,7 +19,8 @@ const UserSchema = new mongoose.Schema({
   // Profile Information
   avatar: {
     url: { type: String, default: null },
-    publicId: { type: String, default: null }
+    publicId: { type: String, default: null },
+    derivatives: { type: mongoose.Schema.Types.Mixed, default: {} }
   },
   bio: { 
     type: String, 
@@ -1,4 +1,5 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const auth = require('../middleware/auth');
 const { adminAuth, superAdminAuth } = require('../middleware/admin');
 const User = require('../models/User');
@@ -7,9 +8,25 @@ const Payment = require('../models/Payment');
 const Token = require('../models/Token');
 const File = require('../models/File');
 const TokenPackage = require('../models/TokenPackage');
+const PromoCode = require('../models/PromoCode');
+const TokenClaim = require('../models/TokenClaim');
+const PromptTemplate = require('../models/PromptTemplate');
+const ModerationEvent = require('../models/ModerationEvent');
+const ModerationRuleSet = require('../models/ModerationRuleSet');
+const generationQueue = require('../services/generationQueue');
+const moderationService = require('../services/moderationService');
+const { getCacheStats } = require('../services/generationCacheService');
+const tokenLedger = require('../services/tokenLedgerService');
+const { expiryFromDays } = require('../services/tokenLotService');
+const { MARGIN_GROUPINGS, getMarginReport } = require('../services/marginReportService');
+const { getRedemptionStats } = require('../services/promoCodeService');
+const { applyTemplateFields } = require('../services/promptTemplateService');
 
 const router = express.Router();
 
+// Ledger entry types admins may write by hand
+const ADMIN_TOKEN_TYPES = ['admin_adjustment', 'bonus'];
+
 // Get admin dashboard statistics
 router.get('/dashboard', auth, adminAuth, async (req, res) => {
   try {
@@ -33,7 +50,7 @@ router.get('/dashboard', auth, adminAuth, async (req, res) => {
 
     // Get system statistics
     const totalTokensUsed = await Token.aggregate([
-      { $match: { type: 'spend' } },
+      { $match: { type: 'spend', status: 'completed' } },
       { $group: { _id: null, total: { $sum: '$amount' } } }
     ]);
 
@@ -50,6 +67,9 @@ router.get('/dashboard', auth, adminAuth, async (req, res) => {
       createdAt: { $gte: thirtyDaysAgo }
     });
 
+    // Share of generation requests answered from the result cache
+    const generationCache = await getCacheStats();
+
     res.json({
       statistics: {
         totalUsers,
@@ -58,7 +78,8 @@ router.get('/dashboard', auth, adminAuth, async (req, res) => {
         totalFiles,
         totalTokensUsed: Math.abs(totalTokensUsed[0]?.total || 0),
         totalRevenue: totalRevenue[0]?.total || 0,
-        newUsersThisMonth
+        newUsersThisMonth,
+        generationCache
       },
       recentUsers,
       recentPayments
@@ -69,6 +90,39 @@ router.get('/dashboard', auth, adminAuth, async (req, res) => {
   }
 });
 
+// Get image generation queue statistics
+router.get('/generation-queue', auth, adminAuth, async (req, res) => {
+  try {
+    const stats = await generationQueue.getStats();
+    res.json(stats);
+  } catch (error) {
+    console.error('Generation queue stats error:', error);
+    res.status(500).json({ message: 'Failed to get generation queue stats' });
+  }
+});
+
+// Gross margin by provider, model, package or day
+router.get('/analytics/margins', [auth, adminAuth], async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || 'provider';
+    if (!MARGIN_GROUPINGS.includes(groupBy)) {
+      return res.status(400).json({ message: `groupBy must be one of: ${MARGIN_GROUPINGS.join(', ')}` });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (isNaN(from) || isNaN(to) || from > to) {
+      return res.status(400).json({ message: 'from and to must be valid dates with from before to' });
+    }
+
+    const report = await getMarginReport({ from, to, groupBy });
+    res.json(report);
+  } catch (error) {
+    console.error('Margin analytics error:', error);
+    res.status(500).json({ message: 'Failed to get margin analytics' });
+  }
+});
+
 // Get all users with pagination and filters
 router.get('/users', auth, adminAuth, async (req, res) => {
   try {
@@ -235,7 +289,8 @@ router.post('/token-packages', [auth, adminAuth], async (req, res) => {
       expiresAt = null,
       bonusTokens = 0,
       discountPercentage = 0,
-      features = []
+      features = [],
+      tokenExpiryDays = null
     } = req.body;
 
     if (!name || !description || !tokens || !price) {
@@ -255,7 +310,9 @@ router.post('/token-packages', [auth, adminAuth], async (req, res) => {
       expiresAt: expiresAt ? new Date(expiresAt) : null,
       bonusTokens,
       discountPercentage,
-      features
+      features,
+      // Days purchased tokens stay valid (empty: they never expire)
+      metadata: { tokenExpiryDays }
     });
 
     await package.save();
@@ -285,7 +342,8 @@ router.put('/token-packages/:id', [auth, adminAuth], async (req, res) => {
       expiresAt,
       bonusTokens,
       discountPercentage,
-      features
+      features,
+      tokenExpiryDays
     } = req.body;
 
     const package = await TokenPackage.findById(req.params.id);
@@ -306,6 +364,9 @@ router.put('/token-packages/:id', [auth, adminAuth], async (req, res) => {
     if (bonusTokens !== undefined) package.bonusTokens = bonusTokens;
     if (discountPercentage !== undefined) package.discountPercentage = discountPercentage;
     if (features) package.features = features;
+    if (tokenExpiryDays !== undefined) {
+      package.metadata = { ...package.metadata, tokenExpiryDays };
+    }
 
     await package.save();
     res.json(package);
@@ -333,45 +394,507 @@ router.delete('/token-packages/:id', [auth, adminAuth], async (req, res) => {
   }
 });
 
+// Promo Code Management
+// Checked on create and update: a discount needs a type, and a code has to give something
+const validatePromoCode = (promoCode) => {
+  if (promoCode.discountType === 'percent' && promoCode.discountValue > 100) {
+    return 'Percent discounts cannot exceed 100';
+  }
+  if (!promoCode.tokens && !promoCode.appliesAtCheckout()) {
+    return 'A promo code needs free tokens, a discount or bonus tokens';
+  }
+  return null;
+};
+
+// Get all promo codes with their redemption totals
+router.get('/promo-codes', [auth, adminAuth], async (req, res) => {
+  try {
+    const codes = await PromoCode.find()
+      .populate('packages', 'name')
+      .sort({ createdAt: -1 });
+    const stats = await getRedemptionStats(codes.map(code => code._id));
+
+    res.json(codes.map(code => ({ ...code.toObject(), stats: stats.get(code._id.toString()) })));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a promo code's redemption stats and latest redemptions
+router.get('/promo-codes/:id/stats', [auth, adminAuth], async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id).populate('packages', 'name');
+    if (!promoCode) {
+      return res.status(404).json({ message: 'Promo code not found' });
+    }
+
+    const stats = await getRedemptionStats([promoCode._id]);
+
+    const dailyRedemptions = await TokenClaim.aggregate([
+      { $match: { promoCode: promoCode._id } },
+      {
+        $group: {
+          _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+          count: { $sum: 1 },
+          tokens: { $sum: '$tokens' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const recentRedemptions = await TokenClaim.find({ promoCode: promoCode._id })
+      .populate('user', 'username email')
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({
+      promoCode,
+      stats: stats.get(promoCode._id.toString()),
+      dailyRedemptions,
+      recentRedemptions
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create new promo code
+router.post('/promo-codes', [auth, adminAuth], async (req, res) => {
+  try {
+    const {
+      code,
+      description = '',
+      tokens = 0,
+      discountType = null,
+      discountValue = 0,
+      bonusTokens = 0,
+      packages = [],
+      tokenExpiryDays = null,
+      maxRedemptions = null,
+      maxRedemptionsPerUser = 1,
+      validFrom = null,
+      validUntil = null,
+      isActive = true
+    } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: 'Code is required' });
+    }
+
+    const promoCode = new PromoCode({
+      code,
+      description,
+      tokens,
+      discountType,
+      discountValue,
+      bonusTokens,
+      packages,
+      tokenExpiryDays,
+      maxRedemptions,
+      maxRedemptionsPerUser,
+      validFrom: validFrom ? new Date(validFrom) : null,
+      validUntil: validUntil ? new Date(validUntil) : null,
+      isActive,
+      createdBy: req.user._id
+    });
+
+    const invalid = validatePromoCode(promoCode);
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    await promoCode.save();
+    res.json(promoCode);
+  } catch (err) {
+    if (err.code === 11000) {
+      res.status(400).json({ message: 'Promo code already exists' });
+    } else if (err.name === 'ValidationError') {
+      res.status(400).json({ message: err.message });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Update promo code
+router.put('/promo-codes/:id', [auth, adminAuth], async (req, res) => {
+  try {
+    const {
+      description,
+      tokens,
+      discountType,
+      discountValue,
+      bonusTokens,
+      packages,
+      tokenExpiryDays,
+      maxRedemptions,
+      maxRedemptionsPerUser,
+      validFrom,
+      validUntil,
+      isActive
+    } = req.body;
+
+    const promoCode = await PromoCode.findById(req.params.id);
+    if (!promoCode) {
+      return res.status(404).json({ message: 'Promo code not found' });
+    }
+
+    if (description !== undefined) promoCode.description = description;
+    if (tokens !== undefined) promoCode.tokens = tokens;
+    if (discountType !== undefined) promoCode.discountType = discountType;
+    if (discountValue !== undefined) promoCode.discountValue = discountValue;
+    if (bonusTokens !== undefined) promoCode.bonusTokens = bonusTokens;
+    if (packages) promoCode.packages = packages;
+    if (tokenExpiryDays !== undefined) promoCode.tokenExpiryDays = tokenExpiryDays;
+    if (maxRedemptions !== undefined) promoCode.maxRedemptions = maxRedemptions;
+    if (maxRedemptionsPerUser !== undefined) promoCode.maxRedemptionsPerUser = maxRedemptionsPerUser;
+    if (validFrom !== undefined) promoCode.validFrom = validFrom ? new Date(validFrom) : null;
+    if (validUntil !== undefined) promoCode.validUntil = validUntil ? new Date(validUntil) : null;
+    if (typeof isActive === 'boolean') promoCode.isActive = isActive;
+
+    const invalid = validatePromoCode(promoCode);
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    await promoCode.save();
+    res.json(promoCode);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      res.status(400).json({ message: err.message });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Delete promo code (only unused ones; used codes are deactivated so their redemptions stay traceable)
+router.delete('/promo-codes/:id', [auth, adminAuth], async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id);
+    if (!promoCode) {
+      return res.status(404).json({ message: 'Promo code not found' });
+    }
+
+    const redemptions = await TokenClaim.countDocuments({ promoCode: promoCode._id });
+    if (redemptions > 0) {
+      return res.status(400).json({ message: 'Promo code has been redeemed; deactivate it instead' });
+    }
+
+    await PromoCode.deleteOne({ _id: promoCode._id });
+    res.json({ message: 'Promo code deleted successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Global Prompt Template (Preset) Management
+// Get all global templates, including inactive ones
+router.get('/prompt-templates', [auth, adminAuth], async (req, res) => {
+  try {
+    const templates = await PromptTemplate.find({ scope: 'global' }).sort({ category: 1, name: 1 });
+    res.json(templates);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create global template
+router.post('/prompt-templates', [auth, adminAuth], async (req, res) => {
+  try {
+    if (!req.body.name || !req.body.template) {
+      return res.status(400).json({ message: 'Missing required fields' });
+    }
+
+    const template = new PromptTemplate({
+      scope: 'global',
+      createdBy: req.user._id,
+      isActive: req.body.isActive !== false
+    });
+    applyTemplateFields(template, req.body);
+
+    await template.save();
+    res.json(template);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      res.status(400).json({ message: err.message });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Update global template
+router.put('/prompt-templates/:id', [auth, adminAuth], async (req, res) => {
+  try {
+    const template = await PromptTemplate.findOne({ _id: req.params.id, scope: 'global' });
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    applyTemplateFields(template, req.body);
+    if (typeof req.body.isActive === 'boolean') template.isActive = req.body.isActive;
+
+    await template.save();
+    res.json(template);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      res.status(400).json({ message: err.message });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Delete global template
+router.delete('/prompt-templates/:id', [auth, adminAuth], async (req, res) => {
+  try {
+    const template = await PromptTemplate.findOneAndDelete({ _id: req.params.id, scope: 'global' });
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    res.json({ message: 'Template deleted successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Content Moderation
+// Get moderation events (review queue)
+router.get('/moderation/events', [auth, adminAuth], async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.reviewStatus) filter.reviewStatus = req.query.reviewStatus;
+    if (req.query.decision) filter.decision = req.query.decision;
+    if (req.query.stage) filter.stage = req.query.stage;
+    if (req.query.userId) {
+      if (!mongoose.isValidObjectId(req.query.userId)) {
+        return res.status(400).json({ message: 'Invalid user id' });
+      }
+      filter.user = req.query.userId;
+    }
+
+    const events = await ModerationEvent.find(filter)
+      .populate('user', 'username email')
+      .populate('image', 'imageUrl thumbnailUrl status prompt')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await ModerationEvent.countDocuments(filter);
+
+    res.json({
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get moderation events error:', error);
+    res.status(500).json({ message: 'Failed to get moderation events' });
+  }
+});
+
+// Review a moderation event; the decision is mirrored onto the image
+router.put('/moderation/events/:id/review', [auth, adminAuth], async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be approved or rejected' });
+    }
+
+    const event = await ModerationEvent.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: 'Moderation event not found' });
+    }
+
+    event.reviewStatus = status;
+    event.reviewNote = note || null;
+    event.reviewedBy = req.user._id;
+    event.reviewedAt = new Date();
+    await event.save();
+
+    // Flagged prompts mark every image of their batch
+    await Image.updateMany({ 'moderation.event': event._id }, { 'moderation.status': status });
+
+    res.json(event);
+  } catch (error) {
+    console.error('Review moderation event error:', error);
+    res.status(500).json({ message: 'Failed to review moderation event' });
+  }
+});
+
+// Dry-run a text against the active rule sets
+router.post('/moderation/test', [auth, adminAuth], async (req, res) => {
+  try {
+    if (!req.body.text) {
+      return res.status(400).json({ message: 'Text is required' });
+    }
+
+    const { decision, matches, categoryScores } = await moderationService.moderatePrompt(req.body.text, { dryRun: true });
+    res.json({ decision, matches, categoryScores });
+  } catch (error) {
+    console.error('Moderation test error:', error);
+    res.status(500).json({ message: 'Failed to test moderation rules' });
+  }
+});
+
+// Get all moderation rule sets
+router.get('/moderation/rule-sets', [auth, adminAuth], async (req, res) => {
+  try {
+    const ruleSets = await ModerationRuleSet.find().sort({ name: 1 });
+    res.json(ruleSets);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create moderation rule set
+router.post('/moderation/rule-sets', [auth, adminAuth], async (req, res) => {
+  try {
+    const { name, description, stages, action, words, patterns, categoryThresholds, isActive } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ message: 'Missing required fields' });
+    }
+
+    const ruleSet = new ModerationRuleSet({
+      name,
+      description,
+      stages,
+      action,
+      words,
+      patterns,
+      categoryThresholds,
+      isActive: isActive !== false,
+      createdBy: req.user._id
+    });
+
+    await ruleSet.save();
+    moderationService.invalidateRuleSets();
+    res.json(ruleSet);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      res.status(400).json({ message: err.message });
+    } else if (err.code === 11000) {
+      res.status(400).json({ message: 'Rule set name already exists' });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Update moderation rule set
+router.put('/moderation/rule-sets/:id', [auth, adminAuth], async (req, res) => {
+  try {
+    const ruleSet = await ModerationRuleSet.findById(req.params.id);
+    if (!ruleSet) {
+      return res.status(404).json({ message: 'Rule set not found' });
+    }
+
+    const fields = ['name', 'description', 'stages', 'action', 'words', 'patterns', 'categoryThresholds', 'isActive'];
+    for (const field of fields) {
+      if (req.body[field] !== undefined) ruleSet[field] = req.body[field];
+    }
+
+    await ruleSet.save();
+    moderationService.invalidateRuleSets();
+    res.json(ruleSet);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      res.status(400).json({ message: err.message });
+    } else if (err.code === 11000) {
+      res.status(400).json({ message: 'Rule set name already exists' });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Delete moderation rule set
+router.delete('/moderation/rule-sets/:id', [auth, adminAuth], async (req, res) => {
+  try {
+    const ruleSet = await ModerationRuleSet.findByIdAndDelete(req.params.id);
+    if (!ruleSet) {
+      return res.status(404).json({ message: 'Rule set not found' });
+    }
+
+    moderationService.invalidateRuleSets();
+    res.json({ message: 'Rule set deleted successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Admin: Add tokens to user
 router.post('/users/:userId/tokens', [auth, adminAuth], async (req, res) => {
   try {
-    const { amount, description, type = 'admin_adjustment', category = 'admin_bonus' } = req.body;
+    const { amount, description, type = 'admin_adjustment', expiresInDays = null } = req.body;
+
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
 
     if (!amount || !description) {
       return res.status(400).json({ message: 'Amount and description are required' });
     }
 
-    const user = await User.findById(req.params.userId);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    if (!Number.isInteger(amount)) {
+      return res.status(400).json({ message: 'Amount must be a whole number of tokens' });
+    }
+
+    // Purchases and refunds only come from their own flows, never by hand
+    if (!ADMIN_TOKEN_TYPES.includes(type)) {
+      return res.status(400).json({ message: `Type must be one of: ${ADMIN_TOKEN_TYPES.join(', ')}` });
     }
 
-    // Create token transaction
-    const tokenTransaction = new Token({
-      user: req.params.userId,
+    // A bonus opens a lot of its own, which cannot hold a negative amount
+    if (type === 'bonus' && amount < 0) {
+      return res.status(400).json({ message: 'A bonus cannot take tokens away' });
+    }
+
+    // Negative amounts take tokens away, but never below zero
+    const { transactions, balance } = await tokenLedger.apply(req.params.userId, [{
       type,
       amount,
       description,
-      category,
+      category: 'admin_bonus',
+      lotExpiresAt: expiryFromDays(expiresInDays),
       metadata: { adminId: req.user._id }
-    });
-
-    // Update user token balance
-    user.tokens += amount;
-
-    await Promise.all([tokenTransaction.save(), user.save()]);
+    }]);
 
     res.json({
       message: 'Tokens added successfully',
-      newBalance: user.tokens,
-      transaction: tokenTransaction
+      newBalance: balance,
+      transaction: transactions[0]
     });
   } catch (err) {
+    if (['user_not_found', 'insufficient_tokens'].includes(err.code)) {
+      return res.status(err.status).json({ message: err.message });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Check user balances against the token ledger; `fix` sets mismatched balances to the ledger sum
+router.post('/tokens/reconcile', auth, superAdminAuth, async (req, res) => {
+  try {
+    const report = await tokenLedger.reconcile({ fix: [true, 'true'].includes(req.body.fix) });
+    res.json(report);
+  } catch (error) {
+    console.error('Token reconciliation error:', error);
+    res.status(500).json({ message: 'Failed to reconcile token balances' });
+  }
+});
+
 // Get system logs (super admin only)
 router.get('/logs', auth, superAdminAuth, async (req, res) => {
   try {
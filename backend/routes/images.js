@@ -1,131 +1,587 @@
 const express = require('express');
+const crypto = require('crypto');
 const auth = require('../middleware/auth');
+const { streamAuth } = auth;
 const { adminAuth } = require('../middleware/admin');
 const Image = require('../models/Image');
-const Token = require('../models/Token');
+const File = require('../models/File');
+const PromptTemplate = require('../models/PromptTemplate');
 const User = require('../models/User');
-const s3Service = require('../services/s3Service');
+const { deleteStoredObject } = require('../services/imageStorageService');
+const { deleteDerivatives } = require('../services/imageDerivativeService');
 const aiProviderManager = require('../services/aiProviderManager');
+const generationQueue = require('../services/generationQueue');
+const generationEvents = require('../services/generationEvents');
+const moderationService = require('../services/moderationService');
+const imageOperationService = require('../services/imageOperationService');
+const tokenLedger = require('../services/tokenLedgerService');
+const { IMAGE_OPERATIONS } = imageOperationService;
+const { ADVANCED_PARAMETERS } = require('../services/aiProviders/baseProvider');
+const { expandTemplateById } = require('../services/promptTemplateService');
+const {
+  isCacheable,
+  buildCacheKey,
+  findCachedImage,
+  cacheHitTokenCost,
+  cachedAssetFields,
+  isAssetShared
+} = require('../services/generationCacheService');
 
 const router = express.Router();
 
-// AI Image Generation with Provider Manager
-const generateAIImage = async (prompt, options, userId) => {
-  try {
-    // Generate image using AI provider
-    const result = await aiProviderManager.generateImage(prompt, options);
-    
-    let imageUrl = result.imageUrl;
-    let thumbnailUrl = result.thumbnailUrl;
-    
-    // Upload to S3 if configured and image is not already a URL
-    if (s3Service.isS3Configured() && !imageUrl.startsWith('http')) {
-      const fileName = `ai_generated_${Date.now()}.png`;
-      imageUrl = await s3Service.uploadAIImage(Buffer.from(imageUrl), fileName, userId);
-      thumbnailUrl = imageUrl; // In real app, generate thumbnail
-    }
-    
-    return {
-      imageUrl,
-      thumbnailUrl,
-      status: 'completed',
-      metadata: result.metadata
+// Maximum number of images a single generate request may produce
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE) || 4;
+
+// Keep-alive interval for generation event streams (proxies drop idle connections)
+const EVENT_STREAM_HEARTBEAT = 25000;
+
+// Rewrite prompts with the text provider unless the request says otherwise
+const PROMPT_ENHANCEMENT_DEFAULT = process.env.PROMPT_ENHANCEMENT_DEFAULT === 'true';
+
+// Token transaction labels per generation operation
+const OPERATION_LABELS = {
+  text_to_image: 'AI Image Generation',
+  image_to_image: 'AI Image Edit',
+  inpainting: 'AI Image Inpainting',
+  variation: 'AI Image Variation'
+};
+
+// Resolve an input image from one of the user's uploaded files or generated images
+const resolveInputImage = async (userId, { fileId, imageId }) => {
+  if (fileId) {
+    const file = await File.findOne({ _id: fileId, user: userId, fileType: 'image' });
+    return file && {
+      url: file.fileUrl,
+      mimeType: file.mimeType,
+      sourceFile: file._id,
+      prompt: null,
+      name: file.originalName
+    };
+  }
+
+  if (imageId) {
+    const image = await Image.findOne({ _id: imageId, user: userId, status: 'completed' });
+    return image && image.imageUrl && {
+      url: image.imageUrl,
+      mimeType: null,
+      sourceImage: image._id,
+      prompt: image.prompt,
+      name: image.prompt
     };
-  } catch (error) {
-    console.error('AI Image generation error:', error);
-    throw new Error(`AI generation failed: ${error.message}`);
   }
+
+  return null;
 };
 
-// Generate AI Image
-router.post('/generate', auth, async (req, res) => {
-  try {
-    const { prompt, style = 'realistic', size = '512x512', model, quality } = req.body;
+// Advanced generation parameters given in the request body
+const pickParameters = (body) => ADVANCED_PARAMETERS.reduce((parameters, name) => {
+  if (body[name] !== undefined && body[name] !== null && body[name] !== '') {
+    parameters[name] = body[name];
+  }
+  return parameters;
+}, {});
 
-    // Validate prompt using AI provider
-    const validation = aiProviderManager.getCurrentProvider().validatePrompt(prompt);
-    if (!validation.valid) {
-      return res.status(400).json({ message: validation.error });
-    }
+// Parse and check the requested image count
+const parseImageCount = (body) => {
+  const count = parseInt(body.n ?? body.count ?? 1);
+  return Number.isInteger(count) && count >= 1 && count <= MAX_BATCH_SIZE ? count : null;
+};
 
-    // Calculate tokens using AI provider
-    const options = { style, size, model, quality };
-    const tokensRequired = aiProviderManager.calculateTokenCost(options);
+// Whether the request asked for its prompt to be enhanced
+const wantsEnhancement = (body) => (
+  body.enhancePrompt === undefined ? PROMPT_ENHANCEMENT_DEFAULT : [true, 'true'].includes(body.enhancePrompt)
+);
 
-    // Check user token balance
-    const user = await User.findById(req.user._id);
-    if (user.tokens < tokensRequired) {
-      return res.status(400).json({ 
-        message: `Insufficient tokens. Required: ${tokensRequired}, Available: ${user.tokens}` 
-      });
-    }
+// Ledger entry for the token spend of a prompt enhancement
+const enhancementEntry = (enhancement, imageId = null) => ({
+  type: 'spend',
+  amount: -enhancement.tokensUsed,
+  description: `Prompt Enhancement: "${enhancement.originalPrompt.substring(0, 50)}${enhancement.originalPrompt.length > 50 ? '...' : ''}"`,
+  category: 'ai_generation',
+  image: imageId,
+  aiProvider: enhancement.provider,
+  generationType: 'text_generation',
+  providerCostUsd: enhancement.providerCostUsd,
+  prompt: enhancement.originalPrompt,
+  metadata: {
+    imageId,
+    style: enhancement.style,
+    model: enhancement.model,
+    enhancedPrompt: enhancement.enhancedPrompt
+  }
+});
+
+// Charge the user, create the image records and queue one job per image
+// Identical single-image requests are answered from an earlier result (at a reduced price)
+// unless `useCache` is off or the request sends `cache: false`
+const queueGeneration = async (req, res, { prompt, count, style, quality, provider, validation, source, mask, lineage = {}, template = null, enhancement = null, originalPrompt = null, useCache = false }) => {
+  const { options } = validation;
+  const operation = options.operation;
+  const requestedParameters = pickParameters(options);
+  const cacheKey = useCache && isCacheable(operation, count, requestedParameters) ? buildCacheKey(prompt, options, requestedParameters) : null;
+  const cached = cacheKey ? await findCachedImage(cacheKey, req.user._id) : null;
+  const tokensPerImage = cached ? cacheHitTokenCost(validation.tokensRequired) : validation.tokensRequired;
+  const enhancementTokens = enhancement ? enhancement.tokensUsed : 0;
+  const tokensRequired = tokensPerImage * count;
+
+  // Check the prompt against the moderation rules before anything is charged
+  const moderationText = [enhancement && enhancement.originalPrompt, prompt, options.negativePrompt].filter(Boolean).join('\n');
+  const moderation = moderationText ?
+    await moderationService.moderatePrompt(moderationText, { userId: req.user._id }) : null;
+
+  if (moderation && !moderation.allowed) {
+    return res.status(400).json({
+      message: 'Prompt was blocked by content moderation',
+      code: 'content_policy_violation',
+      reasons: moderation.reasons
+    });
+  }
 
-    // Create image record
+  // Check user token balance
+  const user = await User.findById(req.user._id);
+  if (user.tokens < tokensRequired + enhancementTokens) {
+    return res.status(400).json({ 
+      message: `Insufficient tokens. Required: ${tokensRequired + enhancementTokens}, Available: ${user.tokens}` 
+    });
+  }
+
+  // Images of one request share a batch id
+  const batchId = count > 1 ? `batch_${Date.now()}_${crypto.randomBytes(4).toString('hex')}` : null;
+
+  // Input images are kept in metadata so the recovery sweep can requeue the job
+  const sourceInput = source && { url: source.url, mimeType: source.mimeType };
+  const maskInput = mask && { url: mask.url, mimeType: mask.mimeType };
+
+  // Build the image records first so the ledger entries can reference them
+  const images = [];
+  for (let index = 0; index < count; index++) {
     const image = new Image({
       user: req.user._id,
       prompt: prompt.trim(),
-      status: 'generating',
-      tokensUsed: tokensRequired,
+      // What the user wrote when the prompt was enhanced
+      originalPrompt: enhancement ? enhancement.originalPrompt.trim() : originalPrompt,
+      status: cached ? 'completed' : 'queued',
+      tokensUsed: tokensPerImage,
+      ...(cached && cachedAssetFields(cached)),
+      cacheKey,
+      cachedFrom: cached ? cached._id : null,
+      sourceImage: source?.sourceImage || null,
+      sourceFile: source?.sourceFile || null,
+      ...lineage,
+      batchId,
+      batchIndex: batchId ? index : null,
       metadata: { 
         style, 
-        size, 
-        model, 
+        size: options.size, 
+        model: options.model, 
         quality,
-        provider: aiProviderManager.getCurrentProvider().name
-      }
+        provider: options.provider,
+        providerRequested: !!provider,
+        operation,
+        // Requested parameters plus model defaults; completed images record the exact values used
+        parameters: cached ? cached.metadata.parameters : validation.parameters,
+        // Only what was asked for, so a regenerate rolls a new seed unless one was given
+        requestedParameters,
+        ...(cached && { cacheHit: true }),
+        ...template,
+        ...(enhancement && {
+          promptEnhancement: { provider: enhancement.provider, model: enhancement.model, style: enhancement.style }
+        }),
+        ...(sourceInput && { source: sourceInput }),
+        ...(maskInput && { mask: maskInput })
+      },
+      ...(moderation?.event && { moderation: { status: 'flagged', event: moderation.event._id } })
     });
 
-    await image.save();
+    images.push(image);
+  }
 
-    // Deduct tokens immediately
-    user.tokens -= tokensRequired;
-    await user.save();
+  const entries = [];
+  if (enhancementTokens > 0) {
+    entries.push(enhancementEntry(enhancement, images[0]._id));
+  }
 
-    // Create token transaction
-    const tokenTransaction = new Token({
-      user: req.user._id,
+  // Each queued image holds its share until it completes (captured) or fails (released);
+  // a cache hit is already done, so it is spent outright. A free cache hit has nothing to record.
+  const chargedImages = !cached || tokensRequired > 0 ? images : [];
+  for (const image of chargedImages) {
+    entries.push({
       type: 'spend',
-      amount: -tokensRequired,
-      description: `AI Image Generation: "${prompt.substring(0, 50)}${prompt.length > 50 ? '...' : ''}"`,
-      metadata: { 
-        imageId: image._id, 
-        style, 
-        size, 
-        model,
-        provider: aiProviderManager.getCurrentProvider().name
+      hold: !cached,
+      amount: -tokensPerImage,
+      description: `${OPERATION_LABELS[operation]}${batchId ? ` (${image.batchIndex + 1}/${count})` : ''}${cached ? ' (cached)' : ''}: "${prompt.substring(0, 50)}${prompt.length > 50 ? '...' : ''}"`,
+      category: 'ai_generation',
+      image: image._id,
+      aiProvider: options.provider,
+      generationType: operation === 'text_to_image' ? 'text_to_image' : 'image_to_image',
+      imageCount: 1,
+      imageSize: options.size,
+      metadata: {
+        imageId: image._id,
+        batchId,
+        batchIndex: image.batchIndex,
+        tokensPerImage,
+        operation,
+        ...(lineage.parentImage && { parentImageId: lineage.parentImage, lineageType: lineage.lineageType }),
+        ...(cached && { cacheHit: true, cachedFrom: cached._id }),
+        style,
+        size: options.size,
+        model: options.model,
+        provider: options.provider
       }
     });
+  }
 
-    await tokenTransaction.save();
+  // Reserve the tokens for the whole batch (and spend the enhancement) in one ledger unit
+  let charge = { transactions: [], balance: user.tokens };
+  if (entries.length > 0) {
+    try {
+      charge = await tokenLedger.apply(req.user._id, entries);
+    } catch (error) {
+      if (error.code === 'insufficient_tokens') {
+        return res.status(400).json({ message: error.message });
+      }
+      throw error;
+    }
+  }
+  const imageTransactions = charge.transactions.slice(enhancementTokens > 0 ? 1 : 0);
 
-    // Start AI image generation process (async)
-    generateAIImage(prompt, options, req.user._id).then(async (result) => {
-      image.imageUrl = result.imageUrl;
-      image.thumbnailUrl = result.thumbnailUrl;
-      image.status = result.status;
-      image.metadata = { ...image.metadata, ...result.metadata };
-      await image.save();
-    }).catch(async (error) => {
-      console.error('Image generation error:', error);
-      image.status = 'failed';
-      image.metadata = { ...image.metadata, error: error.message };
+  try {
+    for (const [index, image] of images.entries()) {
+      // Link the hold so it can be captured or released when the generation ends
+      image.tokenTransaction = imageTransactions[index] ? imageTransactions[index]._id : null;
       await image.save();
+    }
+  } catch (error) {
+    // The charge bought nothing, so give it back
+    for (const transaction of charge.transactions.filter(transaction => transaction.status === 'held')) {
+      await tokenLedger.release(transaction._id, 'Image generation could not be queued');
+    }
+    const spent = charge.transactions
+      .filter(transaction => transaction.status === 'completed')
+      .reduce((sum, transaction) => sum - transaction.amount, 0);
+    if (spent > 0) {
+      await tokenLedger.credit(req.user._id, spent, {
+        type: 'refund',
+        description: 'Refund for image generation that could not be queued',
+        category: 'refund',
+        relatedTransaction: charge.transactions[0]._id,
+        metadata: { reason: error.message }
+      });
+    }
+    throw error;
+  }
+
+  // A flagged prompt goes through but stays in the review queue
+  if (moderation?.event) {
+    moderation.event.image = images[0]._id;
+    await moderation.event.save();
+  }
+
+  // Only pin the provider when the caller asked for one, so default requests keep failover
+  const generationOptions = provider ? options : { ...options, provider: undefined };
+
+  // Only requests that were served or queued count as uses of their template
+  const countTemplateUse = () => template
+    ? PromptTemplate.updateOne({ _id: template.templateId }, { $inc: { usageCount: 1 } })
+    : null;
+
+  if (cached) {
+    await countTemplateUse();
+    generationEvents.publishImage(images[0], { progress: 100, cached: true });
+
+    return res.json({
+      message: 'Image served from cache',
+      imageId: images[0]._id,
+      imageIds: [images[0]._id],
+      batchId: null,
+      jobId: null,
+      status: images[0].status,
+      operation,
+      cached: true,
+      cachedFrom: cached._id,
+      imageUrl: images[0].imageUrl,
+      thumbnailUrl: images[0].thumbnailUrl,
+      parentImageId: lineage.parentImage || null,
+      prompt: images[0].prompt,
+      originalPrompt: images[0].originalPrompt,
+      tokensUsed: tokensRequired + enhancementTokens,
+      tokensPerImage,
+      newBalance: charge.balance,
+      provider: options.provider,
+      model: options.model
     });
+  }
 
-    res.json({
-      message: 'Image generation started',
+  const jobs = [];
+  for (const image of images) {
+    // Queue the generation; a worker picks it up and updates the image record
+    jobs.push(await generationQueue.enqueue({
+      userId: req.user._id,
       imageId: image._id,
-      tokensUsed: tokensRequired,
-      newBalance: user.tokens,
-      provider: aiProviderManager.getCurrentProvider().name
+      prompt,
+      options: generationOptions,
+      type: operation,
+      source: sourceInput,
+      mask: maskInput
+    }));
+  }
+  await countTemplateUse();
+
+  res.json({
+    message: 'Image generation queued',
+    imageId: images[0]._id,
+    imageIds: images.map(image => image._id),
+    batchId,
+    jobId: jobs[0]._id,
+    status: images[0].status,
+    operation,
+    cached: false,
+    parentImageId: lineage.parentImage || null,
+    prompt: images[0].prompt,
+    originalPrompt: images[0].originalPrompt,
+    tokensUsed: tokensRequired + enhancementTokens,
+    tokensPerImage,
+    newBalance: charge.balance,
+    provider: options.provider,
+    model: options.model
+  });
+};
+
+// Generate AI Image (or a batch of images for the same prompt)
+router.post('/generate', auth, async (req, res) => {
+  try {
+    const count = parseImageCount(req.body);
+
+    if (!count) {
+      return res.status(400).json({ message: `Image count must be between 1 and ${MAX_BATCH_SIZE}` });
+    }
+
+    // Expand a prompt template first; request fields override the template's presets
+    let request = req.body;
+    let template = null;
+    if (req.body.templateId) {
+      const expanded = await expandTemplateById(req.body.templateId, req.user._id, req.body.variables || {});
+      template = {
+        templateId: expanded.template._id,
+        templateName: expanded.template.name,
+        templateVariables: expanded.variables
+      };
+      request = {
+        ...expanded.options,
+        ...(expanded.negativePrompt && { negativePrompt: expanded.negativePrompt }),
+        ...Object.fromEntries(Object.entries(req.body).filter(([, value]) => value !== undefined && value !== null && value !== '')),
+        prompt: expanded.prompt
+      };
+    }
+
+    const { prompt, style = 'realistic', size, model, quality, provider } = request;
+
+    // Validate prompt, provider, model and size, and price with the chosen provider
+    const validation = await aiProviderManager.validateGenerationRequest(prompt, {
+      style, size, model, quality, provider, ...pickParameters(request)
+    });
+    if (!validation.valid) {
+      return res.status(400).json({ message: validation.error });
+    }
+
+    // Optionally rewrite the prompt in the user's preferred style
+    let enhancement = null;
+    if (wantsEnhancement(request)) {
+      try {
+        enhancement = await aiProviderManager.enhancePrompt(prompt, {
+          style: request.style || req.user.preferences?.aiPreferences?.defaultStyle
+        });
+      } catch (error) {
+        // Enhancement is best effort; generate from the original prompt instead
+        console.error('Prompt enhancement error:', error);
+      }
+    }
+
+    // The rewritten prompt must pass the provider's checks too (moderation checks both prompts when queueing)
+    if (enhancement) {
+      const recheck = await aiProviderManager.validateGenerationRequest(enhancement.enhancedPrompt, validation.options);
+      if (!recheck.valid) {
+        console.warn(`Enhanced prompt rejected (${recheck.error}); generating from the original prompt`);
+        enhancement = null;
+      }
+    }
+
+    await queueGeneration(req, res, {
+      prompt: enhancement ? enhancement.enhancedPrompt : prompt,
+      count, style, quality, provider, validation, template, enhancement,
+      useCache: ![false, 'false'].includes(request.cache)
     });
 
   } catch (err) {
+    if (err.code === 'invalid_template') {
+      return res.status(err.status).json({ message: err.message });
+    }
     console.error('Image generation error:', err);
     res.status(500).json({ message: 'Failed to start image generation' });
   }
 });
 
+// Preview how a prompt would be enhanced (charged like an enhancement during generation)
+router.post('/prompt/enhance', auth, async (req, res) => {
+  try {
+    const { prompt, style, provider } = req.body;
+
+    if (!prompt || !prompt.trim()) {
+      return res.status(400).json({ message: 'Prompt is required' });
+    }
+
+    const moderation = await moderationService.moderatePrompt(prompt, { userId: req.user._id });
+    if (!moderation.allowed) {
+      return res.status(400).json({
+        message: 'Prompt was blocked by content moderation',
+        code: 'content_policy_violation',
+        reasons: moderation.reasons
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const enhancement = await aiProviderManager.enhancePrompt(prompt, {
+      style: style || user.preferences?.aiPreferences?.defaultStyle,
+      provider
+    });
+
+    // The rewritten prompt is checked like the original before it is handed back (and charged)
+    const enhancedValidation = await aiProviderManager.validateGenerationRequest(enhancement.enhancedPrompt, {});
+    if (!enhancedValidation.valid) {
+      return res.status(400).json({ message: `Enhanced prompt is not usable: ${enhancedValidation.error}` });
+    }
+
+    const enhancedModeration = await moderationService.moderatePrompt(enhancement.enhancedPrompt, { userId: req.user._id });
+    if (!enhancedModeration.allowed) {
+      return res.status(400).json({
+        message: 'Enhanced prompt was blocked by content moderation',
+        code: 'content_policy_violation',
+        reasons: enhancedModeration.reasons
+      });
+    }
+
+    if (user.tokens < enhancement.tokensUsed) {
+      return res.status(400).json({ 
+        message: `Insufficient tokens. Required: ${enhancement.tokensUsed}, Available: ${user.tokens}` 
+      });
+    }
+
+    let newBalance = user.tokens;
+    if (enhancement.tokensUsed > 0) {
+      ({ balance: newBalance } = await tokenLedger.apply(req.user._id, [enhancementEntry(enhancement)]));
+    }
+
+    res.json({ ...enhancement, newBalance });
+  } catch (err) {
+    if (err.code === 'insufficient_tokens') {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error('Prompt enhancement error:', err);
+    res.status(502).json({ message: 'Failed to enhance prompt' });
+  }
+});
+
+// Shared handler for edit, inpaint and variation requests
+const handleImageOperation = (defaultOperation) => async (req, res) => {
+  try {
+    const { prompt, style = 'realistic', size, model, quality, provider, sourceFileId, sourceImageId, maskFileId } = req.body;
+    const count = parseImageCount(req.body);
+
+    if (!count) {
+      return res.status(400).json({ message: `Image count must be between 1 and ${MAX_BATCH_SIZE}` });
+    }
+
+    if (!sourceFileId && !sourceImageId) {
+      return res.status(400).json({ message: 'sourceFileId or sourceImageId is required' });
+    }
+
+    // An edit with a mask only repaints the masked area
+    const operation = defaultOperation === 'image_to_image' && maskFileId ? 'inpainting' : defaultOperation;
+    if (operation === 'inpainting' && !maskFileId) {
+      return res.status(400).json({ message: 'maskFileId is required for inpainting' });
+    }
+
+    const source = await resolveInputImage(req.user._id, { fileId: sourceFileId, imageId: sourceImageId });
+    if (!source) {
+      return res.status(404).json({ message: 'Source image not found' });
+    }
+
+    let mask = null;
+    if (operation === 'inpainting') {
+      mask = await resolveInputImage(req.user._id, { fileId: maskFileId });
+      if (!mask) {
+        return res.status(404).json({ message: 'Mask image not found' });
+      }
+    }
+
+    const validation = await aiProviderManager.validateGenerationRequest(operation === 'variation' ? null : prompt, {
+      style, size, model, quality, provider, operation, ...pickParameters(req.body)
+    });
+    if (!validation.valid) {
+      return res.status(400).json({ message: validation.error });
+    }
+
+    // Variations have no prompt of their own; describe them by their source
+    const imagePrompt = operation === 'variation'
+      ? (source.prompt || `Variation of ${source.name}`)
+      : prompt;
+
+    await queueGeneration(req, res, { prompt: imagePrompt, count, style, quality, provider, validation, source, mask });
+
+  } catch (err) {
+    console.error(`Image ${defaultOperation} error:`, err);
+    res.status(500).json({ message: 'Failed to start image generation' });
+  }
+};
+
+// Generate a new image from a source image and prompt (inpaints when a mask is given)
+router.post('/edit', auth, handleImageOperation('image_to_image'));
+
+// Repaint the masked area of a source image
+router.post('/inpaint', auth, handleImageOperation('inpainting'));
+
+// Create variations of a source image
+router.post('/variations', auth, handleImageOperation('variation'));
+
+// Get status of all images in a batch
+router.get('/batch/:batchId', auth, async (req, res) => {
+  try {
+    const images = await Image.find({ 
+      batchId: req.params.batchId, 
+      user: req.user._id 
+    }).sort({ batchIndex: 1 });
+
+    if (images.length === 0) {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+
+    const summary = images.reduce((acc, image) => {
+      acc[image.status] = (acc[image.status] || 0) + 1;
+      if (image.refundedAt) {
+        acc.tokensRefunded += image.tokensUsed;
+      }
+      return acc;
+    }, { total: images.length, tokensRefunded: 0 });
+
+    res.json({
+      batchId: req.params.batchId,
+      summary,
+      images: images.map(image => ({
+        _id: image._id,
+        batchIndex: image.batchIndex,
+        status: image.status,
+        imageUrl: image.imageUrl,
+        thumbnailUrl: image.thumbnailUrl,
+        tokensUsed: image.tokensUsed,
+        refunded: !!image.refundedAt
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // AI Provider Management Routes (Admin Only)
 // Get available AI providers
 router.get('/providers', auth, adminAuth, async (req, res) => {
@@ -152,6 +608,18 @@ router.get('/providers/status', auth, adminAuth, async (req, res) => {
   }
 });
 
+// Get health and circuit breaker state of all providers
+router.get('/providers/health', auth, adminAuth, async (req, res) => {
+  try {
+    res.json({
+      providers: aiProviderManager.getProvidersHealth(),
+      fallbackChain: aiProviderManager.getFallbackChain()
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to get provider health' });
+  }
+});
+
 // Switch AI provider
 router.post('/providers/switch', auth, adminAuth, async (req, res) => {
   try {
@@ -188,26 +656,89 @@ router.post('/providers/test', auth, adminAuth, async (req, res) => {
   }
 });
 
-// Get available models
+// Get available models (optionally for a specific provider)
 router.get('/models', auth, async (req, res) => {
   try {
-    const models = aiProviderManager.getAvailableModels();
+    const { provider } = req.query;
+    if (provider && !aiProviderManager.getAvailableProviders().includes(provider)) {
+      return res.status(404).json({ message: 'Provider not found' });
+    }
+
+    const models = await aiProviderManager.getAvailableModels(provider);
     res.json({ models });
   } catch (err) {
     res.status(500).json({ message: 'Failed to get models' });
   }
 });
 
-// Get pricing information
+// Get pricing information (optionally for a specific provider)
 router.get('/pricing', auth, async (req, res) => {
   try {
-    const pricing = aiProviderManager.getPricing();
+    const { provider } = req.query;
+    if (provider && !aiProviderManager.getAvailableProviders().includes(provider)) {
+      return res.status(404).json({ message: 'Provider not found' });
+    }
+
+    const pricing = await aiProviderManager.getPricing(provider);
     res.json({ pricing });
   } catch (err) {
     res.status(500).json({ message: 'Failed to get pricing' });
   }
 });
 
+// Get the post-processing operations available and their token prices
+router.get('/operations', auth, async (req, res) => {
+  try {
+    res.json({ operations: imageOperationService.getAvailableOperations() });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to get operations' });
+  }
+});
+
+// Stream status changes of all the user's images (Server-Sent Events)
+router.get('/events', streamAuth, async (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = ({ id, type, data }) => {
+    if (id) res.write(`id: ${id}\n`);
+    res.write(`event: ${type}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Subscribe before loading the snapshot so no transition is missed in between
+  const unsubscribe = generationEvents.subscribe(req.user._id.toString(), send);
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), EVENT_STREAM_HEARTBEAT);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    // Current state of in-progress images, so clients can resume after reconnecting
+    const pending = await Image.find({
+      user: req.user._id,
+      status: { $in: ['queued', 'generating'] }
+    }).select('_id batchId status');
+
+    send({
+      type: 'ready',
+      data: {
+        images: pending.map(image => ({ imageId: image._id, batchId: image.batchId, status: image.status }))
+      }
+    });
+  } catch (err) {
+    console.error('Generation event stream error:', err);
+    send({ type: 'error', data: { message: 'Failed to load pending images' } });
+  }
+});
+
 // Get user's images
 router.get('/my-images', auth, async (req, res) => {
   try {
@@ -215,12 +746,15 @@ router.get('/my-images', auth, async (req, res) => {
     const limit = parseInt(req.query.limit) || 12;
     const skip = (page - 1) * limit;
 
-    const images = await Image.find({ user: req.user._id })
+    // Images rejected in moderation review are hidden from the owner
+    const filter = { user: req.user._id, 'moderation.status': { $ne: 'rejected' } };
+
+    const images = await Image.find(filter)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
 
-    const total = await Image.countDocuments({ user: req.user._id });
+    const total = await Image.countDocuments(filter);
 
     res.json({
       images,
@@ -266,16 +800,18 @@ router.delete('/:imageId', auth, async (req, res) => {
       return res.status(404).json({ message: 'Image not found' });
     }
 
-    // Delete image from S3 if configured and image exists
-    if (s3Service.isS3Configured() && image.imageUrl) {
+    // Delete the stored image (S3 or local storage) if it exists and no cached copy still uses it
+    if (image.imageUrl && !(await isAssetShared(image))) {
       try {
-        await s3Service.deleteFromS3(image.imageUrl);
-        if (image.thumbnailUrl && image.thumbnailUrl !== image.imageUrl) {
-          await s3Service.deleteFromS3(image.thumbnailUrl);
+        await deleteStoredObject({ storage: image.storage, storageKey: image.storageKey, url: image.imageUrl });
+        if (image.derivatives && Object.keys(image.derivatives).length > 0) {
+          await deleteDerivatives(image.derivatives);
+        } else if (image.thumbnailUrl && image.thumbnailUrl !== image.imageUrl) {
+          await deleteStoredObject({ url: image.thumbnailUrl });
         }
-      } catch (s3Error) {
-        console.error('S3 delete error:', s3Error);
-        // Continue with database deletion even if S3 delete fails
+      } catch (storageError) {
+        console.error('Storage delete error:', storageError);
+        // Continue with database deletion even if storage delete fails
       }
     }
 
@@ -304,7 +840,261 @@ router.get('/:imageId/status', auth, async (req, res) => {
     res.json({ 
       status: image.status,
       imageUrl: image.imageUrl,
-      thumbnailUrl: image.thumbnailUrl
+      thumbnailUrl: image.thumbnailUrl,
+      refunded: !!image.refundedAt
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Shared handler for regenerate (same prompt and options) and remix (with overrides)
+const handleRerun = (lineageType) => async (req, res) => {
+  try {
+    const parent = await Image.findOne({ 
+      _id: req.params.imageId, 
+      user: req.user._id 
+    });
+
+    if (!parent) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    if (!['completed', 'failed'].includes(parent.status)) {
+      return res.status(400).json({ message: 'Image is still being generated' });
+    }
+
+    if (parent.lineageType === 'postprocess') {
+      return res.status(400).json({ message: 'Post-processed images cannot be rerun; use the original image' });
+    }
+
+    const count = parseImageCount(req.body);
+    if (!count) {
+      return res.status(400).json({ message: `Image count must be between 1 and ${MAX_BATCH_SIZE}` });
+    }
+
+    const metadata = parent.metadata || {};
+    const overrides = lineageType === 'remix' ? req.body : {};
+    const operation = metadata.operation || 'text_to_image';
+    const provider = overrides.provider || (metadata.providerRequested ? metadata.provider : undefined);
+    // A model belongs to its provider, so switching providers falls back to that provider's default
+    const model = overrides.model || (overrides.provider && overrides.provider !== metadata.provider ? undefined : metadata.model);
+    // A new aspect ratio picks its own size
+    const size = overrides.size || (overrides.aspectRatio ? undefined : metadata.size);
+    const style = overrides.style || metadata.style || 'realistic';
+    const quality = overrides.quality || metadata.quality;
+    const prompt = operation === 'variation' ? parent.prompt : (overrides.prompt || parent.prompt);
+    // An enhanced prompt is reused as is; keep what the user originally wrote with it
+    const originalPrompt = prompt === parent.prompt ? parent.originalPrompt : null;
+
+    const validation = await aiProviderManager.validateGenerationRequest(operation === 'variation' ? null : prompt, {
+      style, size, model, quality, provider, operation,
+      ...(metadata.requestedParameters || {}),
+      ...pickParameters(overrides)
+    });
+    if (!validation.valid) {
+      return res.status(400).json({ message: validation.error });
+    }
+
+    await queueGeneration(req, res, {
+      prompt,
+      count,
+      style,
+      quality,
+      provider,
+      validation,
+      source: metadata.source && { ...metadata.source, sourceImage: parent.sourceImage, sourceFile: parent.sourceFile },
+      mask: metadata.mask,
+      originalPrompt,
+      lineage: {
+        parentImage: parent._id,
+        rootImage: parent.rootImage || parent._id,
+        lineageType,
+        lineageDepth: (parent.lineageDepth || 0) + 1
+      }
+    });
+
+  } catch (err) {
+    console.error(`Image ${lineageType} error:`, err);
+    res.status(500).json({ message: 'Failed to start image generation' });
+  }
+};
+
+// Rerun an image with the same prompt and options
+router.post('/:imageId/regenerate', auth, handleRerun('regenerate'));
+
+// Rerun an image with overrides (prompt, seed, size, style, ...)
+router.post('/:imageId/remix', auth, handleRerun('remix'));
+
+// Run a post-processing operation; the result is a new image derived from the source
+router.post('/:imageId/operations/:operation', auth, async (req, res) => {
+  try {
+    const { operation } = req.params;
+    const spec = IMAGE_OPERATIONS[operation];
+    if (!spec) {
+      return res.status(404).json({ message: `Operation not found. Available: ${Object.keys(IMAGE_OPERATIONS).join(', ')}` });
+    }
+
+    const parent = await Image.findOne({ 
+      _id: req.params.imageId, 
+      user: req.user._id,
+      status: 'completed'
+    });
+
+    if (!parent || !parent.imageUrl) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    // Check user token balance
+    const tokensRequired = imageOperationService.getTokenCost(operation);
+    const user = await User.findById(req.user._id);
+    if (user.tokens < tokensRequired) {
+      return res.status(400).json({ 
+        message: `Insufficient tokens. Required: ${tokensRequired}, Available: ${user.tokens}` 
+      });
+    }
+
+    // Processed before charging, so a failed operation costs nothing
+    const { stored, derivatives, params, processor } = await imageOperationService.applyOperation(parent, operation, req.body);
+    const metadata = parent.metadata || {};
+
+    const image = new Image({
+      user: req.user._id,
+      prompt: parent.prompt,
+      originalPrompt: parent.originalPrompt,
+      imageUrl: stored.url,
+      thumbnailUrl: derivatives.thumbnail ? derivatives.thumbnail.url : stored.url,
+      status: 'completed',
+      tokensUsed: tokensRequired,
+      storage: stored.storage,
+      storageKey: stored.storageKey,
+      s3Key: stored.storage === 's3' ? stored.storageKey : null,
+      contentHash: stored.contentHash,
+      mimeType: stored.mimeType,
+      width: stored.width,
+      height: stored.height,
+      byteSize: stored.byteSize,
+      derivatives,
+      parentImage: parent._id,
+      rootImage: parent.rootImage || parent._id,
+      lineageType: 'postprocess',
+      lineageDepth: (parent.lineageDepth || 0) + 1,
+      metadata: {
+        style: metadata.style,
+        size: `${stored.width}x${stored.height}`,
+        model: metadata.model,
+        quality: metadata.quality,
+        provider: metadata.provider,
+        operation,
+        postProcessing: { operation, params, processor, sourceImage: parent._id }
+      }
+    });
+
+    let newBalance = user.tokens;
+    if (tokensRequired > 0) {
+      try {
+        const charge = await tokenLedger.debit(req.user._id, tokensRequired, {
+          description: `${spec.label}: "${parent.prompt.substring(0, 50)}${parent.prompt.length > 50 ? '...' : ''}"`,
+          category: 'ai_generation',
+          image: image._id,
+          generationType: 'other',
+          imageCount: 1,
+          imageSize: image.metadata.size,
+          metadata: {
+            imageId: image._id,
+            sourceImageId: parent._id,
+            operation,
+            params,
+            processor
+          }
+        });
+        image.tokenTransaction = charge.transaction._id;
+        newBalance = charge.balance;
+      } catch (error) {
+        // The balance was spent meanwhile; drop the result instead of handing it out
+        await deleteStoredObject({ storage: stored.storage, storageKey: stored.storageKey, url: stored.url }).catch(() => {});
+        await deleteDerivatives(derivatives).catch(() => {});
+        throw error;
+      }
+    }
+    await image.save();
+
+    generationEvents.publishImage(image, { progress: 100 });
+
+    res.json({
+      message: 'Image processed successfully',
+      image,
+      tokensUsed: tokensRequired,
+      newBalance
+    });
+  } catch (err) {
+    if (['invalid_operation', 'insufficient_tokens'].includes(err.code)) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Image operation error:', err);
+    res.status(500).json({ message: 'Failed to process image' });
+  }
+});
+
+// Get the lineage tree an image belongs to
+router.get('/:imageId/lineage', auth, async (req, res) => {
+  try {
+    const image = await Image.findOne({ 
+      _id: req.params.imageId, 
+      user: req.user._id 
+    });
+
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    const rootId = image.rootImage || image._id;
+    const family = await Image.find({
+      user: req.user._id,
+      $or: [{ _id: rootId }, { rootImage: rootId }]
+    }).sort({ createdAt: 1 });
+
+    const nodes = new Map(family.map(member => [member._id.toString(), {
+      _id: member._id,
+      prompt: member.prompt,
+      status: member.status,
+      imageUrl: member.imageUrl,
+      thumbnailUrl: member.thumbnailUrl,
+      lineageType: member.lineageType,
+      lineageDepth: member.lineageDepth,
+      parameters: member.metadata?.parameters,
+      createdAt: member.createdAt,
+      children: []
+    }]));
+
+    // Link children to parents; images whose parent was deleted become roots
+    const roots = [];
+    for (const member of family) {
+      const node = nodes.get(member._id.toString());
+      const parentNode = member.parentImage && nodes.get(member.parentImage.toString());
+      if (parentNode) {
+        parentNode.children.push(node);
+      } else {
+        roots.push(node);
+      }
+    }
+
+    // Ancestors from the root down to the direct parent
+    const ancestors = [];
+    let current = image;
+    while (current.parentImage) {
+      const parentId = current.parentImage.toString();
+      const parent = family.find(member => member._id.toString() === parentId);
+      if (!parent) break;
+      ancestors.unshift({ _id: parent._id, prompt: parent.prompt, lineageType: parent.lineageType });
+      current = parent;
+    }
+
+    res.json({
+      imageId: image._id,
+      rootImageId: rootId,
+      ancestors,
+      tree: roots
     });
   } catch (err) {
     res.status(500).json({ message: 'Server error' });
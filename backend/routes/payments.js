@@ -1,9 +1,16 @@
 const express = require('express');
 const auth = require('../middleware/auth');
 const Payment = require('../models/Payment');
-const Token = require('../models/Token');
-const User = require('../models/User');
 const TokenPackage = require('../models/TokenPackage');
+const tokenLedger = require('../services/tokenLedgerService');
+const { expiryFromDays } = require('../services/tokenLotService');
+const {
+  findUsableCode,
+  applyToPrice,
+  reserveRedemption,
+  cancelRedemption,
+  recordCheckoutRedemption
+} = require('../services/promoCodeService');
 
 const router = express.Router();
 
@@ -32,7 +39,7 @@ router.post('/create-payment-intent', auth, async (req, res) => {
       return res.status(503).json({ message: 'Payment service is not configured' });
     }
 
-    const { packageId } = req.body;
+    const { packageId, promoCode } = req.body;
 
     // Find the package in database
     const package = await TokenPackage.findById(packageId);
@@ -58,46 +65,116 @@ router.post('/create-payment-intent', auth, async (req, res) => {
       }
     }
 
-    const totalTokens = package.tokens + package.bonusTokens;
-    const finalPrice = package.discountPercentage > 0 
+    let totalTokens = package.tokens + package.bonusTokens;
+    let finalPrice = package.discountPercentage > 0 
       ? package.price * (1 - package.discountPercentage / 100)
       : package.price;
 
-    // Create Stripe payment intent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(finalPrice * 100), // Convert to cents
-      currency: package.currency.toLowerCase(),
-      metadata: {
-        userId: req.user._id.toString(),
-        packageId: package._id.toString(),
-        tokens: totalTokens.toString(),
-        baseTokens: package.tokens.toString(),
-        bonusTokens: package.bonusTokens.toString(),
-        discountPercentage: package.discountPercentage.toString()
+    // A promo code comes on top of the package's own discount and bonus
+    let promo = null;
+    let promoDiscount = 0;
+    if (promoCode) {
+      try {
+        promo = await findUsableCode(req.user._id, promoCode, { packageId: package._id });
+      } catch (error) {
+        if (['invalid_code', 'code_exhausted', 'already_claimed'].includes(error.code)) {
+          return res.status(error.status).json({ message: error.message });
+        }
+        throw error;
       }
-    });
+      if (!promo.appliesAtCheckout()) {
+        return res.status(400).json({ message: 'This code cannot be used at checkout' });
+      }
+
+      const priced = applyToPrice(finalPrice, promo);
+      promoDiscount = Math.round(priced.discount * 100);
+      finalPrice = priced.finalPrice;
+      totalTokens += priced.bonusTokens;
+    }
 
-    // Create payment record
-    const payment = new Payment({
-      user: req.user._id,
-      packageId: package._id,
-      stripePaymentIntentId: paymentIntent.id,
-      amount: Math.round(finalPrice * 100),
-      tokens: totalTokens,
-      status: 'pending',
-      metadata: {
-        baseTokens: package.tokens,
-        bonusTokens: package.bonusTokens,
-        discountPercentage: package.discountPercentage,
-        originalPrice: package.price
+    // The code's use is reserved before the intent exists, so the discount is only
+    // given while the code has uses left; an abandoned checkout gives it back
+    let claim = null;
+    if (promo) {
+      try {
+        claim = await reserveRedemption(req.user._id, promo, {
+          action: 'checkout_code',
+          tokens: promo.bonusTokens || 0,
+          discount: promoDiscount,
+          ipAddress: req.ip || req.connection.remoteAddress,
+          userAgent: req.headers['user-agent'] || null
+        });
+      } catch (error) {
+        if (['code_exhausted', 'already_claimed'].includes(error.code)) {
+          return res.status(error.status).json({ message: error.message });
+        }
+        throw error;
       }
-    });
+    }
 
-    await payment.save();
+    let paymentIntent;
+    let payment;
+    try {
+      // Create Stripe payment intent
+      paymentIntent = await stripe.paymentIntents.create({
+        amount: Math.round(finalPrice * 100), // Convert to cents
+        currency: package.currency.toLowerCase(),
+        metadata: {
+          userId: req.user._id.toString(),
+          packageId: package._id.toString(),
+          tokens: totalTokens.toString(),
+          baseTokens: package.tokens.toString(),
+          bonusTokens: package.bonusTokens.toString(),
+          discountPercentage: package.discountPercentage.toString(),
+          promoCode: promo ? promo.code : ''
+        }
+      });
+
+      // Create payment record
+      payment = new Payment({
+        user: req.user._id,
+        packageId: package._id,
+        stripePaymentIntentId: paymentIntent.id,
+        amount: Math.round(finalPrice * 100),
+        tokens: totalTokens,
+        status: 'pending',
+        metadata: {
+          baseTokens: package.tokens,
+          bonusTokens: package.bonusTokens,
+          discountPercentage: package.discountPercentage,
+          originalPrice: package.price,
+          // Validity of the purchased tokens as it was when the purchase started
+          tokenExpiryDays: package.metadata?.tokenExpiryDays || null,
+          promoCode: promo ? {
+            id: promo._id,
+            code: promo.code,
+            // In cents, like `amount`
+            discount: promoDiscount,
+            bonusTokens: promo.bonusTokens,
+            // Reserved use of the code, completed when the payment is credited
+            claimId: claim._id
+          } : null
+        }
+      });
+
+      await payment.save();
+    } catch (error) {
+      if (claim) {
+        await cancelRedemption(claim);
+      }
+      throw error;
+    }
+
+    if (claim) {
+      claim.payment = payment._id;
+      await claim.save();
+    }
 
     res.json({
       clientSecret: paymentIntent.client_secret,
-      paymentId: payment._id
+      paymentId: payment._id,
+      amount: payment.amount,
+      tokens: payment.tokens
     });
   } catch (err) {
     console.error('Payment intent error:', err);
@@ -135,39 +212,50 @@ router.post('/confirm', auth, async (req, res) => {
       return res.status(400).json({ message: 'Payment already processed' });
     }
 
+    // Credit the tokens first: the unique purchase entry per payment stops the
+    // webhook and this request from both adding them
+    let newBalance;
+    try {
+      let transaction;
+      ({ transaction, balance: newBalance } = await tokenLedger.credit(req.user._id, payment.tokens, {
+        type: 'purchase',
+        description: `Purchased ${payment.tokens} tokens from ${payment.packageId?.name || 'package'}`,
+        category: 'purchase',
+        paymentId: payment._id,
+        packageId: payment.packageId?._id,
+        lotExpiresAt: expiryFromDays(payment.metadata?.tokenExpiryDays),
+        metadata: {
+          paymentIntentId,
+          amount: payment.amount,
+          baseTokens: payment.metadata?.baseTokens,
+          bonusTokens: payment.metadata?.bonusTokens,
+          discountPercentage: payment.metadata?.discountPercentage,
+          promoCode: payment.metadata?.promoCode?.code
+        }
+      }));
+      await recordCheckoutRedemption(payment, transaction);
+    } catch (error) {
+      if (error.code === 11000) {
+        const credited = await tokenLedger.findKeyHolder({ type: 'purchase', paymentId: payment._id.toString() });
+        if (credited?.status !== 'completed') {
+          // The other request is still crediting it; the payment is only marked once it has
+          return res.status(409).json({ message: 'Payment is still being processed' });
+        }
+        await recordCheckoutRedemption(payment, credited);
+        await Payment.updateOne({ _id: payment._id }, { $set: { status: 'succeeded', updatedAt: new Date() } });
+        return res.status(400).json({ message: 'Payment already processed' });
+      }
+      throw error;
+    }
+
     // Update payment status
     payment.status = 'succeeded';
     await payment.save();
 
-    // Add tokens to user
-    const user = await User.findById(req.user._id);
-    user.tokens += payment.tokens;
-    await user.save();
-
-    // Create token transaction record
-    const tokenTransaction = new Token({
-      user: req.user._id,
-      type: 'purchase',
-      amount: payment.tokens,
-      description: `Purchased ${payment.tokens} tokens from ${payment.packageId?.name || 'package'}`,
-      category: 'purchase',
-      paymentId: payment._id,
-      packageId: payment.packageId?._id,
-      metadata: {
-        paymentIntentId,
-        amount: payment.amount,
-        baseTokens: payment.metadata?.baseTokens,
-        bonusTokens: payment.metadata?.bonusTokens,
-        discountPercentage: payment.metadata?.discountPercentage
-      }
-    });
-
-    await tokenTransaction.save();
-
     res.json({
       message: 'Payment confirmed successfully',
       tokens: payment.tokens,
-      newBalance: user.tokens,
+      newBalance,
       package: payment.packageId
     });
   } catch (err) {
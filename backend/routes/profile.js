@@ -2,6 +2,7 @@ const express = require('express');
 const auth = require('../middleware/auth');
 const User = require('../models/User');
 const s3Service = require('../services/s3Service');
+const { tryCreateDerivatives, deleteDerivatives } = require('../services/imageDerivativeService');
 const multer = require('multer');
 const bcrypt = require('bcryptjs');
 
@@ -131,10 +132,11 @@ router.post('/avatar', auth, (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Delete old avatar from S3 if exists
+    // Delete old avatar and its variants from S3 if exists
     if (user.avatar.url && s3Service.isS3Configured()) {
       try {
         await s3Service.deleteFromS3(user.avatar.url);
+        await deleteDerivatives(user.avatar.derivatives);
       } catch (error) {
         console.error('Failed to delete old avatar:', error);
       }
@@ -162,10 +164,14 @@ router.post('/avatar', auth, (req, res) => {
 
     const result = await s3Service.s3.upload(params).promise();
 
+    // Resized and webp/avif variants for profile pictures and lists
+    const derivatives = await tryCreateDerivatives(req.file.buffer, fileName);
+
     // Update user avatar
     user.avatar = {
       url: result.Location,
-      publicId: fileName
+      publicId: fileName,
+      derivatives
     };
 
     await user.save();
@@ -174,7 +180,8 @@ router.post('/avatar', auth, (req, res) => {
       message: 'Avatar uploaded successfully',
       avatar: {
         url: user.avatar.url,
-        publicId: user.avatar.publicId
+        publicId: user.avatar.publicId,
+        derivatives: user.avatar.derivatives
       }
     });
   } catch (err) {
@@ -201,13 +208,14 @@ router.delete('/avatar', auth, async (req, res) => {
     if (s3Service.isS3Configured()) {
       try {
         await s3Service.deleteFromS3(user.avatar.url);
+        await deleteDerivatives(user.avatar.derivatives);
       } catch (error) {
         console.error('Failed to delete avatar from S3:', error);
       }
     }
 
     // Remove avatar from user
-    user.avatar = { url: null, publicId: null };
+    user.avatar = { url: null, publicId: null, derivatives: {} };
     await user.save();
 
     res.json({ message: 'Avatar deleted successfully' });
@@ -0,0 +1,158 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const PromptTemplate = require('../models/PromptTemplate');
+const { applyTemplateFields, expandTemplate } = require('../services/promptTemplateService');
+
+const router = express.Router();
+
+// Get templates available to the user (own and global presets)
+router.get('/', auth, async (req, res) => {
+  try {
+    const { scope, category } = req.query;
+
+    let filter = PromptTemplate.accessibleBy(req.user._id);
+    if (scope === 'mine') {
+      filter = { scope: 'user', user: req.user._id };
+    } else if (scope === 'global') {
+      filter = { scope: 'global', isActive: true };
+    }
+    if (category) {
+      filter = { ...filter, category };
+    }
+
+    const templates = await PromptTemplate.find(filter).sort({ scope: 1, usageCount: -1, createdAt: -1 });
+    res.json({ templates });
+  } catch (err) {
+    console.error('Get prompt templates error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a single template
+router.get('/:templateId', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.templateId)) {
+      return res.status(404).json({ message: 'Prompt template not found' });
+    }
+
+    const template = await PromptTemplate.findOne({
+      _id: req.params.templateId,
+      ...PromptTemplate.accessibleBy(req.user._id)
+    });
+
+    if (!template) {
+      return res.status(404).json({ message: 'Prompt template not found' });
+    }
+
+    res.json({ template });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a personal template
+router.post('/', auth, async (req, res) => {
+  try {
+    if (!req.body.name || !req.body.template) {
+      return res.status(400).json({ message: 'Name and template are required' });
+    }
+
+    const template = new PromptTemplate({
+      scope: 'user',
+      user: req.user._id,
+      createdBy: req.user._id
+    });
+    applyTemplateFields(template, req.body);
+
+    await template.save();
+    res.status(201).json({ template });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error('Create prompt template error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a personal template
+router.put('/:templateId', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.templateId)) {
+      return res.status(404).json({ message: 'Prompt template not found' });
+    }
+
+    const template = await PromptTemplate.findOne({
+      _id: req.params.templateId,
+      scope: 'user',
+      user: req.user._id
+    });
+
+    if (!template) {
+      return res.status(404).json({ message: 'Prompt template not found' });
+    }
+
+    applyTemplateFields(template, req.body);
+    await template.save();
+
+    res.json({ template });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error('Update prompt template error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a personal template
+router.delete('/:templateId', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.templateId)) {
+      return res.status(404).json({ message: 'Prompt template not found' });
+    }
+
+    const template = await PromptTemplate.findOneAndDelete({
+      _id: req.params.templateId,
+      scope: 'user',
+      user: req.user._id
+    });
+
+    if (!template) {
+      return res.status(404).json({ message: 'Prompt template not found' });
+    }
+
+    res.json({ message: 'Prompt template deleted successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Preview the prompt and options a template expands to
+router.post('/:templateId/preview', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.templateId)) {
+      return res.status(404).json({ message: 'Prompt template not found' });
+    }
+
+    const template = await PromptTemplate.findOne({
+      _id: req.params.templateId,
+      ...PromptTemplate.accessibleBy(req.user._id)
+    });
+
+    if (!template) {
+      return res.status(404).json({ message: 'Prompt template not found' });
+    }
+
+    const { prompt, negativePrompt, options } = expandTemplate(template, req.body.variables || {});
+    res.json({ prompt, negativePrompt, options });
+  } catch (err) {
+    if (err.code === 'invalid_template') {
+      return res.status(err.status).json({ message: err.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,37 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const auth = require('../middleware/auth');
 const { adminAuth } = require('../middleware/admin');
-const User = require('../models/User');
 const Token = require('../models/Token');
 const TokenPackage = require('../models/TokenPackage');
+const TokenLot = require('../models/TokenLot');
+const TokenClaim = require('../models/TokenClaim');
+const tokenLedger = require('../services/tokenLedgerService');
+const tokenRewardService = require('../services/tokenRewardService');
 
 const router = express.Router();
 
 // Get user token balance
 router.get('/balance', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id).select('tokens');
-    res.json({ tokens: user.tokens });
+    // Held tokens are reserved for generations still in progress
+    const { available, held, total } = await tokenLedger.getBalance(req.user._id);
+    res.json({ tokens: available, available, held, total });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the user's unspent token lots, soonest to expire first
+router.get('/lots', auth, async (req, res) => {
+  try {
+    const lots = await TokenLot.find({ user: req.user._id, remaining: { $gt: 0 } })
+      .select('source amount remaining expiresAt createdAt')
+      .sort({ expiresAt: 1, createdAt: 1 });
+
+    // Lots without an expiry sort first in Mongo; show them last
+    const expiring = lots.filter(lot => lot.expiresAt);
+    res.json({ lots: [...expiring, ...lots.filter(lot => !lot.expiresAt)] });
   } catch (err) {
     res.status(500).json({ message: 'Server error' });
   }
@@ -91,25 +111,25 @@ router.get('/analytics', auth, async (req, res) => {
 
     // Total tokens spent
     const totalSpent = await Token.aggregate([
-      { $match: { user: req.user._id, type: 'spend', createdAt: { $gte: startDate } } },
+      { $match: { user: req.user._id, status: 'completed', type: 'spend', createdAt: { $gte: startDate } } },
       { $group: { _id: null, total: { $sum: '$amount' } } }
     ]);
 
     // Tokens by category
     const tokensByCategory = await Token.aggregate([
-      { $match: { user: req.user._id, createdAt: { $gte: startDate } } },
+      { $match: { user: req.user._id, status: 'completed', createdAt: { $gte: startDate } } },
       { $group: { _id: '$category', total: { $sum: '$amount' }, count: { $sum: 1 } } }
     ]);
 
     // Tokens by AI provider
     const tokensByProvider = await Token.aggregate([
-      { $match: { user: req.user._id, aiProvider: { $exists: true, $ne: null }, createdAt: { $gte: startDate } } },
+      { $match: { user: req.user._id, status: 'completed', aiProvider: { $exists: true, $ne: null }, createdAt: { $gte: startDate } } },
       { $group: { _id: '$aiProvider', total: { $sum: '$amount' }, count: { $sum: 1 } } }
     ]);
 
     // Daily usage for chart
     const dailyUsage = await Token.aggregate([
-      { $match: { user: req.user._id, createdAt: { $gte: startDate } } },
+      { $match: { user: req.user._id, status: 'completed', createdAt: { $gte: startDate } } },
       {
         $group: {
           _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
@@ -143,115 +163,54 @@ router.get('/packages', auth, async (req, res) => {
   }
 });
 
-// Spend tokens (for AI generation) - Enhanced version
-router.post('/spend', auth, async (req, res) => {
-  try {
-    const { 
-      amount, 
-      description, 
-      category = 'ai_generation',
-      aiProvider = null,
-      generationType = null,
-      imageCount = null,
-      imageSize = null,
-      prompt = null,
-      metadata = {} 
-    } = req.body;
-
-    if (!amount || amount <= 0) {
-      return res.status(400).json({ message: 'Invalid amount' });
-    }
-
-    if (!description) {
-      return res.status(400).json({ message: 'Description is required' });
-    }
-
-    const user = await User.findById(req.user._id);
-    
-    if (user.tokens < amount) {
-      return res.status(400).json({ message: 'Insufficient tokens' });
-    }
-
-    // Create token transaction with enhanced metadata
-    const tokenTransaction = new Token({
-      user: req.user._id,
-      type: 'spend',
-      amount: -amount, // Negative for spending
-      description,
-      category,
-      aiProvider,
-      generationType,
-      imageCount,
-      imageSize,
-      prompt,
-      sessionId: req.headers['x-session-id'] || null,
-      userAgent: req.headers['user-agent'] || null,
-      ipAddress: req.ip || req.connection.remoteAddress,
-      metadata
-    });
+// Request details recorded on every claim
+const claimContext = (req) => ({
+  ipAddress: req.ip || req.connection.remoteAddress,
+  userAgent: req.headers['user-agent'] || null
+});
 
-    // Update user token balance
-    user.tokens -= amount;
+// Get rewards on offer and whether they can be claimed
+router.get('/rewards', auth, async (req, res) => {
+  try {
+    const rewards = await tokenRewardService.listRewards(req.user);
+    res.json({ rewards });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    await Promise.all([tokenTransaction.save(), user.save()]);
+// Claim a reward
+router.post('/rewards/:name/claim', auth, async (req, res) => {
+  try {
+    const { transaction, balance } = await tokenRewardService.claimReward(req.user, req.params.name, claimContext(req));
 
     res.json({
-      message: 'Tokens spent successfully',
-      newBalance: user.tokens,
-      transaction: tokenTransaction
+      message: 'Reward claimed successfully',
+      newBalance: balance,
+      transaction
     });
   } catch (err) {
+    if (['reward_not_found', 'not_eligible', 'already_claimed'].includes(err.code)) {
+      return res.status(err.status).json({ message: err.message });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Add tokens (for purchases, bonuses, etc.) - Enhanced version
-router.post('/add', auth, async (req, res) => {
+// Redeem a promo code
+router.post('/redeem', auth, async (req, res) => {
   try {
-    const { 
-      amount, 
-      description, 
-      type = 'bonus', 
-      category = 'admin_bonus',
-      packageId = null,
-      metadata = {} 
-    } = req.body;
-
-    if (!amount || amount <= 0) {
-      return res.status(400).json({ message: 'Invalid amount' });
-    }
-
-    if (!description) {
-      return res.status(400).json({ message: 'Description is required' });
-    }
-
-    const user = await User.findById(req.user._id);
-
-    // Create token transaction
-    const tokenTransaction = new Token({
-      user: req.user._id,
-      type,
-      amount,
-      description,
-      category,
-      packageId,
-      sessionId: req.headers['x-session-id'] || null,
-      userAgent: req.headers['user-agent'] || null,
-      ipAddress: req.ip || req.connection.remoteAddress,
-      metadata
-    });
-
-    // Update user token balance
-    user.tokens += amount;
-
-    await Promise.all([tokenTransaction.save(), user.save()]);
+    const { transaction, balance } = await tokenRewardService.redeemCode(req.user, req.body.code, claimContext(req));
 
     res.json({
-      message: 'Tokens added successfully',
-      newBalance: user.tokens,
-      transaction: tokenTransaction
+      message: 'Code redeemed successfully',
+      newBalance: balance,
+      transaction
     });
   } catch (err) {
+    if (['invalid_code', 'code_exhausted', 'already_claimed', 'checkout_only'].includes(err.code)) {
+      return res.status(err.status).json({ message: err.message });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -306,6 +265,48 @@ router.get('/admin/transactions', [auth, adminAuth], async (req, res) => {
   }
 });
 
+// Admin: Get the audit trail of redeemed codes and claimed rewards
+router.get('/admin/claims', [auth, adminAuth], async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const { userId, action } = req.query;
+
+    let query = {};
+
+    if (userId) {
+      if (!mongoose.isValidObjectId(userId)) {
+        return res.status(400).json({ message: 'Invalid user id' });
+      }
+      query.user = userId;
+    }
+    if (action) query.action = action;
+
+    const claims = await TokenClaim.find(query)
+      .populate('user', 'username email')
+      .populate('promoCode', 'code')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await TokenClaim.countDocuments(query);
+
+    res.json({
+      claims,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Admin: Get system-wide token analytics
 router.get('/admin/analytics', [auth, adminAuth], async (req, res) => {
   try {
@@ -331,19 +332,19 @@ router.get('/admin/analytics', [auth, adminAuth], async (req, res) => {
 
     // Total tokens in system
     const totalTokens = await Token.aggregate([
-      { $match: { createdAt: { $gte: startDate } } },
+      { $match: { status: 'completed', createdAt: { $gte: startDate } } },
       { $group: { _id: null, total: { $sum: '$amount' } } }
     ]);
 
     // Tokens by type
     const tokensByType = await Token.aggregate([
-      { $match: { createdAt: { $gte: startDate } } },
+      { $match: { status: 'completed', createdAt: { $gte: startDate } } },
       { $group: { _id: '$type', total: { $sum: '$amount' }, count: { $sum: 1 } } }
     ]);
 
     // Top users by token usage
     const topUsers = await Token.aggregate([
-      { $match: { type: 'spend', createdAt: { $gte: startDate } } },
+      { $match: { type: 'spend', status: 'completed', createdAt: { $gte: startDate } } },
       { $group: { _id: '$user', totalSpent: { $sum: '$amount' } } },
       { $sort: { totalSpent: 1 } },
       { $limit: 10 },
@@ -361,7 +362,7 @@ router.get('/admin/analytics', [auth, adminAuth], async (req, res) => {
 
     // Daily system usage
     const dailySystemUsage = await Token.aggregate([
-      { $match: { createdAt: { $gte: startDate } } },
+      { $match: { status: 'completed', createdAt: { $gte: startDate } } },
       {
         $group: {
           _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
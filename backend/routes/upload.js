@@ -2,9 +2,25 @@ const express = require('express');
 const auth = require('../middleware/auth');
 const s3Service = require('../services/s3Service');
 const File = require('../models/File');
+const { readStoredObject } = require('../services/imageStorageService');
+const { createDerivatives, deleteDerivatives } = require('../services/imageDerivativeService');
 
 const router = express.Router();
 
+// Create previews for image uploads; uploads are streamed to S3, so read them back
+const addImageDerivatives = async (file) => {
+  if (!file.mimeType.startsWith('image/')) return;
+
+  try {
+    const buffer = await readStoredObject({ storage: 's3', storageKey: file.fileName });
+    file.derivatives = await createDerivatives(buffer, file.fileName);
+    file.thumbnailUrl = file.derivatives.thumbnail.url;
+  } catch (error) {
+    // The upload itself succeeded; it just has no preview
+    console.error(`Failed to create previews for ${file.fileName}:`, error);
+  }
+};
+
 // Upload single file to S3
 router.post('/single', auth, (req, res) => {
   s3Service.uploadSingle(req, res, async (err) => {
@@ -35,6 +51,7 @@ router.post('/single', auth, (req, res) => {
         }
       });
 
+      await addImageDerivatives(file);
       await file.save();
 
       res.json({
@@ -44,6 +61,7 @@ router.post('/single', auth, (req, res) => {
           originalName: file.originalName,
           fileName: file.fileName,
           fileUrl: file.fileUrl,
+          thumbnailUrl: file.thumbnailUrl,
           fileSize: file.fileSize,
           mimeType: file.mimeType,
           uploadedAt: file.createdAt
@@ -89,12 +107,14 @@ router.post('/multiple', auth, (req, res) => {
           }
         });
 
+        await addImageDerivatives(fileRecord);
         await fileRecord.save();
         uploadedFiles.push({
           id: fileRecord._id,
           originalName: fileRecord.originalName,
           fileName: fileRecord.fileName,
           fileUrl: fileRecord.fileUrl,
+          thumbnailUrl: fileRecord.thumbnailUrl,
           fileSize: fileRecord.fileSize,
           mimeType: fileRecord.mimeType,
           uploadedAt: fileRecord.createdAt
@@ -173,9 +193,10 @@ router.delete('/:fileId', auth, async (req, res) => {
       return res.status(404).json({ message: 'File not found' });
     }
 
-    // Delete file from S3 bucket
+    // Delete file and its previews from S3 bucket
     if (s3Service.isS3Configured()) {
       await s3Service.deleteFromS3(file.fileUrl);
+      await deleteDerivatives(file.derivatives);
     }
 
     // Delete file record from database
@@ -1,8 +1,9 @@
 const express = require('express');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const Payment = require('../models/Payment');
-const User = require('../models/User');
-const Token = require('../models/Token');
+const tokenLedger = require('../services/tokenLedgerService');
+const { expiryFromDays } = require('../services/tokenLotService');
+const { recordCheckoutRedemption, releaseCheckoutRedemption } = require('../services/promoCodeService');
 
 const router = express.Router();
 
@@ -25,11 +26,17 @@ router.post('/stripe', express.raw({ type: 'application/json' }), async (req, re
   // Handle the event
   switch (event.type) {
     case 'payment_intent.succeeded':
-      await handlePaymentSuccess(event.data.object);
+      // Not answering 2xx makes Stripe deliver the event again later
+      if (!await handlePaymentSuccess(event.data.object)) {
+        return res.status(409).json({ message: 'Payment is still being processed' });
+      }
       break;
     case 'payment_intent.payment_failed':
       await handlePaymentFailure(event.data.object);
       break;
+    case 'payment_intent.canceled':
+      await handlePaymentCanceled(event.data.object);
+      break;
     case 'charge.dispute.created':
       await handleDisputeCreated(event.data.object);
       break;
@@ -40,7 +47,7 @@ router.post('/stripe', express.raw({ type: 'application/json' }), async (req, re
   res.json({ received: true });
 });
 
-// Handle successful payment
+// Handle successful payment; false while another request is still crediting it
 async function handlePaymentSuccess(paymentIntent) {
   try {
     const payment = await Payment.findOne({
@@ -49,45 +56,56 @@ async function handlePaymentSuccess(paymentIntent) {
 
     if (!payment) {
       console.error('Payment not found for payment intent:', paymentIntent.id);
-      return;
+      return true;
     }
 
     if (payment.status === 'succeeded') {
       console.log('Payment already processed:', paymentIntent.id);
-      return;
+      return true;
     }
 
-    // Update payment status
-    payment.status = 'succeeded';
-    await payment.save();
-
-    // Add tokens to user
-    const user = await User.findById(payment.user);
-    if (user) {
-      user.tokens += payment.tokens;
-      await user.save();
-
-      // Create token transaction record
-      const tokenTransaction = new Token({
-        user: payment.user,
+    // Credit the tokens first: the unique purchase entry per payment stops the
+    // confirm endpoint and this webhook from both adding them
+    try {
+      const { transaction } = await tokenLedger.credit(payment.user, payment.tokens, {
         type: 'purchase',
-        amount: payment.tokens,
         description: `Purchased ${payment.tokens} tokens via Stripe`,
+        category: 'purchase',
         paymentId: payment._id,
+        packageId: payment.packageId,
+        lotExpiresAt: expiryFromDays(payment.metadata?.tokenExpiryDays),
         metadata: {
           paymentIntentId: paymentIntent.id,
           amount: payment.amount,
-          currency: payment.currency
+          currency: payment.currency,
+          promoCode: payment.metadata?.promoCode?.code
         }
       });
-
-      await tokenTransaction.save();
-
-      console.log(`Payment successful: ${payment.tokens} tokens added to user ${user._id}`);
+      await recordCheckoutRedemption(payment, transaction);
+      console.log(`Payment successful: ${payment.tokens} tokens added to user ${payment.user}`);
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      const credited = await tokenLedger.findKeyHolder({ type: 'purchase', paymentId: payment._id.toString() });
+      if (credited?.status !== 'completed') {
+        // Still being credited elsewhere (or left pending by a crash, until
+        // reconciliation settles it); the retried event finishes the payment
+        console.log('Payment credit in progress:', paymentIntent.id);
+        return false;
+      }
+      // The request that credited it may have stopped before recording the code
+      await recordCheckoutRedemption(payment, credited);
+      console.log('Payment already credited:', paymentIntent.id);
     }
+
+    // Update payment status
+    payment.status = 'succeeded';
+    await payment.save();
   } catch (error) {
     console.error('Error handling payment success:', error);
   }
+  return true;
 }
 
 // Handle failed payment
@@ -107,6 +125,24 @@ async function handlePaymentFailure(paymentIntent) {
   }
 }
 
+// Handle cancelled payment; a failed one can still be retried, a cancelled one gives its promo code back
+async function handlePaymentCanceled(paymentIntent) {
+  try {
+    const payment = await Payment.findOne({
+      stripePaymentIntentId: paymentIntent.id
+    });
+
+    if (payment && payment.status !== 'succeeded') {
+      await releaseCheckoutRedemption(payment);
+      payment.status = 'cancelled';
+      await payment.save();
+      console.log(`Payment cancelled: ${paymentIntent.id}`);
+    }
+  } catch (error) {
+    console.error('Error handling payment cancellation:', error);
+  }
+}
+
 // Handle dispute
 async function handleDisputeCreated(dispute) {
   try {
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const Token = require('../models/Token');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-image-generator');
+
+/**
+ * Find payments credited more than once, oldest entry first in each group
+ */
+const findDuplicatePurchases = () => Token.aggregate([
+  { $match: { type: 'purchase', paymentId: { $type: 'string' }, status: 'completed' } },
+  { $sort: { createdAt: 1 } },
+  { $group: { _id: '$paymentId', ids: { $push: '$_id' }, count: { $sum: 1 } } },
+  { $match: { count: { $gt: 1 } } }
+]);
+
+/**
+ * Move the extra purchase entries of each payment off the unique key
+ * The tokens were really given (the confirm endpoint and the webhook both
+ * credited the same payment), so the entries and balances stay as they are and
+ * only stop claiming the payment; `metadata.duplicateOf` points at the kept entry.
+ */
+async function migrateTokenUniqueIndexes() {
+  try {
+    const payments = await findDuplicatePurchases();
+    let released = 0;
+
+    for (const payment of payments) {
+      const [kept, ...extra] = payment.ids;
+      console.log(`Payment ${payment._id}: keeping ${kept}, releasing ${extra.join(', ')}`);
+      released += extra.length;
+
+      if (!dryRun) {
+        await Token.updateMany(
+          { _id: { $in: extra } },
+          { $set: { paymentId: null, 'metadata.duplicateOf': kept } }
+        );
+      }
+    }
+
+    console.log(`${released} duplicate purchase entries ${dryRun ? 'found' : 'released'}`);
+
+    if (dryRun) {
+      process.exit(0);
+    }
+
+    await Token.createIndexes();
+    console.log('\nToken indexes are up to date!');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating token indexes:', error);
+    process.exit(1);
+  }
+}
+
+migrateTokenUniqueIndexes();
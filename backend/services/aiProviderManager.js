@@ -1,3 +1,13 @@
+const { aspectRatioOf } = require('./aiProviders/baseProvider');
+const HttpProvider = require('./aiProviders/httpProvider');
+
+// Error codes that mean the request itself is at fault, so trying another
+// provider would not help (or would bypass a provider's content policy)
+const NON_FAILOVER_ERROR_CODES = ['content_policy_violation', 'invalid_prompt'];
+
+// Models without an operations list only generate from text
+const modelSupports = (model, operation) => (model.operations || ['text_to_image']).includes(operation);
+
 /**
  * AI Provider Manager
  * Manages different AI providers and handles provider switching
@@ -5,6 +15,10 @@
 class AIProviderManager {
   constructor() {
     this.providers = new Map();
+    this.instances = new Map();
+    this.health = new Map();
+    this.textProviders = new Map();
+    this.textInstances = new Map();
     this.currentProvider = null;
     this.config = {};
   }
@@ -16,9 +30,21 @@ class AIProviderManager {
    */
   registerProvider(name, providerClass) {
     this.providers.set(name, providerClass);
+    this.instances.delete(name);
     console.log(`AI Provider registered: ${name}`);
   }
 
+  /**
+   * Register a text provider used for prompt enhancement
+   * @param {string} name - Provider name
+   * @param {BaseTextProvider} providerClass - Text provider class
+   */
+  registerTextProvider(name, providerClass) {
+    this.textProviders.set(name, providerClass);
+    this.textInstances.delete(name);
+    console.log(`Text provider registered: ${name}`);
+  }
+
   /**
    * Initialize the provider manager with configuration
    * @param {Object} config - Configuration object
@@ -53,9 +79,9 @@ class AIProviderManager {
         console.log('OpenAI provider not available (missing dependencies)');
       }
       
-      // Load Stability AI Provider (placeholder)
-      // const StabilityProvider = require('./aiProviders/stabilityProvider');
-      // this.registerProvider('stability', StabilityProvider);
+      // Load Stability AI Provider
+      const StabilityProvider = require('./aiProviders/stabilityProvider');
+      this.registerProvider('stability', StabilityProvider);
       
       // Load Custom Provider (if configured)
       if (this.config.customProviderPath) {
@@ -67,6 +93,34 @@ class AIProviderManager {
         }
       }
       
+      // Load HTTP Providers described in definition files (if configured)
+      if (this.config.providerDefinitionsPath) {
+        try {
+          for (const definition of HttpProvider.loadDefinitions(this.config.providerDefinitionsPath)) {
+            if (this.providers.has(definition.name)) {
+              console.error(`Provider definition '${definition.name}' skipped: name already registered`);
+              continue;
+            }
+            this.registerProvider(definition.name, HttpProvider.define(definition));
+          }
+        } catch (error) {
+          console.error('Failed to load provider definitions:', error);
+        }
+      }
+      
+      // Load Text Providers for prompt enhancement
+      this.registerTextProvider('mock', require('./aiProviders/textProviders/mockTextProvider'));
+      this.registerTextProvider('openai', require('./aiProviders/textProviders/openaiTextProvider'));
+
+      if (this.config.customTextProviderPath) {
+        try {
+          const CustomTextProvider = require(this.config.customTextProviderPath);
+          this.registerTextProvider('custom', CustomTextProvider);
+        } catch (error) {
+          console.error('Failed to load custom text provider:', error);
+        }
+      }
+      
     } catch (error) {
       console.error('Error loading AI providers:', error);
       throw new Error('Failed to load AI providers');
@@ -78,16 +132,7 @@ class AIProviderManager {
    * @param {string} providerName - Name of the provider to use
    */
   async setProvider(providerName) {
-    if (!this.providers.has(providerName)) {
-      throw new Error(`Provider '${providerName}' not found. Available: ${Array.from(this.providers.keys()).join(', ')}`);
-    }
-
-    const ProviderClass = this.providers.get(providerName);
-    this.currentProvider = new ProviderClass();
-    
-    // Initialize the provider with configuration
-    const providerConfig = this.getProviderConfig(providerName);
-    await this.currentProvider.initialize(providerConfig);
+    this.currentProvider = await this.getProviderInstance(providerName);
     
     console.log(`Current AI provider set to: ${providerName}`);
   }
@@ -100,7 +145,9 @@ class AIProviderManager {
   getProviderConfig(providerName) {
     const baseConfig = {
       timeout: this.config.timeout || 30000,
-      retries: this.config.retries || 3
+      retries: this.config.retries ?? 3,
+      retryBaseDelay: this.config.retryBaseDelay || 500,
+      retryMaxDelay: this.config.retryMaxDelay || 10000
     };
 
     switch (providerName) {
@@ -116,7 +163,8 @@ class AIProviderManager {
         return {
           ...baseConfig,
           apiKey: this.config.stabilityApiKey,
-          model: this.config.stabilityModel || 'stable-diffusion-xl-1024-v1-0'
+          model: this.config.stabilityModel || 'stable-diffusion-xl-1024-v1-0',
+          baseUrl: this.config.stabilityBaseUrl
         };
       
       case 'custom':
@@ -143,49 +191,590 @@ class AIProviderManager {
   }
 
   /**
-   * Generate image using current provider
+   * Get an initialized instance of a provider, creating it on first use
+   * @param {string} providerName - Provider name
+   * @returns {Promise<BaseAIProvider>} - Provider instance
+   */
+  async getProviderInstance(providerName) {
+    if (this.instances.has(providerName)) {
+      return this.instances.get(providerName);
+    }
+
+    if (!this.providers.has(providerName)) {
+      throw new Error(`Provider '${providerName}' not found. Available: ${Array.from(this.providers.keys()).join(', ')}`);
+    }
+
+    const ProviderClass = this.providers.get(providerName);
+    const provider = new ProviderClass();
+    await provider.initialize(this.getProviderConfig(providerName));
+
+    this.instances.set(providerName, provider);
+    return provider;
+  }
+
+  /**
+   * Get configuration for a specific text provider
+   * @param {string} providerName - Text provider name
+   * @returns {Object} - Text provider configuration
+   */
+  getTextProviderConfig(providerName) {
+    const baseConfig = {
+      timeout: this.config.timeout || 30000,
+      retries: this.config.retries ?? 3,
+      tokenCost: this.config.promptEnhancementTokenCost ?? 1,
+      costUsd: this.config.promptEnhancementCostUsd
+    };
+
+    switch (providerName) {
+      case 'openai':
+        return {
+          ...baseConfig,
+          apiKey: this.config.openaiApiKey,
+          organization: this.config.openaiOrganization,
+          model: this.config.openaiTextModel || 'gpt-4o-mini'
+        };
+
+      case 'custom':
+        return {
+          ...baseConfig,
+          ...this.config.customTextProviderConfig
+        };
+
+      case 'mock':
+      default:
+        return baseConfig;
+    }
+  }
+
+  /**
+   * Get an initialized instance of a text provider, creating it on first use
+   * @param {string} providerName - Text provider name
+   * @returns {Promise<BaseTextProvider>} - Text provider instance
+   */
+  async getTextProviderInstance(providerName) {
+    if (this.textInstances.has(providerName)) {
+      return this.textInstances.get(providerName);
+    }
+
+    if (!this.textProviders.has(providerName)) {
+      throw new Error(`Text provider '${providerName}' not found. Available: ${Array.from(this.textProviders.keys()).join(', ')}`);
+    }
+
+    const ProviderClass = this.textProviders.get(providerName);
+    const provider = new ProviderClass();
+    await provider.initialize(this.getTextProviderConfig(providerName));
+
+    this.textInstances.set(providerName, provider);
+    return provider;
+  }
+
+  /**
+   * Rewrite a short prompt into a detailed one before generation
+   * @param {string} prompt - Prompt written by the user
+   * @param {Object} options - { style, provider } (text provider defaults to config.textProvider)
+   * @returns {Promise<Object>} - { originalPrompt, enhancedPrompt, style, provider, model, tokensUsed }
+   */
+  async enhancePrompt(prompt, options = {}) {
+    const providerName = options.provider || this.config.textProvider || 'mock';
+    const provider = await this.getTextProviderInstance(providerName);
+    const style = options.style || 'realistic';
+    const maxLength = this.config.promptEnhancementMaxLength || 1000;
+
+    const result = await provider.enhancePrompt(prompt.trim(), { style, maxLength });
+
+    // Image providers reject overly long prompts, so cut at the last phrase that fits
+    let enhancedPrompt = result.prompt.trim();
+    if (enhancedPrompt.length > maxLength) {
+      const clipped = enhancedPrompt.substring(0, maxLength);
+      const boundary = clipped.lastIndexOf(',') > 0 ? clipped.lastIndexOf(',') : clipped.lastIndexOf(' ');
+      enhancedPrompt = (boundary > 0 ? clipped.substring(0, boundary) : clipped).replace(/[\s,]+$/, '');
+    }
+
+    return {
+      originalPrompt: prompt,
+      enhancedPrompt,
+      style,
+      provider: providerName,
+      model: result.model || null,
+      tokensUsed: provider.calculateTokenCost(),
+      providerCostUsd: provider.calculateProviderCost()
+    };
+  }
+
+  /**
+   * What a generation cost us at the provider, in USD
+   * Cost tables in config.providerCosts override the provider's own.
+   * @param {BaseAIProvider} provider - Provider instance that served the generation
+   * @param {Object} options - { model, size, quality }
+   * @returns {number} - Cost in USD
+   */
+  getProviderCost(provider, options = {}) {
+    const override = (this.config.providerCosts || {})[provider.name];
+    let table = provider.getCostTable();
+    if (override) {
+      const models = { ...table.models };
+      for (const [model, sizes] of Object.entries(override.models || {})) {
+        models[model] = { ...models[model], ...sizes };
+      }
+      table = { ...table, ...override, models };
+    }
+
+    const cost = provider.calculateProviderCost(options, table);
+
+    return Math.round(cost * 1e6) / 1e6;
+  }
+
+  /**
+   * Get the ordered list of providers to try for a generation
+   * The current provider always comes first, followed by the configured fallbacks.
+   * A provider requested explicitly by the caller is used on its own, since the
+   * chosen model and price only apply to that provider.
+   * @param {string} requestedProvider - Provider chosen by the caller (optional)
+   * @returns {Array<string>} - Provider names in failover order
+   */
+  getFallbackChain(requestedProvider = null) {
+    if (requestedProvider) {
+      return [requestedProvider];
+    }
+
+    const chain = [this.getCurrentProvider().name];
+
+    for (const name of this.config.fallbackProviders || []) {
+      if (!chain.includes(name) && this.providers.has(name)) {
+        chain.push(name);
+      }
+    }
+
+    return chain;
+  }
+
+  /**
+   * Get health record for a provider, creating an empty one if needed
+   * @param {string} providerName - Provider name
+   * @returns {Object} - Mutable health record
+   */
+  getHealthRecord(providerName) {
+    if (!this.health.has(providerName)) {
+      this.health.set(providerName, {
+        provider: providerName,
+        circuit: 'closed',
+        successes: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        lastError: null,
+        lastFailureAt: null,
+        lastSuccessAt: null,
+        openedAt: null
+      });
+    }
+    return this.health.get(providerName);
+  }
+
+  /**
+   * Check whether the circuit breaker allows a call to the provider
+   * An open circuit lets a single trial request through once the cooldown has passed
+   * @param {string} providerName - Provider name
+   * @returns {boolean} - True if the provider may be called
+   */
+  isProviderAvailable(providerName) {
+    const record = this.getHealthRecord(providerName);
+
+    if (record.circuit === 'closed') {
+      return true;
+    }
+
+    const cooldown = this.config.circuitBreakerCooldown || 60000;
+    if (record.circuit === 'open' && Date.now() - record.openedAt >= cooldown) {
+      record.circuit = 'half_open';
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Record a successful provider call and close its circuit
+   * @param {string} providerName - Provider name
+   */
+  recordSuccess(providerName) {
+    const record = this.getHealthRecord(providerName);
+    record.successes += 1;
+    record.consecutiveFailures = 0;
+    record.lastSuccessAt = new Date();
+    record.circuit = 'closed';
+    record.openedAt = null;
+  }
+
+  /**
+   * Record a failed provider call, opening the circuit after repeated errors
+   * @param {string} providerName - Provider name
+   * @param {Error} error - Error raised by the provider
+   */
+  recordFailure(providerName, error) {
+    const record = this.getHealthRecord(providerName);
+    const threshold = this.config.circuitBreakerThreshold || 3;
+
+    record.failures += 1;
+    record.consecutiveFailures += 1;
+    record.lastError = error.message;
+    record.lastFailureAt = new Date();
+
+    if (record.circuit === 'half_open' || record.consecutiveFailures >= threshold) {
+      if (record.circuit !== 'open') {
+        console.warn(`AI provider circuit opened: ${providerName} (${record.consecutiveFailures} consecutive failures)`);
+      }
+      record.circuit = 'open';
+      record.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Reopen a half-open circuit whose trial request ended without showing
+   * whether the provider works (e.g. the prompt was rejected by its policy)
+   * @param {string} providerName - Provider name
+   */
+  releaseTrial(providerName) {
+    const record = this.getHealthRecord(providerName);
+    if (record.circuit === 'half_open') {
+      record.circuit = 'open';
+      record.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Get health information for all registered providers
+   * @returns {Array} - Health records
+   */
+  getProvidersHealth() {
+    return this.getAvailableProviders().map(name => ({ ...this.getHealthRecord(name) }));
+  }
+
+  /**
+   * Generate image, falling back through the provider chain on failure
    * @param {string} prompt - Image description
    * @param {Object} options - Generation options
    * @returns {Promise<Object>} - Generated image data
    */
   async generateImage(prompt, options = {}) {
-    const provider = this.getCurrentProvider();
-    
-    // Validate prompt
-    const validation = provider.validatePrompt(prompt);
-    if (!validation.valid) {
-      throw new Error(validation.error);
+    return this.runWithFailover('text_to_image', prompt, options,
+      (provider, providerOptions) => provider.generateWithRetry(prompt, providerOptions));
+  }
+
+  /**
+   * Generate an image from a source image and prompt (image-to-image)
+   * @param {Object} image - Source image ({ buffer, mimeType })
+   * @param {string} prompt - Description of the desired result
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object>} - Generated image data
+   */
+  async editImage(image, prompt, options = {}) {
+    return this.runWithFailover('image_to_image', prompt, options,
+      (provider, providerOptions) => provider.withRetry((requestOptions) => provider.editImage(image, prompt, providerOptions, requestOptions), { onProgress: options.onProgress }));
+  }
+
+  /**
+   * Repaint the masked area of a source image
+   * @param {Object} image - Source image ({ buffer, mimeType })
+   * @param {Object} mask - Mask image ({ buffer, mimeType })
+   * @param {string} prompt - Description of the repainted area
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object>} - Generated image data
+   */
+  async inpaintImage(image, mask, prompt, options = {}) {
+    return this.runWithFailover('inpainting', prompt, options,
+      (provider, providerOptions) => provider.withRetry((requestOptions) => provider.inpaintImage(image, mask, prompt, providerOptions, requestOptions), { onProgress: options.onProgress }));
+  }
+
+  /**
+   * Create a variation of a source image
+   * @param {Object} image - Source image ({ buffer, mimeType })
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object>} - Generated image data
+   */
+  async createVariation(image, options = {}) {
+    return this.runWithFailover('variation', null, options,
+      (provider, providerOptions) => provider.withRetry((requestOptions) => provider.createVariation(image, providerOptions, requestOptions), { onProgress: options.onProgress }));
+  }
+
+  /**
+   * Run an operation on the first healthy provider in the chain that supports it
+   * @param {string} operation - Operation name
+   * @param {string|null} prompt - Prompt to validate, if the operation takes one
+   * @param {Object} options - Generation options
+   * @param {Function} call - Receives a provider and the options fitted to it, and returns the result promise
+   * @returns {Promise<Object>} - Generated image data
+   */
+  async runWithFailover(operation, prompt, options, call) {
+    const chain = this.getFallbackChain(options.provider);
+    const attempts = [];
+    const generationStartedAt = Date.now();
+    let lastError = null;
+
+    const summarize = () => ({
+      providersTried: attempts,
+      totalAttempts: attempts.reduce((sum, entry) => sum + (entry.attempts?.length || 0), 0),
+      generationTimeMs: Date.now() - generationStartedAt
+    });
+
+    for (const providerName of chain) {
+      let provider;
+      try {
+        provider = await this.getProviderInstance(providerName);
+      } catch (error) {
+        this.recordFailure(providerName, error);
+        attempts.push({ provider: providerName, status: 'failed', error: error.message });
+        lastError = error;
+        continue;
+      }
+
+      if (!provider.getSupportedOperations().includes(operation)) {
+        attempts.push({ provider: providerName, status: 'skipped', error: `Does not support ${operation}` });
+        continue;
+      }
+
+      // Fallback providers must accept the same advanced parameters
+      const providerOptions = this.fitOptionsToProvider(provider, operation, options);
+      const parameterCheck = provider.validateParameters(providerOptions);
+      if (!parameterCheck.valid) {
+        attempts.push({ provider: providerName, status: 'skipped', error: parameterCheck.error });
+        continue;
+      }
+
+      // Validate prompt
+      const validation = prompt === null ? { valid: true } : provider.validatePrompt(prompt);
+      if (!validation.valid) {
+        const error = new Error(validation.error);
+        error.code = 'invalid_prompt';
+        Object.assign(error, { attempts }, summarize());
+        throw error;
+      }
+
+      // Checked last: an open circuit lets one trial through, which must then record an outcome
+      if (!this.isProviderAvailable(providerName)) {
+        attempts.push({ provider: providerName, status: 'skipped', error: 'Circuit open' });
+        continue;
+      }
+
+      const startedAt = Date.now();
+      try {
+        // Retries and timeouts are handled per provider before failing over
+        const result = await call(provider, providerOptions);
+        const { attempts: providerAttempts = [], ...resultMetadata } = result.metadata || {};
+
+        this.recordSuccess(providerName);
+        attempts.push({
+          provider: providerName,
+          status: 'succeeded',
+          durationMs: Date.now() - startedAt,
+          attempts: providerAttempts
+        });
+
+        result.metadata = {
+          ...resultMetadata,
+          // Effective parameters: defaults plus whatever the provider picked (e.g. a random seed)
+          parameters: { ...parameterCheck.parameters, ...resultMetadata.parameters },
+          provider: providerName,
+          servedBy: providerName,
+          // Model and size of the provider that served the request, not of the one it was priced for
+          model: resultMetadata.model || providerOptions.model,
+          size: resultMetadata.size || providerOptions.size,
+          ...(providerOptions !== options && { requestedModel: options.model, requestedSize: options.size }),
+          providerCostUsd: this.getProviderCost(provider, { ...providerOptions, ...resultMetadata }),
+          ...summarize()
+        };
+        return result;
+      } catch (error) {
+        attempts.push({
+          provider: providerName,
+          status: 'failed',
+          error: error.message,
+          durationMs: Date.now() - startedAt,
+          attempts: error.providerAttempts || []
+        });
+
+        if (NON_FAILOVER_ERROR_CODES.includes(error.code)) {
+          this.releaseTrial(providerName);
+          Object.assign(error, { attempts }, summarize());
+          throw error;
+        }
+
+        this.recordFailure(providerName, error);
+        lastError = error;
+      }
     }
-    
-    // Generate image
-    return await provider.generateImage(prompt, options);
+
+    const error = new Error(lastError
+      ? `All AI providers failed. Last error: ${lastError.message}`
+      : 'No AI provider is currently available');
+    Object.assign(error, { attempts }, summarize());
+    throw error;
   }
 
   /**
-   * Get available models from current provider
-   * @returns {Array} - Available models
+   * Fit the model and size of an unpinned request to a provider of the failover chain
+   * The request was resolved against the current provider, whose model and size
+   * may not exist on a fallback; the fallback then uses its own default model and
+   * a size with the same aspect ratio (or its default size). Pinned requests stay as they are.
+   * @param {BaseAIProvider} provider - Provider about to be tried
+   * @param {string} operation - Operation name
+   * @param {Object} options - Generation options
+   * @returns {Object} - The same options, or a copy with the provider's model and size
    */
-  getAvailableModels() {
-    const provider = this.getCurrentProvider();
+  fitOptionsToProvider(provider, operation, options) {
+    if (options.provider) {
+      return options;
+    }
+
+    const models = provider.getAvailableModels().filter(model => modelSupports(model, operation));
+    const model = models.find(m => m.id === options.model)
+      || models.find(m => m.id === provider.config?.model)
+      || models[0];
+    if (!model || (model.id === options.model && (!options.size || model.supportedSizes.includes(options.size)))) {
+      return options;
+    }
+
+    let size = options.size;
+    if (!size || !model.supportedSizes.includes(size)) {
+      const aspectRatio = options.aspectRatio || (size && aspectRatioOf(size));
+      size = (aspectRatio && provider.getSizeForAspectRatio(model, aspectRatio))
+        || (model.supportedSizes.includes('512x512') ? '512x512' : model.supportedSizes[0]);
+    }
+
+    return { ...options, model: model.id, size };
+  }
+
+  /**
+   * Validate a generation request against a provider and resolve its defaults
+   * @param {string} prompt - Image description
+   * @param {Object} options - Generation options, optionally including provider and model
+   * @returns {Promise<Object>} - Validation result with resolved provider, options and token cost
+   */
+  async validateGenerationRequest(prompt, options = {}) {
+    const providerName = options.provider || this.getCurrentProvider().name;
+
+    if (!this.getAvailableProviders().includes(providerName)) {
+      return {
+        valid: false,
+        error: `Provider '${providerName}' not found. Available: ${this.getAvailableProviders().join(', ')}`
+      };
+    }
+
+    let provider;
+    try {
+      provider = await this.getProviderInstance(providerName);
+    } catch (error) {
+      return { valid: false, error: `Provider '${providerName}' is not available: ${error.message}` };
+    }
+
+    const operation = options.operation || 'text_to_image';
+    if (!provider.getSupportedOperations().includes(operation)) {
+      return { valid: false, error: `Provider '${providerName}' does not support ${operation}` };
+    }
+
+    // Variations are made from the source image alone
+    if (operation !== 'variation') {
+      const validation = provider.validatePrompt(prompt);
+      if (!validation.valid) {
+        return validation;
+      }
+    }
+
+    const supportsOperation = (m) => modelSupports(m, operation);
+    const models = provider.getAvailableModels();
+    let model;
+    if (options.model) {
+      model = models.find(m => m.id === options.model);
+      if (!model) {
+        return {
+          valid: false,
+          error: `Model '${options.model}' is not available for ${providerName}. Available: ${models.map(m => m.id).join(', ')}`
+        };
+      }
+      if (!supportsOperation(model)) {
+        return { valid: false, error: `Model '${model.id}' does not support ${operation}` };
+      }
+    } else {
+      const candidates = models.filter(supportsOperation);
+      model = candidates.find(m => m.id === provider.config.model) || candidates[0];
+    }
+
+    const parameterCheck = provider.validateParameters(options, model);
+    if (!parameterCheck.valid) {
+      return parameterCheck;
+    }
+    const { requested, parameters } = parameterCheck;
+
+    let size = options.size;
+    if (size && !model.supportedSizes.includes(size)) {
+      return {
+        valid: false,
+        error: `Size '${size}' is not supported by ${model.id}. Supported: ${model.supportedSizes.join(', ')}`
+      };
+    }
+    if (size && options.aspectRatio && aspectRatioOf(size) !== options.aspectRatio) {
+      return { valid: false, error: `Size '${size}' does not match aspect ratio ${options.aspectRatio}` };
+    }
+    if (!size && options.aspectRatio) {
+      size = provider.getSizeForAspectRatio(model, options.aspectRatio);
+      if (!size) {
+        return { valid: false, error: `Aspect ratio ${options.aspectRatio} is not available for ${model.id}` };
+      }
+    }
+    if (!size) {
+      size = model.supportedSizes.includes('512x512') ? '512x512' : model.supportedSizes[0];
+    }
+    if (model.parameters?.aspectRatio) {
+      parameters.aspectRatio = aspectRatioOf(size);
+    }
+
+    if (prompt && model.maxPromptLength && prompt.length > model.maxPromptLength) {
+      return { valid: false, error: `Prompt must be less than ${model.maxPromptLength} characters for ${model.id}` };
+    }
+
+    const resolvedOptions = { ...options, ...requested, operation, provider: providerName, model: model.id, size };
+
+    return {
+      valid: true,
+      provider: providerName,
+      options: resolvedOptions,
+      parameters,
+      tokensRequired: provider.calculateTokenCost(resolvedOptions)
+    };
+  }
+
+  /**
+   * Get available models from a provider
+   * @param {string} providerName - Provider name (defaults to current provider)
+   * @returns {Promise<Array>} - Available models
+   */
+  async getAvailableModels(providerName = null) {
+    const provider = providerName
+      ? await this.getProviderInstance(providerName)
+      : this.getCurrentProvider();
     return provider.getAvailableModels();
   }
 
   /**
-   * Get pricing information from current provider
-   * @returns {Object} - Pricing details
+   * Get pricing information from a provider
+   * @param {string} providerName - Provider name (defaults to current provider)
+   * @returns {Promise<Object>} - Pricing details
    */
-  getPricing() {
-    const provider = this.getCurrentProvider();
+  async getPricing(providerName = null) {
+    const provider = providerName
+      ? await this.getProviderInstance(providerName)
+      : this.getCurrentProvider();
     return provider.getPricing();
   }
 
   /**
    * Calculate token cost for generation
-   * @param {Object} options - Generation options
-   * @returns {number} - Token cost
+   * @param {Object} options - Generation options, optionally including provider
+   * @returns {Promise<number>} - Token cost
    */
-  calculateTokenCost(options = {}) {
-    const provider = this.getCurrentProvider();
+  async calculateTokenCost(options = {}) {
+    const provider = options.provider
+      ? await this.getProviderInstance(options.provider)
+      : this.getCurrentProvider();
     return provider.calculateTokenCost(options);
   }
 
@@ -224,14 +813,16 @@ class AIProviderManager {
       return null;
     }
 
+    // Prefer the initialized instance so config-dependent details are accurate
     const ProviderClass = this.providers.get(providerName);
-    const provider = new ProviderClass();
+    const provider = this.instances.get(providerName) || new ProviderClass();
     
     return {
       name: provider.name,
       models: provider.getAvailableModels(),
       pricing: provider.getPricing(),
-      isCurrent: this.currentProvider && this.currentProvider.name === providerName
+      isCurrent: this.currentProvider && this.currentProvider.name === providerName,
+      health: { ...this.getHealthRecord(providerName) }
     };
   }
 
@@ -242,14 +833,8 @@ class AIProviderManager {
    */
   async testProvider(providerName) {
     try {
-      const originalProvider = this.currentProvider;
-      await this.setProvider(providerName);
-      const status = await this.getProviderStatus();
-      
-      // Restore original provider
-      if (originalProvider) {
-        this.currentProvider = originalProvider;
-      }
+      const provider = await this.getProviderInstance(providerName);
+      const status = await provider.getStatus();
       
       return {
         success: true,
@@ -1,3 +1,20 @@
+// Error codes that are worth retrying with the same provider
+const RETRYABLE_ERROR_CODES = ['rate_limit_exceeded', 'timeout', 'service_unavailable', 'network_error'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Advanced generation parameters; models list the ones they accept in `parameters`
+const ADVANCED_PARAMETERS = ['negativePrompt', 'seed', 'steps', 'guidanceScale', 'aspectRatio', 'sampler'];
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+// Reduced aspect ratio of a "WIDTHxHEIGHT" size, e.g. 1792x1024 -> 7:4
+const aspectRatioOf = (size) => {
+  const [width, height] = size.split('x').map(Number);
+  const divisor = gcd(width, height);
+  return `${width / divisor}:${height / divisor}`;
+};
+
 /**
  * Base AI Provider Class
  * All AI providers must extend this class and implement required methods
@@ -20,12 +37,186 @@ class BaseAIProvider {
    * Generate image from prompt
    * @param {string} prompt - Image description
    * @param {Object} options - Generation options (size, style, etc.)
+   * @param {Object} requestOptions - Request options ({ signal } to cancel the call, { onProgress } to report progress)
    * @returns {Promise<Object>} - Generated image data
    */
-  async generateImage(prompt, options = {}) {
+  async generateImage(prompt, options = {}, requestOptions = {}) {
     throw new Error('generateImage method must be implemented by provider');
   }
 
+  /**
+   * Generate a new image from a source image and prompt (image-to-image)
+   * @param {Object} image - Source image ({ buffer, mimeType })
+   * @param {string} prompt - Description of the desired result
+   * @param {Object} options - Generation options
+   * @param {Object} requestOptions - Request options ({ signal } to cancel the call, { onProgress } to report progress)
+   * @returns {Promise<Object>} - Generated image data
+   */
+  async editImage(image, prompt, options = {}, requestOptions = {}) {
+    throw this.unsupportedOperation('image_to_image');
+  }
+
+  /**
+   * Repaint the transparent area of a mask on a source image (inpainting)
+   * @param {Object} image - Source image ({ buffer, mimeType })
+   * @param {Object} mask - Mask image, transparent where the image should change ({ buffer, mimeType })
+   * @param {string} prompt - Description of the repainted area
+   * @param {Object} options - Generation options
+   * @param {Object} requestOptions - Request options ({ signal } to cancel the call, { onProgress } to report progress)
+   * @returns {Promise<Object>} - Generated image data
+   */
+  async inpaintImage(image, mask, prompt, options = {}, requestOptions = {}) {
+    throw this.unsupportedOperation('inpainting');
+  }
+
+  /**
+   * Create a variation of a source image
+   * @param {Object} image - Source image ({ buffer, mimeType })
+   * @param {Object} options - Generation options
+   * @param {Object} requestOptions - Request options ({ signal } to cancel the call, { onProgress } to report progress)
+   * @returns {Promise<Object>} - Generated image data
+   */
+  async createVariation(image, options = {}, requestOptions = {}) {
+    throw this.unsupportedOperation('variation');
+  }
+
+  /**
+   * Get the operations this provider supports
+   * @returns {Array<string>} - Operation names (text_to_image, image_to_image, inpainting, variation)
+   */
+  getSupportedOperations() {
+    const operations = new Set(['text_to_image']);
+    for (const model of this.getAvailableModels()) {
+      (model.operations || []).forEach(operation => operations.add(operation));
+    }
+    return Array.from(operations);
+  }
+
+  /**
+   * Build the error raised for operations a provider does not implement
+   * @param {string} operation - Operation name
+   * @returns {Error} - Unsupported operation error
+   */
+  unsupportedOperation(operation) {
+    const error = new Error(`${this.name} provider does not support ${operation}`);
+    error.code = 'unsupported_operation';
+    return error;
+  }
+
+  /**
+   * Generate image with timeout and retries
+   * @param {string} prompt - Image description
+   * @param {Object} options - Generation options (onProgress receives progress updates)
+   * @returns {Promise<Object>} - Generated image data with attempt log in metadata
+   */
+  async generateWithRetry(prompt, options = {}) {
+    return this.withRetry((requestOptions) => this.generateImage(prompt, options, requestOptions), {
+      onProgress: options.onProgress
+    });
+  }
+
+  /**
+   * Run a provider call with timeout and retries
+   * Retries retryable errors using exponential backoff with jitter, and cancels
+   * each attempt once config.timeout has elapsed.
+   * @param {Function} call - Function receiving { signal, onProgress } and returning a result promise
+   * @param {Object} hooks - { onProgress } callback passed through to the provider
+   * @returns {Promise<Object>} - Call result with attempt log in metadata
+   */
+  async withRetry(call, hooks = {}) {
+    const maxAttempts = (this.config?.retries ?? 3) + 1;
+    const attempts = [];
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const startedAt = Date.now();
+      try {
+        const result = await this.runWithTimeout(call, hooks);
+        attempts.push({ attempt, durationMs: Date.now() - startedAt });
+
+        result.metadata = { ...result.metadata, attempts };
+        return result;
+      } catch (error) {
+        const entry = { attempt, durationMs: Date.now() - startedAt, error: error.message };
+        attempts.push(entry);
+
+        if (attempt >= maxAttempts || !this.isRetryableError(error)) {
+          error.providerAttempts = attempts;
+          throw error;
+        }
+
+        entry.retryInMs = this.getRetryDelay(attempt, error);
+        console.warn(`${this.name} attempt ${attempt} failed (${error.message}), retrying in ${entry.retryInMs}ms`);
+        await sleep(entry.retryInMs);
+      }
+    }
+  }
+
+  /**
+   * Run a provider call and cancel it once the configured timeout elapses
+   * The call receives an AbortSignal; the returned promise rejects at the
+   * timeout even if the provider ignores the signal.
+   * @param {Function} call - Function receiving { signal, onProgress } and returning a promise
+   * @param {Object} hooks - { onProgress } callback passed through to the provider
+   * @returns {Promise<*>} - Result of the call
+   */
+  async runWithTimeout(call, hooks = {}) {
+    const timeout = this.config?.timeout || 30000;
+    const controller = new AbortController();
+
+    const timeoutError = new Error(`${this.name} request timed out after ${timeout}ms`);
+    timeoutError.code = 'timeout';
+
+    let timer;
+    const timeoutPromise = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort(timeoutError);
+        reject(timeoutError);
+      }, timeout);
+    });
+
+    try {
+      return await Promise.race([call({ signal: controller.signal, onProgress: hooks.onProgress }), timeoutPromise]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Check whether an error is worth retrying (rate limit, timeout, 5xx)
+   * @param {Error} error - Error raised by the provider
+   * @returns {boolean} - True if the call may be retried
+   */
+  isRetryableError(error) {
+    if (typeof error.retryable === 'boolean') {
+      return error.retryable;
+    }
+
+    if (RETRYABLE_ERROR_CODES.includes(error.code)) {
+      return true;
+    }
+
+    return error.status === 429 || error.status >= 500;
+  }
+
+  /**
+   * Get delay before the next attempt using exponential backoff with jitter
+   * @param {number} attempt - Attempt number that just failed (1-based)
+   * @param {Error} error - Error raised by the provider
+   * @returns {number} - Delay in milliseconds
+   */
+  getRetryDelay(attempt, error = {}) {
+    const baseDelay = this.config?.retryBaseDelay || 500;
+    const maxDelay = this.config?.retryMaxDelay || 10000;
+
+    // Respect the provider's Retry-After hint when it gives one
+    if (error.retryAfterMs) {
+      return Math.min(error.retryAfterMs, maxDelay);
+    }
+
+    const exponential = Math.min(baseDelay * 2 ** (attempt - 1), maxDelay);
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+  }
+
   /**
    * Get available models for this provider
    * @returns {Array} - List of available models
@@ -42,6 +233,109 @@ class BaseAIProvider {
     throw new Error('getPricing method must be implemented by provider');
   }
 
+  /**
+   * Find a model by id, falling back to the configured default model
+   * @param {string} modelId - Requested model id
+   * @returns {Object} - Model definition
+   */
+  resolveModel(modelId) {
+    const models = this.getAvailableModels();
+    return models.find(m => m.id === modelId)
+      || models.find(m => m.id === this.config?.model)
+      || models[0];
+  }
+
+  /**
+   * Validate advanced parameters against the ones a model declares
+   * Each entry of model.parameters describes one parameter:
+   * { type: 'string'|'integer'|'number'|'enum', min, max, maxLength, values, default }
+   * @param {Object} options - Generation options holding the parameters
+   * @param {Object} model - Model definition (defaults to options.model)
+   * @returns {Object} - { valid, error } or { valid: true, requested, parameters } where
+   *   requested holds the normalized values that were asked for and parameters adds the defaults
+   */
+  validateParameters(options = {}, model = this.resolveModel(options.model)) {
+    const declared = model.parameters || {};
+    const parameters = {};
+
+    for (const name of ADVANCED_PARAMETERS) {
+      const value = options[name];
+      if (value === undefined || value === null || value === '') continue;
+
+      const spec = declared[name];
+      if (!spec) {
+        return { valid: false, error: `Parameter '${name}' is not supported by ${model.id} (${this.name})` };
+      }
+
+      const checked = this.checkParameter(name, value, spec);
+      if (checked.error) {
+        return { valid: false, error: checked.error };
+      }
+      parameters[name] = checked.value;
+    }
+    const requested = { ...parameters };
+
+    for (const [name, spec] of Object.entries(declared)) {
+      if (parameters[name] === undefined && spec.default !== undefined) {
+        parameters[name] = spec.default;
+      }
+    }
+    if (declared.aspectRatio && !parameters.aspectRatio && options.size) {
+      parameters.aspectRatio = aspectRatioOf(options.size);
+    }
+
+    return { valid: true, requested, parameters };
+  }
+
+  /**
+   * Check a single parameter value against its declaration
+   * @param {string} name - Parameter name
+   * @param {*} value - Requested value
+   * @param {Object} spec - Parameter declaration
+   * @returns {Object} - { value } normalized value or { error }
+   */
+  checkParameter(name, value, spec) {
+    switch (spec.type) {
+      case 'string':
+        if (typeof value !== 'string') {
+          return { error: `${name} must be a string` };
+        }
+        if (spec.maxLength && value.length > spec.maxLength) {
+          return { error: `${name} must be less than ${spec.maxLength} characters` };
+        }
+        return { value: value.trim() };
+      case 'integer':
+      case 'number': {
+        const number = Number(value);
+        if (!Number.isFinite(number) || (spec.type === 'integer' && !Number.isInteger(number))) {
+          return { error: `${name} must be ${spec.type === 'integer' ? 'an integer' : 'a number'}` };
+        }
+        if ((spec.min !== undefined && number < spec.min) || (spec.max !== undefined && number > spec.max)) {
+          return { error: `${name} must be between ${spec.min} and ${spec.max}` };
+        }
+        return { value: number };
+      }
+      case 'enum':
+        if (!spec.values.includes(value)) {
+          return { error: `${name} must be one of: ${spec.values.join(', ')}` };
+        }
+        return { value };
+      default:
+        return { value };
+    }
+  }
+
+  /**
+   * Pick a supported size of a model for an aspect ratio
+   * @param {Object} model - Model definition
+   * @param {string} aspectRatio - Aspect ratio such as '16:9'
+   * @returns {string|null} - Matching size (512x512 preferred for square images)
+   */
+  getSizeForAspectRatio(model, aspectRatio) {
+    const sizes = model.supportedSizes.filter(size => aspectRatioOf(size) === aspectRatio);
+    return sizes.includes('512x512') ? '512x512' : (sizes[0] || null);
+  }
+
   /**
    * Validate prompt for this provider
    * @param {string} prompt - Prompt to validate
@@ -66,6 +360,31 @@ class BaseAIProvider {
     return { valid: true };
   }
 
+  /**
+   * Get what the provider charges us per image, in USD
+   * Entries are keyed by model and size, optionally split by quality:
+   * { models: { [model]: { [size]: usd | { [quality]: usd } } }, default: usd }
+   * @returns {Object} - Cost table
+   */
+  getCostTable() {
+    return { models: {}, default: 0 };
+  }
+
+  /**
+   * Calculate what one generation cost us at the provider
+   * @param {Object} options - { model, size, quality }
+   * @param {Object} table - Cost table (defaults to the provider's own)
+   * @returns {number} - Cost in USD
+   */
+  calculateProviderCost(options = {}, table = this.getCostTable()) {
+    const entry = table.models?.[options.model]?.[options.size];
+    const cost = entry !== null && typeof entry === 'object'
+      ? (entry[options.quality] ?? entry.standard)
+      : entry;
+
+    return cost ?? table.default ?? 0;
+  }
+
   /**
    * Calculate token cost for generation
    * @param {Object} options - Generation options
@@ -95,4 +414,6 @@ class BaseAIProvider {
   }
 }
 
-module.exports = BaseAIProvider; 
\ No newline at end of file
+module.exports = BaseAIProvider;
+module.exports.ADVANCED_PARAMETERS = ADVANCED_PARAMETERS;
+module.exports.aspectRatioOf = aspectRatioOf; 
\ No newline at end of file
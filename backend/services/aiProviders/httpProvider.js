@@ -0,0 +1,501 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const BaseAIProvider = require('./baseProvider');
+
+const DEFINITION_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Supported JSONPath subset: $.a.b, $.a[0], $['a-b'], $["a"]
+const PATH_SEGMENT = /\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\['([^']+)'\]|\["([^"]+)"\]/g;
+
+const parsePath = (jsonPath) => {
+  if (typeof jsonPath !== 'string' || !jsonPath.startsWith('$')) {
+    throw new Error(`Invalid JSONPath '${jsonPath}'`);
+  }
+
+  const segments = [];
+  let consumed = 1;
+  for (const match of jsonPath.slice(1).matchAll(PATH_SEGMENT)) {
+    if (match.index + 1 !== consumed) break;
+    const [text, key, index, singleQuoted, doubleQuoted] = match;
+    segments.push(index !== undefined ? Number(index) : (key ?? singleQuoted ?? doubleQuoted));
+    consumed += text.length;
+  }
+
+  if (consumed !== jsonPath.length) {
+    throw new Error(`Invalid JSONPath '${jsonPath}'`);
+  }
+  return segments;
+};
+
+// Read a value from a response body with a JSONPath expression
+const readPath = (data, jsonPath) => parsePath(jsonPath).reduce(
+  (value, segment) => (value === null || value === undefined ? undefined : value[segment]),
+  data
+);
+
+// Fill {{variables}} into a request template; a string that is only "{{name}}"
+// keeps the value's type, and keys whose value is missing are left out
+const renderTemplate = (template, variables) => {
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, variables)).filter(item => item !== undefined);
+  }
+
+  if (template && typeof template === 'object') {
+    const rendered = {};
+    for (const [key, value] of Object.entries(template)) {
+      const renderedValue = renderTemplate(value, variables);
+      if (renderedValue !== undefined) rendered[key] = renderedValue;
+    }
+    return rendered;
+  }
+
+  if (typeof template === 'string') {
+    const whole = template.match(/^\{\{\s*(\w+)\s*\}\}$/);
+    if (whole) {
+      const value = variables[whole[1]];
+      return value === null ? undefined : value;
+    }
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => variables[name] ?? '');
+  }
+
+  return template;
+};
+
+/**
+ * Check a provider definition and fill in defaults
+ * @param {Object} definition - Parsed definition
+ * @returns {Object} - Normalized definition
+ */
+const normalizeDefinition = (definition) => {
+  const problems = [];
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('Provider definition must be an object');
+  }
+  if (!/^[a-z0-9_-]+$/.test(definition.name || '')) problems.push('name must be lowercase letters, digits, - or _');
+  if (!definition.endpoint) problems.push('endpoint is required');
+  if (!definition.request || !definition.request.body) problems.push('request.body is required');
+  if (!definition.response || !definition.response.image) problems.push('response.image is required');
+  if (!Array.isArray(definition.models) || definition.models.length === 0) problems.push('at least one model is required');
+
+  (definition.models || []).forEach((model, index) => {
+    if (!model.id) problems.push(`models[${index}].id is required`);
+    if (!Array.isArray(model.supportedSizes) || model.supportedSizes.length === 0) {
+      problems.push(`models[${index}].supportedSizes is required`);
+    }
+  });
+
+  // Surface bad JSONPath expressions when the definition is loaded, not on the first request
+  const paths = [
+    definition.response && definition.response.image,
+    definition.response && definition.response.revisedPrompt,
+    ...Object.values((definition.response && definition.response.parameters) || {}),
+    ...(definition.errors || []).map(rule => rule.match && rule.match.path)
+  ].filter(Boolean);
+  for (const jsonPath of paths) {
+    try {
+      parsePath(jsonPath);
+    } catch (error) {
+      problems.push(error.message);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid provider definition${definition.name ? ` '${definition.name}'` : ''}: ${problems.join('; ')}`);
+  }
+
+  return {
+    method: 'POST',
+    headers: {},
+    styles: {},
+    errors: [],
+    pricing: {},
+    ...definition,
+    auth: definition.auth ? { header: 'Authorization', prefix: 'Bearer ', required: true, ...definition.auth } : null,
+    response: { type: 'auto', mimeType: 'image/png', parameters: {}, ...definition.response }
+  };
+};
+
+/**
+ * Generic HTTP Provider
+ * Talks to any JSON image API described by a definition file, so
+ * self-hosted or OpenAI-compatible endpoints can be added without code.
+ * Use HttpProvider.define(definition) to get a class for registerProvider.
+ */
+class HttpProvider extends BaseAIProvider {
+  constructor(definition, config = {}) {
+    super(config);
+    this.definition = normalizeDefinition(definition);
+    this.name = this.definition.name;
+    this.initialized = false;
+  }
+
+  /**
+   * Build a provider class bound to a definition
+   * @param {Object} definition - Provider definition
+   * @returns {Function} - Provider class for AIProviderManager.registerProvider
+   */
+  static define(definition) {
+    const normalized = normalizeDefinition(definition);
+    return class extends HttpProvider {
+      constructor(config = {}) {
+        super(normalized, config);
+      }
+    };
+  }
+
+  /**
+   * Read provider definitions from a .json/.yaml file or a directory of them
+   * A file may hold a single definition or a list of definitions.
+   * @param {string} definitionsPath - File or directory path
+   * @returns {Array<Object>} - Valid definitions (invalid ones are logged and skipped)
+   */
+  static loadDefinitions(definitionsPath) {
+    const resolved = path.resolve(definitionsPath);
+    const files = fs.statSync(resolved).isDirectory()
+      ? fs.readdirSync(resolved)
+        .filter(file => DEFINITION_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .sort()
+        .map(file => path.join(resolved, file))
+      : [resolved];
+
+    const definitions = [];
+    for (const file of files) {
+      try {
+        const content = fs.readFileSync(file, 'utf8');
+        const parsed = path.extname(file).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content);
+        for (const definition of [].concat(parsed || [])) {
+          definitions.push(normalizeDefinition(definition));
+        }
+      } catch (error) {
+        console.error(`Failed to load provider definition ${file}:`, error.message);
+      }
+    }
+    return definitions;
+  }
+
+  async initialize(config) {
+    this.config = { ...this.config, ...config };
+
+    // Slow self-hosted endpoints may need a longer timeout than the global one
+    if (this.definition.timeout) {
+      this.config.timeout = this.definition.timeout;
+    }
+
+    const { auth } = this.definition;
+    this.apiKey = this.config.apiKey || (auth && auth.apiKeyEnv ? process.env[auth.apiKeyEnv] : undefined);
+
+    if (auth && auth.required && !this.apiKey) {
+      throw new Error(`${this.name} API key is required${auth.apiKeyEnv ? ` (set ${auth.apiKeyEnv})` : ''}`);
+    }
+
+    this.initialized = true;
+    console.log(`HTTP Provider ${this.name} initialized successfully`);
+    return true;
+  }
+
+  /**
+   * Validate advanced parameters, plus the model and size
+   * The request is priced by the model and size asked for, so neither may be
+   * swapped for a default here; failover skips this provider instead.
+   * @param {Object} options - Generation options
+   * @param {Object} model - Model definition (defaults to options.model)
+   * @returns {Object} - Validation result (see BaseAIProvider.validateParameters)
+   */
+  validateParameters(options = {}, model = null) {
+    const models = this.getAvailableModels();
+    if (!model && options.model && !models.some(m => m.id === options.model)) {
+      return { valid: false, error: `Model '${options.model}' is not available for ${this.name}` };
+    }
+
+    const resolved = model || this.resolveModel(options.model);
+    if (options.size && !resolved.supportedSizes.includes(options.size)) {
+      return {
+        valid: false,
+        error: `Size '${options.size}' is not supported by ${resolved.id}. Supported: ${resolved.supportedSizes.join(', ')}`
+      };
+    }
+
+    return super.validateParameters(options, resolved);
+  }
+
+  async generateImage(prompt, options = {}, requestOptions = {}) {
+    if (!this.initialized) {
+      throw new Error(`${this.name} provider not initialized`);
+    }
+
+    const check = this.validateParameters(options);
+    if (!check.valid) {
+      const error = new Error(check.error);
+      error.code = 'invalid_parameters';
+      error.retryable = false;
+      throw error;
+    }
+
+    const model = this.resolveModel(options.model);
+    const size = options.size || model.supportedSizes[0];
+    const [width, height] = size.split('x').map(Number);
+
+    const variables = {
+      prompt,
+      model: model.id,
+      size,
+      width,
+      height,
+      quality: options.quality,
+      style: this.definition.styles[options.style] ?? options.style,
+      negativePrompt: options.negativePrompt,
+      seed: options.seed,
+      steps: options.steps,
+      guidanceScale: options.guidanceScale,
+      sampler: options.sampler,
+      aspectRatio: options.aspectRatio
+    };
+
+    let response;
+    try {
+      response = await this.request(renderTemplate(this.definition.request.body, variables), variables, requestOptions);
+    } catch (error) {
+      // Cancelled by the retry layer's timeout
+      if (requestOptions.signal?.aborted) {
+        throw requestOptions.signal.reason;
+      }
+
+      console.error(`${this.name} generation error:`, error);
+      const networkError = new Error(`${this.name} generation failed: ${error.message}`);
+      networkError.code = 'network_error';
+      throw networkError;
+    }
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      console.error(`${this.name} generation error:`, response.status, body);
+      const error = this.mapError(response.status, body);
+      const retryAfter = parseInt(response.headers.get('retry-after'));
+      if (retryAfter) {
+        error.retryAfterMs = retryAfter * 1000;
+      }
+      throw error;
+    }
+
+    // Some APIs report failures with a 200 status
+    const bodyError = this.matchErrorRule(response.status, body, { bodyOnly: true });
+    if (bodyError) {
+      throw bodyError;
+    }
+
+    const image = readPath(body, this.definition.response.image);
+    if (!image || typeof image !== 'string') {
+      throw new Error(`${this.name} generation failed: no image at ${this.definition.response.image}`);
+    }
+
+    const imageUrl = this.toImageUrl(image);
+    const parameters = {};
+    for (const [name, jsonPath] of Object.entries(this.definition.response.parameters)) {
+      const value = readPath(body, jsonPath);
+      if (value !== undefined) parameters[name] = value;
+    }
+
+    return {
+      success: true,
+      imageUrl,
+      thumbnailUrl: imageUrl,
+      prompt,
+      options,
+      metadata: {
+        provider: this.name,
+        model: model.id,
+        size,
+        generatedAt: new Date().toISOString(),
+        parameters,
+        ...(this.definition.response.revisedPrompt && {
+          revisedPrompt: readPath(body, this.definition.response.revisedPrompt)
+        })
+      }
+    };
+  }
+
+  /**
+   * Send the rendered request to the definition's endpoint
+   * @param {Object} body - Rendered request body
+   * @param {Object} variables - Template variables (the endpoint may use {{model}} etc.)
+   * @param {Object} requestOptions - { signal }
+   * @returns {Promise<Response>} - Raw fetch response
+   */
+  async request(body, variables, requestOptions = {}) {
+    const { auth, method } = this.definition;
+    const endpoint = renderTemplate(this.config.endpoint || this.definition.endpoint, variables);
+
+    return fetch(endpoint, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        ...this.definition.headers,
+        ...(auth && this.apiKey && { [auth.header]: `${auth.prefix}${this.apiKey}` })
+      },
+      body: JSON.stringify(body),
+      signal: requestOptions.signal
+    });
+  }
+
+  /**
+   * Turn the value found at response.image into something persistGeneratedImage can load
+   */
+  toImageUrl(image) {
+    const { type, mimeType } = this.definition.response;
+    if (type === 'url' || (type === 'auto' && /^(https?:|data:)/.test(image))) {
+      return image;
+    }
+    return `data:${mimeType};base64,${image}`;
+  }
+
+  /**
+   * Find the first error rule matching a response
+   * Rules: { status, match: { path, value }, code, message, retryable }
+   * @returns {Error|null} - Mapped error, or null when no rule matches
+   */
+  matchErrorRule(status, body, { bodyOnly = false } = {}) {
+    for (const rule of this.definition.errors) {
+      if (bodyOnly && !rule.match) continue;
+      if (rule.status !== undefined && Number(rule.status) !== status) continue;
+      if (rule.match) {
+        const value = readPath(body, rule.match.path);
+        if (rule.match.value !== undefined ? String(value) !== String(rule.match.value) : value === undefined) continue;
+      }
+
+      const error = new Error(rule.message || `${this.name} generation failed: ${this.errorMessageOf(body, status)}`);
+      if (rule.code) error.code = rule.code;
+      if (typeof rule.retryable === 'boolean') error.retryable = rule.retryable;
+      error.status = status;
+      return error;
+    }
+    return null;
+  }
+
+  errorMessageOf(body, status) {
+    const message = this.definition.response.errorMessage ? readPath(body, this.definition.response.errorMessage) : null;
+    return message || body.message || (body.error && body.error.message) || `HTTP ${status}`;
+  }
+
+  /**
+   * Map an error response using the definition's error rules, then common HTTP statuses
+   * @param {number} status - HTTP status code
+   * @param {Object} body - Parsed error body
+   * @returns {Error} - Mapped error
+   */
+  mapError(status, body = {}) {
+    const matched = this.matchErrorRule(status, body);
+    if (matched) {
+      return matched;
+    }
+
+    let error;
+    if (status === 401 || status === 403) {
+      error = new Error(`${this.name} API key is invalid. Please check your account.`);
+    } else if (status === 429) {
+      error = new Error('Rate limit exceeded. Please try again later.');
+      error.code = 'rate_limit_exceeded';
+    } else if (status >= 500) {
+      error = new Error(`${this.name} service is unavailable: ${this.errorMessageOf(body, status)}`);
+      error.code = 'service_unavailable';
+    } else {
+      error = new Error(`${this.name} generation failed: ${this.errorMessageOf(body, status)}`);
+    }
+
+    error.status = status;
+    return error;
+  }
+
+  getAvailableModels() {
+    return this.definition.models.map(model => ({
+      name: model.id,
+      description: '',
+      features: [],
+      parameters: {},
+      ...model
+    }));
+  }
+
+  getPricing() {
+    const { pricing } = this.definition;
+    return {
+      baseCost: pricing.baseCost ?? 5,
+      models: pricing.models || {},
+      qualityMultipliers: pricing.qualityMultipliers || { standard: 1 },
+      currency: 'tokens'
+    };
+  }
+
+  getCostTable() {
+    return this.definition.costs || super.getCostTable();
+  }
+
+  calculateTokenCost(options = {}) {
+    const pricing = this.getPricing();
+    const model = this.resolveModel(options.model);
+    const size = options.size || model.supportedSizes[0];
+
+    let cost = pricing.models[model.id]?.[size] ?? pricing.baseCost;
+
+    // Apply quality multiplier
+    if (options.quality && pricing.qualityMultipliers[options.quality]) {
+      cost *= pricing.qualityMultipliers[options.quality];
+    }
+
+    return Math.round(cost);
+  }
+
+  async getStatus() {
+    if (!this.initialized) {
+      return {
+        name: this.name,
+        status: 'not_initialized',
+        message: `${this.name} provider not initialized`
+      };
+    }
+
+    // Without a status endpoint there is nothing to check short of generating an image
+    if (!this.definition.statusEndpoint) {
+      return {
+        name: this.name,
+        status: 'operational',
+        message: `${this.definition.displayName || this.name} is configured`,
+        uptime: 'unknown',
+        responseTime: 'unknown'
+      };
+    }
+
+    try {
+      const response = await fetch(this.definition.statusEndpoint, {
+        headers: this.definition.auth && this.apiKey
+          ? { [this.definition.auth.header]: `${this.definition.auth.prefix}${this.apiKey}` }
+          : {}
+      });
+      if (!response.ok) {
+        throw this.mapError(response.status, await response.json().catch(() => ({})));
+      }
+
+      return {
+        name: this.name,
+        status: 'operational',
+        message: `${this.definition.displayName || this.name} API is working`,
+        uptime: 'unknown',
+        responseTime: 'unknown'
+      };
+    } catch (error) {
+      return {
+        name: this.name,
+        status: 'error',
+        message: `${this.name} API error: ${error.message}`,
+        uptime: 'unknown',
+        responseTime: 'unknown'
+      };
+    }
+  }
+}
+
+module.exports = HttpProvider;
+module.exports.readPath = readPath;
+module.exports.renderTemplate = renderTemplate;
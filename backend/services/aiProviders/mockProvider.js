@@ -1,5 +1,16 @@
+const sharp = require('sharp');
 const BaseAIProvider = require('./baseProvider');
 
+// The mock accepts every advanced parameter so clients can be tested offline
+const MOCK_PARAMETERS = {
+  negativePrompt: { type: 'string', maxLength: 1000 },
+  seed: { type: 'integer', min: 0, max: 4294967295 },
+  steps: { type: 'integer', min: 10, max: 50, default: 30 },
+  guidanceScale: { type: 'number', min: 1, max: 20, default: 7 },
+  aspectRatio: { type: 'enum', values: ['1:1'] },
+  sampler: { type: 'enum', values: ['euler', 'euler_a', 'ddim', 'dpmpp_2m'], default: 'euler' }
+};
+
 /**
  * Mock AI Provider for Development and Testing
  * Simulates AI image generation without requiring real API keys
@@ -18,33 +29,102 @@ class MockAIProvider extends BaseAIProvider {
     return true;
   }
 
-  async generateImage(prompt, options = {}) {
+  async generateImage(prompt, options = {}, requestOptions = {}) {
+    return this.simulateGeneration('text_to_image', prompt, options, requestOptions);
+  }
+
+  async editImage(image, prompt, options = {}, requestOptions = {}) {
+    return this.simulateGeneration('image_to_image', prompt, options, requestOptions, {
+      sourceBytes: image.buffer.length
+    });
+  }
+
+  async inpaintImage(image, mask, prompt, options = {}, requestOptions = {}) {
+    return this.simulateGeneration('inpainting', prompt, options, requestOptions, {
+      sourceBytes: image.buffer.length,
+      maskBytes: mask.buffer.length
+    });
+  }
+
+  async createVariation(image, options = {}, requestOptions = {}) {
+    return this.simulateGeneration('variation', null, options, requestOptions, {
+      sourceBytes: image.buffer.length
+    });
+  }
+
+  /**
+   * Render a solid placeholder image whose colour follows from the seed
+   * @param {number} seed - Generation seed
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @returns {Promise<string>} - PNG data URL
+   */
+  async renderPlaceholder(seed, width, height) {
+    const buffer = await sharp({
+      create: {
+        width,
+        height,
+        channels: 3,
+        background: { r: seed & 0xff, g: (seed >>> 8) & 0xff, b: (seed >>> 16) & 0xff }
+      }
+    }).png().toBuffer();
+    return `data:image/png;base64,${buffer.toString('base64')}`;
+  }
+
+  /**
+   * Simulate any generation operation with a placeholder image
+   * @param {string} operation - Operation name
+   * @param {string|null} prompt - Prompt, if the operation takes one
+   * @param {Object} options - Generation options
+   * @param {Object} requestOptions - Request options ({ signal, onProgress })
+   * @param {Object} extraMetadata - Operation specific metadata
+   * @returns {Promise<Object>} - Generated image data
+   */
+  async simulateGeneration(operation, prompt, options = {}, requestOptions = {}, extraMetadata = {}) {
     if (!this.initialized) {
       throw new Error('Mock provider not initialized');
     }
 
-    // Simulate processing time
+    // Simulate processing time (cancellable like a real HTTP request)
     const processingTime = Math.random() * 2000 + 1000; // 1-3 seconds
-    await new Promise(resolve => setTimeout(resolve, processingTime));
+    const { signal, onProgress } = requestOptions;
+    await new Promise((resolve, reject) => {
+      // Emit synthetic progress so real-time updates can be tested offline
+      let progress = 0;
+      const progressTimer = onProgress && setInterval(() => {
+        progress = Math.min(progress + 20, 90);
+        onProgress(progress);
+      }, processingTime / 5);
+
+      const timer = setTimeout(() => {
+        clearInterval(progressTimer);
+        resolve();
+      }, processingTime);
 
-    // Generate mock image data
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          clearInterval(progressTimer);
+          reject(signal.reason);
+        }, { once: true });
+      }
+    });
+
+    // Generate mock image data; the same seed always yields the same picture
     const imageId = Math.random().toString(36).substring(7);
+    const seed = options.seed ?? Math.floor(Math.random() * 4294967295);
     const size = options.size || '512x512';
     
-    // Use different placeholder services based on size
-    let imageUrl, thumbnailUrl;
-    
-    if (size === '1024x1024') {
-      imageUrl = `https://picsum.photos/1024/1024?random=${imageId}`;
-      thumbnailUrl = `https://picsum.photos/256/256?random=${imageId}`;
-    } else {
-      imageUrl = `https://picsum.photos/512/512?random=${imageId}`;
-      thumbnailUrl = `https://picsum.photos/256/256?random=${imageId}`;
-    }
+    // Rendered locally so the mock works offline
+    const [width, height] = size.split('x').map(Number);
+    const imageUrl = await this.renderPlaceholder(seed, width, height);
+    const thumbnailUrl = await this.renderPlaceholder(seed, 256, 256);
 
     // Simulate occasional failures (5% chance)
     if (Math.random() < 0.05) {
-      throw new Error('Mock AI generation failed (simulated error)');
+      const error = new Error('Mock AI generation failed (simulated error)');
+      error.code = 'service_unavailable';
+      throw error;
     }
 
     return {
@@ -55,9 +135,12 @@ class MockAIProvider extends BaseAIProvider {
       options,
       metadata: {
         provider: 'mock',
+        operation,
         processingTime: Math.round(processingTime),
         imageId,
-        generatedAt: new Date().toISOString()
+        generatedAt: new Date().toISOString(),
+        parameters: { seed },
+        ...extraMetadata
       }
     };
   }
@@ -69,14 +152,18 @@ class MockAIProvider extends BaseAIProvider {
         name: 'Mock Realistic',
         description: 'Realistic image generation (mock)',
         maxPromptLength: 1000,
-        supportedSizes: ['512x512', '1024x1024']
+        supportedSizes: ['512x512', '1024x1024'],
+        operations: ['text_to_image', 'image_to_image', 'inpainting', 'variation'],
+        parameters: MOCK_PARAMETERS
       },
       {
         id: 'mock-artistic',
         name: 'Mock Artistic',
         description: 'Artistic style generation (mock)',
         maxPromptLength: 1000,
-        supportedSizes: ['512x512', '1024x1024']
+        supportedSizes: ['512x512', '1024x1024'],
+        operations: ['text_to_image', 'image_to_image', 'inpainting', 'variation'],
+        parameters: MOCK_PARAMETERS
       }
     ];
   }
@@ -128,10 +215,10 @@ class MockAIProvider extends BaseAIProvider {
   // Mock specific methods
   async simulateError(errorType = 'random') {
     const errors = {
-      'timeout': new Error('Request timeout (simulated)'),
-      'rate_limit': new Error('Rate limit exceeded (simulated)'),
-      'invalid_prompt': new Error('Invalid prompt content (simulated)'),
-      'service_unavailable': new Error('Service temporarily unavailable (simulated)'),
+      'timeout': Object.assign(new Error('Request timeout (simulated)'), { code: 'timeout' }),
+      'rate_limit': Object.assign(new Error('Rate limit exceeded (simulated)'), { code: 'rate_limit_exceeded' }),
+      'invalid_prompt': Object.assign(new Error('Invalid prompt content (simulated)'), { code: 'invalid_prompt' }),
+      'service_unavailable': Object.assign(new Error('Service temporarily unavailable (simulated)'), { code: 'service_unavailable' }),
       'random': new Error(`Random error: ${Math.random().toString(36).substring(7)}`)
     };
     
@@ -37,7 +37,7 @@ class OpenAIProvider extends BaseAIProvider {
     }
   }
 
-  async generateImage(prompt, options = {}) {
+  async generateImage(prompt, options = {}, requestOptions = {}) {
     if (!this.initialized || !this.openai) {
       throw new Error('OpenAI provider not initialized');
     }
@@ -54,43 +54,151 @@ class OpenAIProvider extends BaseAIProvider {
         size: openaiOptions.size,
         quality: openaiOptions.quality,
         style: openaiOptions.style,
-        response_format: 'url'
+        response_format: 'b64_json'
+      }, { signal: requestOptions.signal, maxRetries: 0 });
+
+      return this.buildResult(response.data[0], prompt, options, {
+        model: openaiOptions.model,
+        size: openaiOptions.size,
+        quality: openaiOptions.quality,
+        style: openaiOptions.style
       });
+    } catch (error) {
+      console.error('OpenAI generation error:', error);
+      throw this.mapError(error, requestOptions);
+    }
+  }
 
-      const imageData = response.data[0];
-      
-      return {
-        success: true,
-        imageUrl: imageData.url,
-        thumbnailUrl: imageData.url, // OpenAI doesn't provide separate thumbnails
+  async editImage(image, prompt, options = {}, requestOptions = {}) {
+    return this.runImageEdit(image, null, prompt, options, requestOptions);
+  }
+
+  async inpaintImage(image, mask, prompt, options = {}, requestOptions = {}) {
+    return this.runImageEdit(image, mask, prompt, options, requestOptions);
+  }
+
+  /**
+   * Call the DALL-E 2 edit endpoint, with a mask for inpainting
+   * The source (and mask) must be square PNGs under 4MB.
+   */
+  async runImageEdit(image, mask, prompt, options = {}, requestOptions = {}) {
+    if (!this.initialized || !this.openai) {
+      throw new Error('OpenAI provider not initialized');
+    }
+
+    try {
+      const { toFile } = await import('openai');
+      const size = this.mapSize(options.size, 'dall-e-2');
+
+      const response = await this.openai.images.edit({
+        model: 'dall-e-2',
+        image: await toFile(image.buffer, 'image.png', { type: image.mimeType }),
+        ...(mask && { mask: await toFile(mask.buffer, 'mask.png', { type: mask.mimeType }) }),
         prompt,
-        options,
-        metadata: {
-          provider: 'openai',
-          model: openaiOptions.model,
-          size: openaiOptions.size,
-          quality: openaiOptions.quality,
-          style: openaiOptions.style,
-          generatedAt: new Date().toISOString(),
-          openaiResponse: {
-            revisedPrompt: imageData.revised_prompt,
-            created: imageData.created
-          }
-        }
-      };
+        n: 1,
+        size,
+        response_format: 'b64_json'
+      }, { signal: requestOptions.signal, maxRetries: 0 });
+
+      return this.buildResult(response.data[0], prompt, options, {
+        model: 'dall-e-2',
+        size,
+        operation: mask ? 'inpainting' : 'image_to_image'
+      });
     } catch (error) {
-      console.error('OpenAI generation error:', error);
-      
-      // Handle specific OpenAI errors
-      if (error.code === 'rate_limit_exceeded') {
-        throw new Error('Rate limit exceeded. Please try again later.');
-      } else if (error.code === 'content_policy_violation') {
-        throw new Error('Content policy violation. Please modify your prompt.');
-      } else if (error.code === 'billing_not_active') {
-        throw new Error('OpenAI billing not active. Please check your account.');
-      } else {
-        throw new Error(`OpenAI generation failed: ${error.message}`);
+      console.error('OpenAI edit error:', error);
+      throw this.mapError(error, requestOptions);
+    }
+  }
+
+  async createVariation(image, options = {}, requestOptions = {}) {
+    if (!this.initialized || !this.openai) {
+      throw new Error('OpenAI provider not initialized');
+    }
+
+    try {
+      const { toFile } = await import('openai');
+      const size = this.mapSize(options.size, 'dall-e-2');
+
+      const response = await this.openai.images.createVariation({
+        model: 'dall-e-2',
+        image: await toFile(image.buffer, 'image.png', { type: image.mimeType }),
+        n: 1,
+        size,
+        response_format: 'b64_json'
+      }, { signal: requestOptions.signal, maxRetries: 0 });
+
+      return this.buildResult(response.data[0], null, options, {
+        model: 'dall-e-2',
+        size,
+        operation: 'variation'
+      });
+    } catch (error) {
+      console.error('OpenAI variation error:', error);
+      throw this.mapError(error, requestOptions);
+    }
+  }
+
+  /**
+   * Build our result format from an OpenAI image response entry
+   */
+  buildResult(imageData, prompt, options, details) {
+    // Results are requested as base64 since OpenAI URLs expire within hours
+    const imageUrl = imageData.b64_json
+      ? `data:image/png;base64,${imageData.b64_json}`
+      : imageData.url;
+
+    return {
+      success: true,
+      imageUrl,
+      thumbnailUrl: imageUrl, // OpenAI doesn't provide separate thumbnails
+      prompt,
+      options,
+      metadata: {
+        provider: 'openai',
+        operation: 'text_to_image',
+        ...details,
+        generatedAt: new Date().toISOString(),
+        openaiResponse: {
+          revisedPrompt: imageData.revised_prompt,
+          created: imageData.created
+        }
       }
+    };
+  }
+
+  /**
+   * Map an OpenAI SDK error to the error we raise
+   * @param {Error} error - Error thrown by the OpenAI SDK
+   * @param {Object} requestOptions - Request options of the failed call
+   * @returns {Error} - Mapped error
+   */
+  mapError(error, requestOptions = {}) {
+    // Cancelled by the retry layer's timeout
+    if (requestOptions.signal?.aborted) {
+      return requestOptions.signal.reason;
+    }
+
+    // Handle specific OpenAI errors
+    if (error.code === 'rate_limit_exceeded') {
+      const rateLimitError = new Error('Rate limit exceeded. Please try again later.');
+      rateLimitError.code = 'rate_limit_exceeded';
+      rateLimitError.status = 429;
+      return rateLimitError;
+    } else if (error.code === 'content_policy_violation') {
+      const policyError = new Error('Content policy violation. Please modify your prompt.');
+      policyError.code = 'content_policy_violation';
+      return policyError;
+    } else if (error.code === 'billing_not_active') {
+      return new Error('OpenAI billing not active. Please check your account.');
+    } else {
+      const generationError = new Error(`OpenAI generation failed: ${error.message}`);
+      generationError.status = error.status;
+      if (!error.status) {
+        // No HTTP response at all, e.g. connection reset
+        generationError.code = 'network_error';
+      }
+      return generationError;
     }
   }
 
@@ -110,7 +218,7 @@ class OpenAIProvider extends BaseAIProvider {
     return mapping;
   }
 
-  mapSize(size) {
+  mapSize(size, model = null) {
     const sizeMap = {
       '256x256': '256x256',
       '512x512': '512x512',
@@ -118,6 +226,12 @@ class OpenAIProvider extends BaseAIProvider {
       '1792x1024': '1792x1024',
       '1024x1792': '1024x1792'
     };
+
+    // Restrict to the sizes the given model accepts
+    const modelInfo = model && this.getAvailableModels().find(m => m.id === model);
+    if (modelInfo && !modelInfo.supportedSizes.includes(sizeMap[size])) {
+      return '1024x1024';
+    }
     
     return sizeMap[size] || '1024x1024';
   }
@@ -130,7 +244,11 @@ class OpenAIProvider extends BaseAIProvider {
         description: 'Latest OpenAI image generation model',
         maxPromptLength: 4000,
         supportedSizes: ['1024x1024', '1792x1024', '1024x1792'],
-        features: ['high_quality', 'natural_style', 'vivid_style']
+        features: ['high_quality', 'natural_style', 'vivid_style'],
+        operations: ['text_to_image'],
+        parameters: {
+          aspectRatio: { type: 'enum', values: ['1:1', '7:4', '4:7'] }
+        }
       },
       {
         id: 'dall-e-2',
@@ -138,7 +256,11 @@ class OpenAIProvider extends BaseAIProvider {
         description: 'Previous generation model',
         maxPromptLength: 1000,
         supportedSizes: ['256x256', '512x512', '1024x1024'],
-        features: ['standard_quality']
+        features: ['standard_quality'],
+        operations: ['text_to_image', 'image_to_image', 'inpainting', 'variation'],
+        parameters: {
+          aspectRatio: { type: 'enum', values: ['1:1'] }
+        }
       }
     ];
   }
@@ -166,6 +288,25 @@ class OpenAIProvider extends BaseAIProvider {
     };
   }
 
+  // OpenAI list prices per image
+  getCostTable() {
+    return {
+      models: {
+        'dall-e-3': {
+          '1024x1024': { standard: 0.04, hd: 0.08 },
+          '1792x1024': { standard: 0.08, hd: 0.12 },
+          '1024x1792': { standard: 0.08, hd: 0.12 }
+        },
+        'dall-e-2': {
+          '256x256': 0.016,
+          '512x512': 0.018,
+          '1024x1024': 0.02
+        }
+      },
+      default: 0.04
+    };
+  }
+
   calculateTokenCost(options = {}) {
     const pricing = this.getPricing();
     const model = options.model || 'dall-e-3';
@@ -227,22 +368,6 @@ class OpenAIProvider extends BaseAIProvider {
       };
     }
 
-    // Check for potentially problematic content
-    const problematicTerms = [
-      'nude', 'naked', 'explicit', 'porn', 'violence', 'gore',
-      'blood', 'weapon', 'drug', 'illegal'
-    ];
-    
-    const lowerPrompt = prompt.toLowerCase();
-    for (const term of problematicTerms) {
-      if (lowerPrompt.includes(term)) {
-        return { 
-          valid: false, 
-          error: `Prompt contains potentially inappropriate content: ${term}` 
-        };
-      }
-    }
-
     return { valid: true };
   }
 }
@@ -0,0 +1,371 @@
+const BaseAIProvider = require('./baseProvider');
+
+const STABILITY_SAMPLERS = [
+  'DDIM', 'DDPM', 'K_DPMPP_2M', 'K_DPMPP_2S_ANCESTRAL', 'K_DPM_2',
+  'K_DPM_2_ANCESTRAL', 'K_EULER', 'K_EULER_ANCESTRAL', 'K_HEUN', 'K_LMS'
+];
+
+// Parameters shared by all Stable Diffusion models; aspect ratios depend on the model
+const STABILITY_PARAMETERS = {
+  negativePrompt: { type: 'string', maxLength: 2000 },
+  seed: { type: 'integer', min: 0, max: 4294967295 },
+  steps: { type: 'integer', min: 10, max: 50 },
+  guidanceScale: { type: 'number', min: 0, max: 35, default: 7 },
+  sampler: { type: 'enum', values: STABILITY_SAMPLERS }
+};
+
+/**
+ * Stability AI Provider
+ * Integrates with Stability AI's Stable Diffusion REST API
+ */
+class StabilityProvider extends BaseAIProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'stability';
+    this.initialized = false;
+    this.baseUrl = 'https://api.stability.ai';
+  }
+
+  async initialize(config) {
+    this.config = { ...this.config, ...config };
+
+    // Check if Stability API key is provided
+    if (!this.config.apiKey) {
+      throw new Error('Stability AI API key is required');
+    }
+
+    // Allow pointing the provider at a proxy or local stand-in
+    if (this.config.baseUrl) {
+      this.baseUrl = this.config.baseUrl.replace(/\/+$/, '');
+    }
+
+    this.initialized = true;
+    console.log('Stability AI Provider initialized successfully');
+    return true;
+  }
+
+  async generateImage(prompt, options = {}, requestOptions = {}) {
+    if (!this.initialized) {
+      throw new Error('Stability provider not initialized');
+    }
+
+    const stabilityOptions = this.mapOptionsToStability(options);
+
+    let response;
+    try {
+      response = await this.request(`/v1/generation/${stabilityOptions.model}/text-to-image`, {
+        method: 'POST',
+        body: JSON.stringify({
+          text_prompts: [
+            { text: prompt, weight: 1 },
+            ...(stabilityOptions.negativePrompt ? [{ text: stabilityOptions.negativePrompt, weight: -1 }] : [])
+          ],
+          width: stabilityOptions.width,
+          height: stabilityOptions.height,
+          cfg_scale: stabilityOptions.cfgScale,
+          steps: stabilityOptions.steps,
+          samples: 1,
+          ...(stabilityOptions.seed !== undefined && { seed: stabilityOptions.seed }),
+          ...(stabilityOptions.sampler && { sampler: stabilityOptions.sampler }),
+          ...(stabilityOptions.stylePreset && { style_preset: stabilityOptions.stylePreset })
+        }),
+        signal: requestOptions.signal
+      });
+    } catch (error) {
+      // Cancelled by the retry layer's timeout
+      if (requestOptions.signal?.aborted) {
+        throw requestOptions.signal.reason;
+      }
+
+      console.error('Stability generation error:', error);
+      const networkError = new Error(`Stability generation failed: ${error.message}`);
+      networkError.code = 'network_error';
+      throw networkError;
+    }
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      console.error('Stability generation error:', response.status, body);
+      const error = this.mapError(response.status, body);
+      const retryAfter = parseInt(response.headers.get('retry-after'));
+      if (retryAfter) {
+        error.retryAfterMs = retryAfter * 1000;
+      }
+      throw error;
+    }
+
+    const data = await response.json();
+    const artifact = data.artifacts && data.artifacts[0];
+
+    if (!artifact || !artifact.base64) {
+      throw new Error('Stability generation failed: empty response');
+    }
+
+    if (artifact.finishReason === 'CONTENT_FILTERED') {
+      const policyError = new Error('Content policy violation. Please modify your prompt.');
+      policyError.code = 'content_policy_violation';
+      throw policyError;
+    }
+
+    const imageUrl = `data:image/png;base64,${artifact.base64}`;
+
+    return {
+      success: true,
+      imageUrl,
+      thumbnailUrl: imageUrl, // Stability doesn't provide separate thumbnails
+      prompt,
+      options,
+      metadata: {
+        provider: 'stability',
+        model: stabilityOptions.model,
+        size: `${stabilityOptions.width}x${stabilityOptions.height}`,
+        stylePreset: stabilityOptions.stylePreset,
+        generatedAt: new Date().toISOString(),
+        parameters: {
+          seed: artifact.seed,
+          steps: stabilityOptions.steps,
+          guidanceScale: stabilityOptions.cfgScale
+        },
+        stabilityResponse: {
+          seed: artifact.seed,
+          finishReason: artifact.finishReason
+        }
+      }
+    };
+  }
+
+  /**
+   * Send a request to the Stability API
+   * @param {string} path - API path
+   * @param {Object} init - fetch options
+   * @returns {Promise<Response>} - Raw fetch response
+   */
+  async request(path, init = {}) {
+    return fetch(`${this.baseUrl}${path}`, {
+      ...init,
+      headers: {
+        'Authorization': `Bearer ${this.config.apiKey}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        ...init.headers
+      }
+    });
+  }
+
+  /**
+   * Map a Stability API error response to a user facing error
+   * @param {number} status - HTTP status code
+   * @param {Object} body - Parsed error body
+   * @returns {Error} - Mapped error
+   */
+  mapError(status, body = {}) {
+    const message = body.message || `HTTP ${status}`;
+    let error;
+
+    if (status === 401) {
+      error = new Error('Stability AI API key is invalid. Please check your account.');
+    } else if (status === 402 || body.name === 'insufficient_balance') {
+      error = new Error('Stability AI balance is insufficient. Please check your account.');
+    } else if (status === 429) {
+      error = new Error('Rate limit exceeded. Please try again later.');
+      error.code = 'rate_limit_exceeded';
+    } else if (status === 400 && body.name === 'invalid_prompts') {
+      error = new Error('Content policy violation. Please modify your prompt.');
+      error.code = 'content_policy_violation';
+    } else {
+      error = new Error(`Stability generation failed: ${message}`);
+    }
+
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * Validate advanced parameters, plus the model and size
+   * The request is priced by the model and size asked for, so neither may be
+   * swapped for a default here; failover skips this provider instead.
+   * @param {Object} options - Generation options
+   * @param {Object} model - Model definition (defaults to options.model)
+   * @returns {Object} - Validation result (see BaseAIProvider.validateParameters)
+   */
+  validateParameters(options = {}, model = null) {
+    const models = this.getAvailableModels();
+    if (!model && options.model && !models.some(m => m.id === options.model)) {
+      return { valid: false, error: `Model '${options.model}' is not available for ${this.name}` };
+    }
+
+    const resolved = model || this.resolveModel(options.model);
+    if (options.size && !resolved.supportedSizes.includes(options.size)) {
+      return {
+        valid: false,
+        error: `Size '${options.size}' is not supported by ${resolved.id}. Supported: ${resolved.supportedSizes.join(', ')}`
+      };
+    }
+
+    return super.validateParameters(options, resolved);
+  }
+
+  mapOptionsToStability(options = {}) {
+    const check = this.validateParameters(options);
+    if (!check.valid) {
+      const error = new Error(check.error);
+      error.code = 'invalid_parameters';
+      error.retryable = false;
+      throw error;
+    }
+
+    const model = this.resolveModel(options.model);
+    const size = options.size || model.supportedSizes[0];
+    const [width, height] = size.split('x').map(Number);
+
+    const stylePresets = {
+      'realistic': 'photographic',
+      'artistic': 'digital-art',
+      'cartoon': 'comic-book',
+      'anime': 'anime'
+    };
+
+    return {
+      model: model.id,
+      width,
+      height,
+      cfgScale: options.guidanceScale ?? 7,
+      steps: options.steps ?? (options.quality === 'hd' ? 50 : 30),
+      seed: options.seed ?? undefined,
+      sampler: options.sampler || null,
+      negativePrompt: options.negativePrompt || null,
+      stylePreset: stylePresets[options.style] || null
+    };
+  }
+
+  getAvailableModels() {
+    return [
+      {
+        id: 'stable-diffusion-xl-1024-v1-0',
+        name: 'Stable Diffusion XL 1.0',
+        description: 'High resolution Stable Diffusion model',
+        maxPromptLength: 2000,
+        supportedSizes: ['1024x1024', '1152x896', '896x1152', '1216x832', '832x1216', '1344x768', '768x1344'],
+        features: ['high_quality', 'style_presets'],
+        parameters: {
+          ...STABILITY_PARAMETERS,
+          aspectRatio: { type: 'enum', values: ['1:1', '9:7', '7:9', '19:13', '13:19', '7:4', '4:7'] }
+        }
+      },
+      {
+        id: 'stable-diffusion-v1-6',
+        name: 'Stable Diffusion 1.6',
+        description: 'Fast, lower resolution Stable Diffusion model',
+        maxPromptLength: 2000,
+        supportedSizes: ['512x512', '768x768', '1024x1024'],
+        features: ['standard_quality', 'style_presets'],
+        parameters: {
+          ...STABILITY_PARAMETERS,
+          aspectRatio: { type: 'enum', values: ['1:1'] }
+        }
+      }
+    ];
+  }
+
+  getPricing() {
+    return {
+      baseCost: 4,
+      models: {
+        'stable-diffusion-xl-1024-v1-0': {
+          '1024x1024': 6,
+          '1152x896': 6,
+          '896x1152': 6,
+          '1216x832': 6,
+          '832x1216': 6,
+          '1344x768': 6,
+          '768x1344': 6
+        },
+        'stable-diffusion-v1-6': {
+          '512x512': 3,
+          '768x768': 4,
+          '1024x1024': 5
+        }
+      },
+      qualityMultipliers: {
+        'standard': 1,
+        'hd': 1.5
+      },
+      currency: 'tokens'
+    };
+  }
+
+  // Stability bills credits ($0.01 each) by model and steps; hd runs 50 steps instead of 30
+  getCostTable() {
+    const sdxl = { standard: 0.006, hd: 0.01 };
+    return {
+      models: {
+        'stable-diffusion-xl-1024-v1-0': {
+          '1024x1024': sdxl,
+          '1152x896': sdxl,
+          '896x1152': sdxl,
+          '1216x832': sdxl,
+          '832x1216': sdxl,
+          '1344x768': sdxl,
+          '768x1344': sdxl
+        },
+        'stable-diffusion-v1-6': {
+          '512x512': { standard: 0.002, hd: 0.004 },
+          '768x768': { standard: 0.003, hd: 0.005 },
+          '1024x1024': { standard: 0.005, hd: 0.008 }
+        }
+      },
+      default: 0.006
+    };
+  }
+
+  calculateTokenCost(options = {}) {
+    const pricing = this.getPricing();
+    const model = options.model || this.config.model || 'stable-diffusion-xl-1024-v1-0';
+    const size = options.size || '1024x1024';
+
+    let cost = pricing.models[model]?.[size] || pricing.baseCost;
+
+    // Apply quality multiplier
+    if (options.quality && pricing.qualityMultipliers[options.quality]) {
+      cost *= pricing.qualityMultipliers[options.quality];
+    }
+
+    return Math.round(cost);
+  }
+
+  async getStatus() {
+    if (!this.initialized) {
+      return {
+        name: this.name,
+        status: 'not_initialized',
+        message: 'Stability provider not initialized'
+      };
+    }
+
+    try {
+      // Test API connection
+      const response = await this.request('/v1/engines/list');
+      if (!response.ok) {
+        throw this.mapError(response.status, await response.json().catch(() => ({})));
+      }
+
+      return {
+        name: this.name,
+        status: 'operational',
+        message: 'Stability AI API is working',
+        uptime: '99.9%',
+        responseTime: '3-15 seconds'
+      };
+    } catch (error) {
+      return {
+        name: this.name,
+        status: 'error',
+        message: `Stability AI API error: ${error.message}`,
+        uptime: 'unknown',
+        responseTime: 'unknown'
+      };
+    }
+  }
+}
+
+module.exports = StabilityProvider;
@@ -0,0 +1,48 @@
+/**
+ * Base Text Provider Class
+ * Text providers rewrite prompts before they are sent to an image provider.
+ * All text providers must extend this class and implement required methods.
+ */
+class BaseTextProvider {
+  constructor(config = {}) {
+    this.config = config;
+    this.name = 'base';
+  }
+
+  /**
+   * Initialize the provider with configuration
+   * @param {Object} config - Provider specific configuration
+   */
+  async initialize(config) {
+    this.config = { ...this.config, ...config };
+    return true;
+  }
+
+  /**
+   * Expand a short prompt into a detailed image description
+   * @param {string} prompt - Prompt written by the user
+   * @param {Object} options - { style, maxLength }
+   * @returns {Promise<Object>} - { prompt, model }
+   */
+  async enhancePrompt(prompt, options = {}) {
+    throw new Error('enhancePrompt method must be implemented by provider');
+  }
+
+  /**
+   * Tokens charged for one enhancement
+   * @returns {number} - Token cost
+   */
+  calculateTokenCost() {
+    return this.config.tokenCost ?? 1;
+  }
+
+  /**
+   * What one enhancement costs us at the provider, in USD
+   * @returns {number} - Cost in USD
+   */
+  calculateProviderCost() {
+    return this.config.costUsd ?? 0;
+  }
+}
+
+module.exports = BaseTextProvider;
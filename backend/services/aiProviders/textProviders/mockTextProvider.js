@@ -0,0 +1,40 @@
+const BaseTextProvider = require('./baseTextProvider');
+
+// Descriptors appended for each user style preference
+const STYLE_DESCRIPTORS = {
+  realistic: ['photorealistic', 'natural lighting', 'sharp focus', 'highly detailed'],
+  artistic: ['digital painting', 'expressive brushwork', 'rich color palette', 'dramatic composition'],
+  cartoon: ['cartoon illustration', 'bold outlines', 'vibrant flat colors', 'playful mood'],
+  anime: ['anime style', 'cel shading', 'vivid colors', 'detailed background']
+};
+
+// Prompts shorter than this (in words) also get a scene description
+const SHORT_PROMPT_WORDS = 6;
+
+/**
+ * Mock Text Provider
+ * Expands prompts with fixed style descriptors, for development without an API key
+ */
+class MockTextProvider extends BaseTextProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'mock';
+  }
+
+  async enhancePrompt(prompt, options = {}) {
+    const descriptors = STYLE_DESCRIPTORS[options.style] || STYLE_DESCRIPTORS.realistic;
+    const lowerPrompt = prompt.toLowerCase();
+
+    const additions = descriptors.filter(descriptor => !lowerPrompt.includes(descriptor));
+    if (prompt.split(/\s+/).length < SHORT_PROMPT_WORDS) {
+      additions.unshift('detailed scene', 'balanced composition');
+    }
+
+    return {
+      prompt: [prompt.replace(/[\s,.]+$/, ''), ...additions].join(', '),
+      model: 'mock-enhancer'
+    };
+  }
+}
+
+module.exports = MockTextProvider;
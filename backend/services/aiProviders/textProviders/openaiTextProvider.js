@@ -0,0 +1,58 @@
+const BaseTextProvider = require('./baseTextProvider');
+
+/**
+ * OpenAI Text Provider
+ * Rewrites prompts with an OpenAI chat model
+ */
+class OpenAITextProvider extends BaseTextProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'openai';
+    this.openai = null;
+  }
+
+  async initialize(config) {
+    this.config = { ...this.config, ...config };
+
+    if (!this.config.apiKey) {
+      throw new Error('OpenAI API key is required');
+    }
+
+    const { OpenAI } = await import('openai');
+    this.openai = new OpenAI({
+      apiKey: this.config.apiKey,
+      organization: this.config.organization
+    });
+
+    return true;
+  }
+
+  async enhancePrompt(prompt, options = {}) {
+    const model = this.config.model || 'gpt-4o-mini';
+    const style = options.style || 'realistic';
+
+    const response = await this.openai.chat.completions.create({
+      model,
+      messages: [
+        {
+          role: 'system',
+          content: `You rewrite prompts for an image generation model. Expand the user's prompt into one detailed description in a ${style} style: subject, setting, composition, lighting and mood. Keep the user's intent and language, do not add text or watermarks, and answer with the prompt only, in at most ${options.maxLength || 1000} characters.`
+        },
+        { role: 'user', content: prompt }
+      ],
+      temperature: 0.7
+    }, { timeout: this.config.timeout || 30000, maxRetries: this.config.retries ?? 2 });
+
+    return {
+      prompt: response.choices[0].message.content.trim(),
+      model
+    };
+  }
+
+  // A prompt rewrite is a few hundred tokens on a small chat model
+  calculateProviderCost() {
+    return this.config.costUsd ?? 0.0003;
+  }
+}
+
+module.exports = OpenAITextProvider;
@@ -6,8 +6,8 @@ class EmailService {
   constructor() {
     this.transporter = null;
     this.templates = {};
-    this.initializeTransporter();
-    this.loadTemplates();
+    // Settles once the transporter and templates are set up (both fall back instead of failing)
+    this.ready = Promise.all([this.initializeTransporter(), this.loadTemplates()]);
   }
 
   async initializeTransporter() {
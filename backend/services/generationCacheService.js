@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const Image = require('../models/Image');
+
+// Identical requests reuse an earlier result unless disabled
+const CACHE_ENABLED = process.env.GENERATION_CACHE_ENABLED !== 'false';
+
+// Results are only reused for their owner unless sharing between users is turned on
+const CACHE_SHARED = process.env.GENERATION_CACHE_SHARED === 'true';
+
+// Share of the normal price charged for a cached result (0 = free)
+const CACHE_HIT_COST_RATIO = isNaN(parseFloat(process.env.GENERATION_CACHE_COST_RATIO)) ? 0 : parseFloat(process.env.GENERATION_CACHE_COST_RATIO);
+
+// Operations whose result depends only on the prompt and options (not on input images)
+const CACHEABLE_OPERATIONS = ['text_to_image'];
+
+// Case, spacing and trailing punctuation do not change what gets generated
+const normalizePrompt = (prompt) => prompt.trim().toLowerCase().replace(/\s+/g, ' ').replace(/[\s.,;!]+$/, '');
+
+// JSON with sorted keys, so the key does not depend on field order
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Whether a request may be answered from the cache
+ * Only deterministic repeats are reused: without an explicit seed every request
+ * asks for a new picture. Batches want distinct images, so only single-image
+ * requests are cached.
+ */
+const isCacheable = (operation, count, parameters = {}) => CACHE_ENABLED && count === 1 &&
+  CACHEABLE_OPERATIONS.includes(operation) && parameters.seed !== undefined && parameters.seed !== null;
+
+/**
+ * Content address of a generation request
+ * @param {string} prompt - Prompt sent to the provider
+ * @param {Object} options - Validated options (operation, provider, model, size, style, quality)
+ * @param {Object} parameters - Requested advanced parameters, including the seed when one was given
+ * @returns {string} - sha256 hex digest
+ */
+const buildCacheKey = (prompt, options, parameters = {}) => crypto.createHash('sha256').update(stableStringify({
+  prompt: normalizePrompt(prompt),
+  operation: options.operation,
+  provider: options.provider,
+  model: options.model,
+  size: options.size,
+  style: options.style || null,
+  quality: options.quality || null,
+  parameters
+})).digest('hex');
+
+// Most recent original (not itself cached) result for a key that may still be shown
+const findCachedImage = (cacheKey, userId) => Image.findOne({
+  cacheKey,
+  ...(!CACHE_SHARED && { user: userId }),
+  cachedFrom: null,
+  status: 'completed',
+  imageUrl: { $ne: null },
+  'moderation.status': { $in: ['none', 'approved'] }
+}).sort({ createdAt: -1 });
+
+// Tokens charged for a cache hit
+const cacheHitTokenCost = (tokens) => Math.ceil(tokens * CACHE_HIT_COST_RATIO);
+
+// Stored files a cached image shares with its original
+const cachedAssetFields = (image) => ({
+  imageUrl: image.imageUrl,
+  thumbnailUrl: image.thumbnailUrl,
+  storage: image.storage,
+  storageKey: image.storageKey,
+  s3Key: image.s3Key,
+  contentHash: image.contentHash,
+  mimeType: image.mimeType,
+  width: image.width,
+  height: image.height,
+  byteSize: image.byteSize,
+  derivatives: image.derivatives
+});
+
+// Whether another image still uses this image's stored files
+const isAssetShared = async (image) => {
+  const asset = image.storageKey ? { storageKey: image.storageKey } : { imageUrl: image.imageUrl };
+  return !!(await Image.exists({ _id: { $ne: image._id }, ...asset }));
+};
+
+/**
+ * Cache hit rate, overall and for the last 30 days
+ * @returns {Promise<Object>} - { enabled, costRatio, total: {...}, last30Days: {...} }
+ */
+const getCacheStats = async () => {
+  const thirtyDaysAgo = new Date();
+  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+
+  const countFor = async (filter) => {
+    const requests = await Image.countDocuments({ ...filter, cacheKey: { $ne: null } });
+    const hits = await Image.countDocuments({ ...filter, cachedFrom: { $ne: null } });
+    return {
+      requests,
+      hits,
+      misses: requests - hits,
+      hitRate: requests > 0 ? Math.round((hits / requests) * 10000) / 100 : 0
+    };
+  };
+
+  return {
+    enabled: CACHE_ENABLED,
+    shared: CACHE_SHARED,
+    costRatio: CACHE_HIT_COST_RATIO,
+    total: await countFor({}),
+    last30Days: await countFor({ createdAt: { $gte: thirtyDaysAgo } })
+  };
+};
+
+module.exports = {
+  isCacheable,
+  buildCacheKey,
+  findCachedImage,
+  cacheHitTokenCost,
+  cachedAssetFields,
+  isAssetShared,
+  getCacheStats
+};
@@ -0,0 +1,69 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Generation Events
+ * In-process pub/sub for image generation status changes. Workers publish
+ * transitions (queued, generating, progress, completed, failed) and the
+ * per-user event stream forwards them to connected clients.
+ */
+class GenerationEvents {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // One listener per open stream; a user may have several tabs open
+    this.emitter.setMaxListeners(0);
+    this.nextEventId = 1;
+  }
+
+  /**
+   * Publish a status event for one of a user's images
+   * @param {string} userId - Owner of the image
+   * @param {string} type - Event type (queued, generating, progress, completed, failed)
+   * @param {Object} data - Event payload (imageId, status, progress, ...)
+   */
+  publish(userId, type, data = {}) {
+    if (!userId) return;
+
+    const event = {
+      id: this.nextEventId++,
+      type,
+      data: { ...data, timestamp: new Date().toISOString() }
+    };
+
+    try {
+      this.emitter.emit(`user:${userId}`, event);
+    } catch (error) {
+      // A broken subscriber must never fail the generation that published the event
+      console.error('❌ Failed to publish generation event:', error);
+    }
+  }
+
+  /**
+   * Publish the current state of an Image record
+   * @param {Image} image - Image document
+   * @param {Object} extra - Additional payload fields
+   */
+  publishImage(image, extra = {}) {
+    this.publish(image.user.toString(), image.status, {
+      imageId: image._id,
+      batchId: image.batchId,
+      status: image.status,
+      imageUrl: image.imageUrl,
+      thumbnailUrl: image.thumbnailUrl,
+      ...extra
+    });
+  }
+
+  /**
+   * Subscribe to all generation events of a user
+   * @param {string} userId - User to follow
+   * @param {Function} listener - Receives { id, type, data }
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(userId, listener) {
+    const channel = `user:${userId}`;
+    this.emitter.on(channel, listener);
+    return () => this.emitter.off(channel, listener);
+  }
+}
+
+module.exports = new GenerationEvents();
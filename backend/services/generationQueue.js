@@ -0,0 +1,317 @@
+const os = require('os');
+const GenerationJob = require('../models/GenerationJob');
+const Image = require('../models/Image');
+const { processGenerationJob } = require('./imageGenerationService');
+const { refundFailedGeneration } = require('./tokenRefundService');
+const generationEvents = require('./generationEvents');
+
+/**
+ * Generation Queue
+ * MongoDB backed job queue for image generation. Workers claim jobs with a
+ * lease that is kept alive by heartbeats; jobs whose lease expires (e.g. the
+ * process restarted mid-generation) are put back in the queue.
+ */
+class GenerationQueue {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.activeJobs = new Map();
+    this.pollTimer = null;
+    this.recoveryTimer = null;
+    this.isPolling = false;
+    this.config = {
+      concurrency: 2,
+      perUserConcurrency: 1,
+      leaseDuration: 60000,
+      heartbeatInterval: 15000,
+      pollInterval: 1000,
+      recoveryInterval: 30000,
+      maxAttempts: 3
+    };
+  }
+
+  /**
+   * Start polling for jobs
+   * @param {Object} config - Queue configuration overrides
+   */
+  async start(config = {}) {
+    this.config = { ...this.config, ...config };
+
+    await this.recoverOrphanedJobs();
+
+    this.pollTimer = setInterval(() => this.poll(), this.config.pollInterval);
+    this.recoveryTimer = setInterval(() => this.recoverOrphanedJobs(), this.config.recoveryInterval);
+
+    console.log(`Generation queue started (worker ${this.workerId}, concurrency ${this.config.concurrency})`);
+  }
+
+  /**
+   * Stop polling; jobs in progress keep running until they finish
+   */
+  stop() {
+    clearInterval(this.pollTimer);
+    clearInterval(this.recoveryTimer);
+    this.pollTimer = null;
+    this.recoveryTimer = null;
+  }
+
+  /**
+   * Add a generation job to the queue
+   * @param {Object} jobData - { userId, imageId, prompt, options, type, source, mask }
+   * @returns {Promise<GenerationJob>} - Created job
+   */
+  async enqueue({ userId, imageId, prompt, options = {}, type = 'text_to_image', source, mask }) {
+    const job = new GenerationJob({
+      user: userId,
+      image: imageId,
+      type,
+      prompt,
+      options,
+      source,
+      mask,
+      maxAttempts: this.config.maxAttempts
+    });
+
+    await job.save();
+    generationEvents.publish(userId.toString(), 'queued', { imageId, jobId: job._id, status: 'queued' });
+
+    // Pick the job up right away instead of waiting for the next tick
+    if (this.pollTimer) {
+      setImmediate(() => this.poll());
+    }
+
+    return job;
+  }
+
+  /**
+   * Claim and start as many jobs as free worker slots allow
+   */
+  async poll() {
+    if (this.isPolling) return;
+    this.isPolling = true;
+
+    try {
+      while (this.activeJobs.size < this.config.concurrency) {
+        const job = await this.claimNextJob();
+        if (!job) break;
+
+        const running = this.runJob(job).finally(() => this.activeJobs.delete(job._id.toString()));
+        this.activeJobs.set(job._id.toString(), running);
+      }
+    } catch (error) {
+      console.error('❌ Generation queue poll failed:', error);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Atomically claim the oldest runnable job whose user is under the per-user cap
+   * @returns {Promise<GenerationJob|null>} - Claimed job
+   */
+  async claimNextJob() {
+    const saturatedUsers = await GenerationJob.aggregate([
+      { $match: { status: 'running' } },
+      { $group: { _id: '$user', running: { $sum: 1 } } },
+      { $match: { running: { $gte: this.config.perUserConcurrency } } }
+    ]);
+
+    const now = new Date();
+    return GenerationJob.findOneAndUpdate(
+      {
+        status: 'queued',
+        runAfter: { $lte: now },
+        user: { $nin: saturatedUsers.map(entry => entry._id) }
+      },
+      {
+        $set: {
+          status: 'running',
+          lockedBy: this.workerId,
+          leaseExpiresAt: new Date(now.getTime() + this.config.leaseDuration),
+          lastHeartbeatAt: now,
+          startedAt: now,
+          updatedAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Process a claimed job, keeping its lease alive until it settles
+   * @param {GenerationJob} job - Claimed job
+   */
+  async runJob(job) {
+    const heartbeat = setInterval(() => this.heartbeat(job), this.config.heartbeatInterval);
+
+    try {
+      await processGenerationJob(job);
+      await this.finishJob(job, { status: 'completed' });
+    } catch (error) {
+      await this.finishJob(job, { status: 'failed', error: error.message });
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Extend the lease of a running job
+   * @param {GenerationJob} job - Running job
+   */
+  async heartbeat(job) {
+    try {
+      const now = new Date();
+      const result = await GenerationJob.updateOne(
+        { _id: job._id, status: 'running', lockedBy: this.workerId },
+        { $set: { leaseExpiresAt: new Date(now.getTime() + this.config.leaseDuration), lastHeartbeatAt: now } }
+      );
+
+      if (result.matchedCount === 0) {
+        console.warn(`Generation job ${job._id} lease lost by worker ${this.workerId}`);
+      }
+    } catch (error) {
+      console.error('❌ Generation job heartbeat failed:', error);
+    }
+  }
+
+  /**
+   * Record the outcome of a job, as long as this worker still holds its lease
+   * @param {GenerationJob} job - Running job
+   * @param {Object} outcome - { status, error }
+   */
+  async finishJob(job, { status, error = null }) {
+    await GenerationJob.updateOne(
+      { _id: job._id, lockedBy: this.workerId },
+      {
+        $set: {
+          status,
+          error,
+          lockedBy: null,
+          leaseExpiresAt: null,
+          completedAt: new Date(),
+          updatedAt: new Date()
+        }
+      }
+    );
+  }
+
+  /**
+   * Requeue jobs whose lease expired and recover images left in progress
+   * without a live job (e.g. after a crash or restart)
+   */
+  async recoverOrphanedJobs() {
+    try {
+      const now = new Date();
+
+      // Expired leases: requeue while attempts remain, otherwise fail the job
+      const expiredJobs = await GenerationJob.find({
+        status: 'running',
+        leaseExpiresAt: { $lt: now }
+      });
+
+      for (const job of expiredJobs) {
+        if (job.attempts < job.maxAttempts) {
+          await GenerationJob.updateOne(
+            { _id: job._id, status: 'running', leaseExpiresAt: job.leaseExpiresAt },
+            { $set: { status: 'queued', lockedBy: null, leaseExpiresAt: null, runAfter: now, updatedAt: now } }
+          );
+          await Image.updateOne({ _id: job.image, status: 'generating' }, { $set: { status: 'queued' } });
+          generationEvents.publish(job.user.toString(), 'queued', { imageId: job.image, jobId: job._id, status: 'queued' });
+        } else {
+          await GenerationJob.updateOne(
+            { _id: job._id, status: 'running', leaseExpiresAt: job.leaseExpiresAt },
+            {
+              $set: {
+                status: 'failed',
+                error: 'Generation interrupted too many times',
+                lockedBy: null,
+                leaseExpiresAt: null,
+                completedAt: now,
+                updatedAt: now
+              }
+            }
+          );
+          await Image.updateOne(
+            { _id: job.image, status: { $in: ['queued', 'generating'] } },
+            { $set: { status: 'failed', 'metadata.error': 'Generation interrupted too many times', updatedAt: now } }
+          );
+          generationEvents.publish(job.user.toString(), 'failed', {
+            imageId: job.image,
+            status: 'failed',
+            error: 'Generation interrupted too many times'
+          });
+        }
+      }
+
+      // Failed images whose refund did not go through (e.g. crash right after failing)
+      const unrefundedImages = await Image.find({
+        status: 'failed',
+        refundedAt: null,
+        refundSkippedAt: null,
+        tokenTransaction: { $ne: null }
+      }).select('_id').sort({ updatedAt: 1 }).limit(100);
+
+      for (const image of unrefundedImages) {
+        await refundFailedGeneration(image._id, 'Generation failed');
+      }
+
+      // In-progress images that no live job refers to are re-enqueued from their metadata
+      const staleBefore = new Date(now.getTime() - this.config.leaseDuration);
+      const pendingImages = await Image.find({
+        status: { $in: ['queued', 'generating'] },
+        updatedAt: { $lt: staleBefore }
+      }).limit(100);
+
+      for (const image of pendingImages) {
+        const liveJob = await GenerationJob.exists({
+          image: image._id,
+          status: { $in: ['queued', 'running'] }
+        });
+        if (liveJob) continue;
+
+        const {
+          style, size, model, quality, provider, providerRequested, operation, source, mask, parameters, requestedParameters
+        } = image.metadata || {};
+        await this.enqueue({
+          userId: image.user,
+          imageId: image._id,
+          prompt: image.prompt,
+          options: { ...(requestedParameters || parameters), style, size, model, quality, provider: providerRequested ? provider : undefined },
+          type: operation,
+          source,
+          mask
+        });
+        image.status = 'queued';
+        await image.save();
+      }
+
+      if (expiredJobs.length > 0 || pendingImages.length > 0) {
+        console.log(`♻️ Recovered ${expiredJobs.length} expired jobs and checked ${pendingImages.length} orphaned images`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to recover generation jobs:', error);
+    }
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Promise<Object>} - Job counts by status and worker state
+   */
+  async getStats() {
+    const counts = await GenerationJob.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    return {
+      jobs: counts.reduce((acc, entry) => ({ ...acc, [entry._id]: entry.count }), {}),
+      worker: {
+        id: this.workerId,
+        activeJobs: this.activeJobs.size,
+        concurrency: this.config.concurrency,
+        perUserConcurrency: this.config.perUserConcurrency
+      }
+    };
+  }
+}
+
+module.exports = new GenerationQueue();
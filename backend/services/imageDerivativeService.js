@@ -0,0 +1,102 @@
+const path = require('path');
+const sharp = require('sharp');
+const { storeObject, deleteStoredObject } = require('./imageStorageService');
+
+// Variants produced for every stored image. Resized variants keep a widely
+// supported format (PNG when the source has transparency, JPEG otherwise);
+// the webp/avif variants are full-size re-encodes for modern browsers.
+const DERIVATIVE_SPECS = {
+  thumbnail: { width: 256, height: 256, fit: 'cover' },
+  medium: { width: 1024, height: 1024, fit: 'inside' },
+  webp: { format: 'webp' },
+  avif: { format: 'avif' }
+};
+
+const FORMAT_DETAILS = {
+  jpeg: { extension: 'jpg', mimeType: 'image/jpeg', options: { quality: 82, mozjpeg: true } },
+  png: { extension: 'png', mimeType: 'image/png', options: { compressionLevel: 9 } },
+  webp: { extension: 'webp', mimeType: 'image/webp', options: { quality: 80 } },
+  avif: { extension: 'avif', mimeType: 'image/avif', options: { quality: 50 } }
+};
+
+// Render a single variant of the source image
+const renderDerivative = async (buffer, spec, hasAlpha) => {
+  const format = spec.format || (hasAlpha ? 'png' : 'jpeg');
+  const { options } = FORMAT_DETAILS[format];
+
+  let pipeline = sharp(buffer).rotate();
+  if (spec.width) {
+    pipeline = pipeline.resize(spec.width, spec.height, { fit: spec.fit, withoutEnlargement: true });
+  }
+
+  const { data, info } = await pipeline.toFormat(format, options).toBuffer({ resolveWithObject: true });
+  return { data, info, format };
+};
+
+/**
+ * Create and store all derivatives of an image
+ * Derivatives are stored next to the original as <name>_<variant>.<ext>.
+ * @param {Buffer} buffer - Original image data
+ * @param {string} baseKey - Storage key of the original
+ * @returns {Promise<Object>} - Derivatives by variant name ({ storage, storageKey, url, width, height, mimeType, byteSize })
+ */
+const createDerivatives = async (buffer, baseKey) => {
+  const { hasAlpha } = await sharp(buffer).metadata();
+  const { dir, name } = path.posix.parse(baseKey);
+  const derivatives = {};
+
+  try {
+    for (const [variant, spec] of Object.entries(DERIVATIVE_SPECS)) {
+      const { data, info, format } = await renderDerivative(buffer, spec, hasAlpha);
+      const { extension, mimeType } = FORMAT_DETAILS[format];
+      const stored = await storeObject(data, path.posix.join(dir, `${name}_${variant}.${extension}`), mimeType);
+
+      derivatives[variant] = {
+        ...stored,
+        width: info.width,
+        height: info.height,
+        mimeType,
+        byteSize: data.length
+      };
+    }
+  } catch (error) {
+    // Don't leave half a set of derivatives behind
+    await deleteDerivatives(derivatives);
+    throw error;
+  }
+
+  return derivatives;
+};
+
+/**
+ * Create derivatives, logging instead of throwing on failure
+ * Used where a missing preview must not fail the upload or generation itself.
+ * @param {Buffer} buffer - Original image data
+ * @param {string} baseKey - Storage key of the original
+ * @returns {Promise<Object>} - Derivatives by variant name (empty on failure)
+ */
+const tryCreateDerivatives = async (buffer, baseKey) => {
+  try {
+    return await createDerivatives(buffer, baseKey);
+  } catch (error) {
+    console.error(`❌ Failed to create derivatives for ${baseKey}:`, error);
+    return {};
+  }
+};
+
+/**
+ * Delete stored derivatives
+ * @param {Object} derivatives - Derivatives by variant name
+ */
+const deleteDerivatives = async (derivatives = {}) => {
+  for (const derivative of Object.values(derivatives || {})) {
+    await deleteStoredObject(derivative);
+  }
+};
+
+module.exports = {
+  DERIVATIVE_SPECS,
+  createDerivatives,
+  tryCreateDerivatives,
+  deleteDerivatives
+};
@@ -0,0 +1,195 @@
+const Image = require('../models/Image');
+const Token = require('../models/Token');
+const aiProviderManager = require('./aiProviderManager');
+const { loadImageBuffer, persistGeneratedImage, deleteStoredObject } = require('./imageStorageService');
+const { tryCreateDerivatives, deleteDerivatives } = require('./imageDerivativeService');
+const { refundFailedGeneration } = require('./tokenRefundService');
+const tokenLedger = require('./tokenLedgerService');
+const generationEvents = require('./generationEvents');
+const moderationService = require('./moderationService');
+
+// Dispatch a generation to the provider manager by job type
+const runProviderOperation = async (type, prompt, options, { source, mask } = {}) => {
+  switch (type) {
+    case 'image_to_image':
+      return aiProviderManager.editImage(await loadImageBuffer(source), prompt, options);
+    case 'inpainting':
+      return aiProviderManager.inpaintImage(await loadImageBuffer(source), await loadImageBuffer(mask), prompt, options);
+    case 'variation':
+      return aiProviderManager.createVariation(await loadImageBuffer(source), options);
+    default:
+      return aiProviderManager.generateImage(prompt, options);
+  }
+};
+
+// AI Image Generation with Provider Manager
+const generateAIImage = async (prompt, options, userId, inputs = {}) => {
+  try {
+    // Generate image using AI provider
+    const result = await runProviderOperation(inputs.type, prompt, options, inputs);
+
+    // Provider URLs expire, so always keep our own copy of the result
+    const stored = await persistGeneratedImage(result.imageUrl, userId);
+    const derivatives = await tryCreateDerivatives(stored.buffer, stored.storageKey);
+
+    return {
+      imageUrl: stored.url,
+      thumbnailUrl: derivatives.thumbnail ? derivatives.thumbnail.url : stored.url,
+      status: 'completed',
+      storage: stored,
+      derivatives,
+      metadata: {
+        ...result.metadata,
+        // Base64 results are not worth keeping twice
+        ...(result.imageUrl.startsWith('http') && { providerImageUrl: result.imageUrl })
+      }
+    };
+  } catch (error) {
+    console.error('AI Image generation error:', error);
+    const generationError = new Error(`AI generation failed: ${error.message}`);
+    generationError.attempts = error.attempts;
+    generationError.totalAttempts = error.totalAttempts;
+    generationError.generationTimeMs = error.generationTimeMs;
+    throw generationError;
+  }
+};
+
+// Charge a delivered image whose hold could not be captured; only a hold that expired
+// and was released meanwhile is charged again, a shared batch spend is already complete
+const chargeUncapturedImage = async (image) => {
+  const recharge = await tokenLedger.rechargeReleasedHold(image.tokenTransaction);
+  if (recharge) {
+    console.warn(`⚠️ Token hold ${image.tokenTransaction} expired before image ${image._id} completed; charged again`);
+    image.tokenTransaction = recharge.transaction._id;
+    image.refundedAt = null;
+    await Image.updateOne({ _id: image._id }, { $set: { tokenTransaction: image.tokenTransaction, refundedAt: null } });
+    return;
+  }
+
+  const hold = await Token.findById(image.tokenTransaction).select('status');
+  if (!hold || hold.status !== 'completed') {
+    console.error(`❌ Token hold ${image.tokenTransaction} of image ${image._id} could not be captured (status: ${hold ? hold.status : 'missing'})`);
+  }
+};
+
+// Run a queued generation job and store the outcome on its Image record
+const processGenerationJob = async (job) => {
+  const image = await Image.findById(job.image);
+  if (!image) {
+    throw new Error('Image not found for generation job');
+  }
+
+  image.status = 'generating';
+  await image.save();
+  generationEvents.publishImage(image, { progress: 0 });
+
+  // Forward provider progress to the user's event stream
+  const onProgress = (progress) => generationEvents.publish(job.user.toString(), 'progress', {
+    imageId: image._id,
+    batchId: image.batchId,
+    status: 'generating',
+    progress
+  });
+
+  try {
+    const result = await generateAIImage(job.prompt, { ...job.options, onProgress }, job.user, {
+      type: job.type,
+      source: job.source,
+      mask: job.mask
+    });
+
+    const { storage } = result;
+
+    // Check the result before the user gets to see it
+    const moderation = await moderationService.moderateImage({
+      buffer: storage.buffer,
+      mimeType: storage.mimeType,
+      url: result.imageUrl,
+      text: result.metadata.revisedPrompt || null
+    }, { userId: job.user, imageId: image._id });
+
+    if (!moderation.allowed) {
+      await deleteStoredObject({ storage: storage.storage, storageKey: storage.storageKey, url: result.imageUrl });
+      await deleteDerivatives(result.derivatives);
+
+      const moderationError = new Error(`Generated image was blocked by content moderation: ${moderation.reasons.join(', ')}`);
+      moderationError.code = 'content_policy_violation';
+      throw moderationError;
+    }
+
+    if (moderation.event) {
+      image.moderation = { status: 'flagged', event: moderation.event._id };
+    }
+
+    image.imageUrl = result.imageUrl;
+    image.thumbnailUrl = result.thumbnailUrl;
+    image.storage = storage.storage;
+    image.storageKey = storage.storageKey;
+    image.s3Key = storage.storage === 's3' ? storage.storageKey : null;
+    image.contentHash = storage.contentHash;
+    image.mimeType = storage.mimeType;
+    image.width = storage.width;
+    image.height = storage.height;
+    image.byteSize = storage.byteSize;
+    image.derivatives = result.derivatives;
+    image.providerCostUsd = result.metadata.providerCostUsd || 0;
+    image.status = result.status;
+    // A fallback provider's result does not answer the request the cache key describes
+    if (image.cacheKey && result.metadata.provider !== image.metadata.provider) {
+      image.cacheKey = null;
+    }
+    image.metadata = { ...image.metadata, ...result.metadata };
+    await image.save();
+
+    if (image.tokenTransaction) {
+      // The image is delivered, so its hold becomes a spend; a lost capture is redone when the hold expires
+      try {
+        const captured = await tokenLedger.capture(image.tokenTransaction);
+        if (!captured) {
+          await chargeUncapturedImage(image);
+        }
+      } catch (captureError) {
+        console.error('❌ Failed to capture token hold:', captureError);
+      }
+
+      // Older batches share one spend, so each image adds its own cost
+      if (image.providerCostUsd > 0) {
+        await Token.updateOne({ _id: image.tokenTransaction }, { $inc: { providerCostUsd: image.providerCostUsd } });
+      }
+    }
+    generationEvents.publishImage(image, { progress: 100 });
+
+    return image;
+  } catch (error) {
+    console.error('Image generation error:', error);
+    image.status = 'failed';
+    image.metadata = {
+      ...image.metadata,
+      error: error.message,
+      providersTried: error.attempts || [],
+      totalAttempts: error.totalAttempts || 0,
+      generationTimeMs: error.generationTimeMs
+    };
+    await image.save();
+
+    let refund = null;
+    try {
+      refund = await refundFailedGeneration(image._id, error.message);
+    } catch (refundError) {
+      // The recovery sweep retries refunds for failed images
+      console.error('❌ Failed to refund failed generation:', refundError);
+    }
+    generationEvents.publishImage(image, {
+      error: error.message,
+      refunded: !!refund,
+      tokensRefunded: refund ? Math.abs(refund.amount) : 0
+    });
+
+    throw error;
+  }
+};
+
+module.exports = {
+  generateAIImage,
+  processGenerationJob
+};
@@ -0,0 +1,208 @@
+const { loadImageBuffer, readStoredObject, inspectImage, persistImageBuffer } = require('./imageStorageService');
+const { tryCreateDerivatives } = require('./imageDerivativeService');
+
+// Post-processing operations: processor method, fixed parameters and default token price
+const IMAGE_OPERATIONS = {
+  upscale_2x: { label: 'Upscale 2x', method: 'upscale', params: { factor: 2 }, tokens: 2 },
+  upscale_4x: { label: 'Upscale 4x', method: 'upscale', params: { factor: 4 }, tokens: 4 },
+  remove_background: { label: 'Background Removal', method: 'removeBackground', params: {}, tokens: 3 },
+  crop: { label: 'Crop', method: 'crop', params: {}, tokens: 1 },
+  format_convert: { label: 'Format Conversion', method: 'convert', params: {}, tokens: 1 }
+};
+
+const CONVERT_FORMATS = ['png', 'jpeg', 'webp', 'avif'];
+
+// Largest width or height an operation may produce
+const DEFAULT_MAX_DIMENSION = 8192;
+
+const operationError = (message, status = 400) => {
+  const error = new Error(message);
+  error.code = 'invalid_operation';
+  error.status = status;
+  return error;
+};
+
+/**
+ * Image Operation Service
+ * Runs post-processing operations (upscale, background removal, crop, format
+ * conversion) on stored images through a pluggable processor.
+ */
+class ImageOperationService {
+  constructor() {
+    this.processors = new Map();
+    this.processor = null;
+    this.config = {};
+  }
+
+  /**
+   * Register a processor implementation
+   * @param {string} name - Processor name
+   * @param {BaseImageProcessor} processorClass - Processor class
+   */
+  registerProcessor(name, processorClass) {
+    this.processors.set(name, processorClass);
+    console.log(`Image processor registered: ${name}`);
+  }
+
+  /**
+   * Initialize the service with configuration
+   * @param {Object} config - { processor, processorPath, processorConfig, pricing, maxDimension }
+   */
+  async initialize(config = {}) {
+    this.config = config;
+
+    this.registerProcessor('local', require('./imageProcessors/localProcessor'));
+
+    if (config.processorPath) {
+      try {
+        this.registerProcessor('custom', require(config.processorPath));
+      } catch (error) {
+        console.error('Failed to load custom image processor:', error);
+      }
+    }
+
+    await this.setProcessor(config.processor || 'local');
+  }
+
+  /**
+   * Set the processor operations run on
+   * @param {string} name - Registered processor name
+   */
+  async setProcessor(name) {
+    const ProcessorClass = this.processors.get(name);
+    if (!ProcessorClass) {
+      throw new Error(`Image processor '${name}' not found`);
+    }
+
+    const processor = new ProcessorClass(this.config.processorConfig || {});
+    await processor.initialize(this.config.processorConfig || {});
+    this.processor = processor;
+
+    console.log(`Image processor set to: ${name}`);
+  }
+
+  /**
+   * Processor in use, falling back to the local one if the service was never initialized
+   */
+  getProcessor() {
+    if (!this.processor) {
+      const LocalImageProcessor = require('./imageProcessors/localProcessor');
+      this.processor = new LocalImageProcessor();
+    }
+    return this.processor;
+  }
+
+  /**
+   * Token price of an operation (configured prices override the defaults)
+   * @param {string} operation - Operation id
+   * @returns {number} - Token cost
+   */
+  getTokenCost(operation) {
+    return (this.config.pricing || {})[operation] ?? IMAGE_OPERATIONS[operation].tokens;
+  }
+
+  /**
+   * Operations the current processor supports, with their prices
+   * @returns {Array<Object>} - { id, label, tokens }
+   */
+  getAvailableOperations() {
+    const supported = this.getProcessor().getSupportedOperations();
+    return Object.entries(IMAGE_OPERATIONS)
+      .filter(([, spec]) => supported.includes(spec.method))
+      .map(([id, spec]) => ({ id, label: spec.label, tokens: this.getTokenCost(id) }));
+  }
+
+  /**
+   * Check an operation and its parameters against the source image
+   * @param {string} operation - Operation id
+   * @param {Object} body - Request parameters
+   * @param {Object} source - Source dimensions ({ width, height })
+   * @returns {Object} - Parameters for the processor
+   */
+  resolveParameters(operation, body, { width, height }) {
+    const spec = IMAGE_OPERATIONS[operation];
+    const maxDimension = this.config.maxDimension || DEFAULT_MAX_DIMENSION;
+
+    switch (spec.method) {
+      case 'upscale': {
+        const { factor } = spec.params;
+        if (width * factor > maxDimension || height * factor > maxDimension) {
+          throw operationError(`Result would exceed ${maxDimension}px (source is ${width}x${height})`);
+        }
+        return { factor };
+      }
+
+      case 'crop': {
+        const [left, top, cropWidth, cropHeight] = ['left', 'top', 'width', 'height'].map(name => Number(body[name]));
+        if (![left, top, cropWidth, cropHeight].every(Number.isInteger) || left < 0 || top < 0 || cropWidth < 1 || cropHeight < 1) {
+          throw operationError('left, top, width and height must be non-negative integers');
+        }
+        if (left + cropWidth > width || top + cropHeight > height) {
+          throw operationError(`Crop area is outside the image (${width}x${height})`);
+        }
+        return { left, top, width: cropWidth, height: cropHeight };
+      }
+
+      case 'convert': {
+        const format = body.format === 'jpg' ? 'jpeg' : body.format;
+        if (!CONVERT_FORMATS.includes(format)) {
+          throw operationError(`format must be one of: ${CONVERT_FORMATS.join(', ')}`);
+        }
+        const quality = body.quality !== undefined ? Number(body.quality) : undefined;
+        if (quality !== undefined && (!Number.isInteger(quality) || quality < 1 || quality > 100)) {
+          throw operationError('quality must be an integer between 1 and 100');
+        }
+        return { format, ...(quality && { quality }) };
+      }
+
+      case 'removeBackground': {
+        const tolerance = body.tolerance !== undefined ? Number(body.tolerance) : undefined;
+        if (tolerance !== undefined && (isNaN(tolerance) || tolerance < 0 || tolerance > 255)) {
+          throw operationError('tolerance must be between 0 and 255');
+        }
+        return tolerance !== undefined ? { tolerance } : {};
+      }
+
+      default:
+        return { ...spec.params };
+    }
+  }
+
+  /**
+   * Run an operation on a stored image and store the result
+   * @param {Object} image - Source Image record
+   * @param {string} operation - Operation id
+   * @param {Object} body - Request parameters
+   * @returns {Promise<Object>} - { stored, derivatives, params, processor, tokens }
+   */
+  async applyOperation(image, operation, body = {}) {
+    const spec = IMAGE_OPERATIONS[operation];
+    const processor = this.getProcessor();
+
+    if (!spec) {
+      throw operationError(`Unknown operation '${operation}'. Available: ${Object.keys(IMAGE_OPERATIONS).join(', ')}`, 404);
+    }
+    if (!processor.getSupportedOperations().includes(spec.method)) {
+      throw operationError(`Operation '${operation}' is not supported by the ${processor.name} processor`);
+    }
+
+    const buffer = image.storageKey
+      ? await readStoredObject({ storage: image.storage, storageKey: image.storageKey })
+      : (await loadImageBuffer({ url: image.imageUrl })).buffer;
+    const source = { buffer, ...(await inspectImage(buffer)) };
+
+    const params = this.resolveParameters(operation, body, source);
+    const result = await processor[spec.method]({ buffer: source.buffer, mimeType: source.mimeType }, params);
+
+    const stored = await persistImageBuffer(result.buffer, image.user, operation);
+    const derivatives = await tryCreateDerivatives(stored.buffer, stored.storageKey);
+
+    return { stored, derivatives, params, processor: processor.name, tokens: this.getTokenCost(operation) };
+  }
+}
+
+// Create singleton instance
+const imageOperationService = new ImageOperationService();
+
+module.exports = imageOperationService;
+module.exports.IMAGE_OPERATIONS = IMAGE_OPERATIONS;
@@ -0,0 +1,77 @@
+/**
+ * Base Image Processor Class
+ * Processors run post-processing operations on stored images. Every method
+ * takes and returns an image as { buffer, mimeType }.
+ * All processors must extend this class and implement the operations they support.
+ */
+class BaseImageProcessor {
+  constructor(config = {}) {
+    this.config = config;
+    this.name = 'base';
+  }
+
+  /**
+   * Initialize the processor with configuration
+   * @param {Object} config - Processor specific configuration
+   */
+  async initialize(config) {
+    this.config = { ...this.config, ...config };
+    return true;
+  }
+
+  /**
+   * Enlarge an image
+   * @param {Object} image - Source image ({ buffer, mimeType })
+   * @param {Object} params - { factor } (2 or 4)
+   * @returns {Promise<Object>} - Result image ({ buffer, mimeType })
+   */
+  async upscale(image, params = {}) {
+    throw this.unsupportedOperation('upscale');
+  }
+
+  /**
+   * Make the background of an image transparent
+   * @param {Object} image - Source image ({ buffer, mimeType })
+   * @param {Object} params - Processor specific options
+   * @returns {Promise<Object>} - Result image ({ buffer, mimeType }), with an alpha channel
+   */
+  async removeBackground(image, params = {}) {
+    throw this.unsupportedOperation('removeBackground');
+  }
+
+  /**
+   * Cut out a region of an image
+   * @param {Object} image - Source image ({ buffer, mimeType })
+   * @param {Object} params - { left, top, width, height } in pixels
+   * @returns {Promise<Object>} - Result image ({ buffer, mimeType })
+   */
+  async crop(image, params = {}) {
+    throw this.unsupportedOperation('crop');
+  }
+
+  /**
+   * Re-encode an image in another format
+   * @param {Object} image - Source image ({ buffer, mimeType })
+   * @param {Object} params - { format: 'png'|'jpeg'|'webp'|'avif', quality }
+   * @returns {Promise<Object>} - Result image ({ buffer, mimeType })
+   */
+  async convert(image, params = {}) {
+    throw this.unsupportedOperation('convert');
+  }
+
+  /**
+   * Processor methods this processor implements
+   * @returns {Array<string>} - Method names, e.g. ['upscale', 'crop']
+   */
+  getSupportedOperations() {
+    return [];
+  }
+
+  unsupportedOperation(operation) {
+    const error = new Error(`Operation '${operation}' is not supported by ${this.name} processor`);
+    error.code = 'unsupported_operation';
+    return error;
+  }
+}
+
+module.exports = BaseImageProcessor;
@@ -0,0 +1,106 @@
+const sharp = require('sharp');
+const BaseImageProcessor = require('./baseProcessor');
+
+const FORMAT_MIME_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  avif: 'image/avif'
+};
+
+// Colour distance under which a pixel counts as background
+const DEFAULT_BACKGROUND_TOLERANCE = 40;
+
+/**
+ * Local Image Processor
+ * Runs every operation in-process with sharp, so it works offline. Upscaling
+ * is plain resampling and background removal keys out the colour that
+ * surrounds the subject, which suits generated images on plain backgrounds.
+ */
+class LocalImageProcessor extends BaseImageProcessor {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'local';
+  }
+
+  async upscale({ buffer }, { factor }) {
+    const { width, height } = await sharp(buffer).metadata();
+    const result = await sharp(buffer)
+      .resize(width * factor, height * factor, { kernel: sharp.kernel.lanczos3 })
+      .png()
+      .toBuffer();
+
+    return { buffer: result, mimeType: 'image/png' };
+  }
+
+  async removeBackground({ buffer }, params = {}) {
+    const tolerance = params.tolerance ?? DEFAULT_BACKGROUND_TOLERANCE;
+    const { data, info } = await sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    const { width, height } = info;
+
+    // Background colour: average of the border pixels
+    const border = [];
+    for (let x = 0; x < width; x++) border.push(x, (height - 1) * width + x);
+    for (let y = 1; y < height - 1; y++) border.push(y * width, y * width + width - 1);
+
+    const background = [0, 1, 2].map(channel =>
+      border.reduce((sum, pixel) => sum + data[pixel * 4 + channel], 0) / border.length
+    );
+
+    const isBackground = (pixel) => {
+      const offset = pixel * 4;
+      const distance = Math.hypot(
+        data[offset] - background[0],
+        data[offset + 1] - background[1],
+        data[offset + 2] - background[2]
+      );
+      return distance <= tolerance;
+    };
+
+    // Flood fill from the edges so background-coloured parts of the subject are kept
+    const visited = new Uint8Array(width * height);
+    const stack = border.filter(pixel => isBackground(pixel));
+    stack.forEach(pixel => { visited[pixel] = 1; });
+
+    while (stack.length > 0) {
+      const pixel = stack.pop();
+      data[pixel * 4 + 3] = 0;
+
+      const x = pixel % width;
+      const neighbours = [
+        x > 0 ? pixel - 1 : -1,
+        x < width - 1 ? pixel + 1 : -1,
+        pixel - width,
+        pixel + width
+      ];
+      for (const neighbour of neighbours) {
+        if (neighbour >= 0 && neighbour < width * height && !visited[neighbour] && isBackground(neighbour)) {
+          visited[neighbour] = 1;
+          stack.push(neighbour);
+        }
+      }
+    }
+
+    const result = await sharp(data, { raw: { width, height, channels: 4 } }).png().toBuffer();
+    return { buffer: result, mimeType: 'image/png' };
+  }
+
+  async crop({ buffer, mimeType }, { left, top, width, height }) {
+    const result = await sharp(buffer).extract({ left, top, width, height }).toBuffer();
+    return { buffer: result, mimeType };
+  }
+
+  async convert({ buffer }, { format, quality }) {
+    const result = await sharp(buffer)
+      .toFormat(format, quality ? { quality } : {})
+      .toBuffer();
+
+    return { buffer: result, mimeType: FORMAT_MIME_TYPES[format] };
+  }
+
+  getSupportedOperations() {
+    return ['upscale', 'removeBackground', 'crop', 'convert'];
+  }
+}
+
+module.exports = LocalImageProcessor;
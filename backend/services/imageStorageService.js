@@ -0,0 +1,190 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const s3Service = require('./s3Service');
+
+// Local fallback storage, served by the API under LOCAL_STORAGE_URL
+const LOCAL_STORAGE_PATH = process.env.LOCAL_STORAGE_PATH || path.join(__dirname, '..', 'uploads');
+const LOCAL_STORAGE_URL = (process.env.LOCAL_STORAGE_URL || '/uploads').replace(/\/+$/, '');
+// Path the files are mounted on (LOCAL_STORAGE_URL may be an absolute URL)
+const LOCAL_STORAGE_ROUTE = new URL(LOCAL_STORAGE_URL, 'http://localhost').pathname;
+
+const MIME_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  avif: 'image/avif',
+  heif: 'image/avif'
+};
+
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/avif': 'avif'
+};
+
+// Resolve a storage key inside the local storage directory
+const localPath = (key) => {
+  const filePath = path.resolve(LOCAL_STORAGE_PATH, key);
+  if (!filePath.startsWith(path.resolve(LOCAL_STORAGE_PATH) + path.sep)) {
+    throw new Error('Invalid storage key');
+  }
+  return filePath;
+};
+
+// Load an image from a URL, base64 data URI or local storage
+const loadImageBuffer = async ({ url, mimeType }) => {
+  if (!url) {
+    throw new Error('Image URL is missing');
+  }
+
+  // Images kept in local fallback storage are read straight from disk
+  if (url.startsWith(`${LOCAL_STORAGE_URL}/`)) {
+    const key = url.slice(LOCAL_STORAGE_URL.length + 1);
+    return {
+      buffer: await fs.readFile(localPath(key)),
+      mimeType: mimeType || `image/${path.extname(key).slice(1).replace('jpg', 'jpeg')}`
+    };
+  }
+
+  if (url.startsWith('data:')) {
+    const [header, data] = url.split(',');
+    return {
+      buffer: Buffer.from(data, 'base64'),
+      mimeType: mimeType || header.slice(5).split(';')[0]
+    };
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to download image: HTTP ${response.status}`);
+  }
+
+  return {
+    buffer: Buffer.from(await response.arrayBuffer()),
+    mimeType: mimeType || response.headers.get('content-type') || 'image/png'
+  };
+};
+
+// Read format and dimensions from the image data itself
+const inspectImage = async (buffer) => {
+  let info;
+  try {
+    info = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new Error(`Invalid image data: ${error.message}`);
+  }
+
+  const mimeType = MIME_TYPES[info.format];
+  if (!mimeType) {
+    throw new Error(`Unsupported image format: ${info.format}`);
+  }
+
+  return {
+    mimeType,
+    width: info.width,
+    height: info.height,
+    byteSize: buffer.length,
+    contentHash: crypto.createHash('sha256').update(buffer).digest('hex')
+  };
+};
+
+// Store a buffer on the local filesystem (fallback when S3 isn't configured)
+const storeLocally = async (buffer, key) => {
+  const filePath = localPath(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+  return { storage: 'local', storageKey: key, url: `${LOCAL_STORAGE_URL}/${key}` };
+};
+
+// Store a buffer in S3, or on the local filesystem when S3 isn't configured
+const storeObject = async (buffer, key, contentType) => {
+  if (!s3Service.isS3Configured()) {
+    return storeLocally(buffer, key);
+  }
+
+  const result = await s3Service.s3.upload({
+    Bucket: process.env.AWS_S3_BUCKET,
+    Key: key,
+    Body: buffer,
+    ContentType: contentType,
+    ACL: 'public-read'
+  }).promise();
+
+  return { storage: 's3', storageKey: key, url: result.Location };
+};
+
+// Read back an object stored in S3 or local storage
+const readStoredObject = async ({ storage, storageKey }) => {
+  if (storage === 'local') {
+    return fs.readFile(localPath(storageKey));
+  }
+
+  const result = await s3Service.s3.getObject({
+    Bucket: process.env.AWS_S3_BUCKET,
+    Key: storageKey
+  }).promise();
+  return result.Body;
+};
+
+// Store an image buffer in the user's AI image folder
+const persistImageBuffer = async (buffer, userId, prefix = 'ai_generated') => {
+  const details = await inspectImage(buffer);
+  const fileName = `${prefix}_${Date.now()}_${details.contentHash.slice(0, 12)}.${EXTENSIONS[details.mimeType]}`;
+
+  let stored;
+  if (s3Service.isS3Configured()) {
+    const url = await s3Service.uploadAIImage(buffer, fileName, userId, details.mimeType);
+    stored = { storage: 's3', storageKey: `ai-images/${userId}/${fileName}`, url };
+  } else {
+    stored = await storeLocally(buffer, `ai-images/${userId}/${fileName}`);
+  }
+
+  // The buffer is handed on so derivatives can be made without downloading again
+  return { ...details, ...stored, buffer };
+};
+
+// Download a provider result and keep our own copy of it
+const persistGeneratedImage = async (imageUrl, userId) => {
+  const { buffer } = await loadImageBuffer({ url: imageUrl });
+  return persistImageBuffer(buffer, userId);
+};
+
+// Remove a stored object from wherever it was saved
+const deleteStoredObject = async ({ storage, storageKey, url }) => {
+  if (storage === 'local') {
+    try {
+      await fs.unlink(localPath(storageKey));
+      return true;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Local storage delete error:', error);
+      }
+      return false;
+    }
+  }
+
+  // S3 objects (and records created before storage was tracked) are deleted by URL
+  if (s3Service.isS3Configured() && url) {
+    return s3Service.deleteFromS3(url);
+  }
+
+  return false;
+};
+
+module.exports = {
+  LOCAL_STORAGE_PATH,
+  LOCAL_STORAGE_ROUTE,
+  loadImageBuffer,
+  inspectImage,
+  storeLocally,
+  storeObject,
+  readStoredObject,
+  persistImageBuffer,
+  persistGeneratedImage,
+  deleteStoredObject
+};
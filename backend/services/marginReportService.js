@@ -0,0 +1,232 @@
+const Image = require('../models/Image');
+const Payment = require('../models/Payment');
+const Token = require('../models/Token');
+
+const MARGIN_GROUPINGS = ['provider', 'model', 'package', 'day'];
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Post-processed images are billed by operation, not by an AI provider
+const providerExpression = {
+  $cond: [
+    { $eq: ['$lineageType', 'postprocess'] },
+    'postprocess',
+    { $ifNull: ['$metadata.servedBy', { $ifNull: ['$metadata.provider', 'unknown'] }] }
+  ]
+};
+
+const modelExpression = {
+  $cond: [
+    { $eq: ['$lineageType', 'postprocess'] },
+    { $ifNull: ['$metadata.postProcessing.operation', 'unknown'] },
+    { $ifNull: ['$metadata.model', 'unknown'] }
+  ]
+};
+
+const dayExpression = (field) => ({ $dateToString: { format: '%Y-%m-%d', date: field } });
+
+const groupExpressions = {
+  provider: { provider: providerExpression },
+  model: { provider: providerExpression, model: modelExpression },
+  day: { day: dayExpression('$createdAt') }
+};
+
+// Prompt enhancements are only recorded as ledger spends; they get rows of their own
+const enhancementGroupExpressions = {
+  provider: { provider: 'prompt_enhancement' },
+  model: { provider: 'prompt_enhancement', model: { $ifNull: ['$metadata.model', 'unknown'] } },
+  day: { day: dayExpression('$createdAt') }
+};
+
+const enhancementMatch = (period) => ({
+  type: 'spend',
+  generationType: 'text_generation',
+  status: 'completed',
+  createdAt: period
+});
+
+// Spends are negative ledger amounts
+const enhancementTotals = {
+  enhancements: { $sum: 1 },
+  tokensUsed: { $sum: { $abs: '$amount' } },
+  providerCostUsd: { $sum: '$providerCostUsd' }
+};
+
+// Add up rows of the same group (a day with both images and enhancements)
+const mergeRows = (rows, keyOf) => {
+  const merged = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    const existing = merged.get(key);
+    merged.set(key, existing ? {
+      ...existing,
+      images: existing.images + row.images,
+      enhancements: existing.enhancements + row.enhancements,
+      cacheHits: existing.cacheHits + row.cacheHits,
+      tokensUsed: existing.tokensUsed + row.tokensUsed,
+      providerCostUsd: existing.providerCostUsd + row.providerCostUsd
+    } : row);
+  }
+  return [...merged.values()];
+};
+
+// Revenue, cost and margin for a row that spent tokens
+const withMargin = (row, revenuePerToken) => {
+  const revenueUsd = row.tokensUsed * revenuePerToken;
+  const grossMarginUsd = revenueUsd - row.providerCostUsd;
+
+  return {
+    ...row,
+    providerCostUsd: round(row.providerCostUsd, 4),
+    revenueUsd: round(revenueUsd),
+    grossMarginUsd: round(grossMarginUsd),
+    grossMarginPercent: revenueUsd > 0 ? round((grossMarginUsd / revenueUsd) * 100) : null
+  };
+};
+
+/**
+ * Succeeded payments in a period
+ * @returns {Promise<Object>} - { revenueUsd, tokensSold, payments }
+ */
+const getPaymentTotals = async (match) => {
+  const [totals] = await Payment.aggregate([
+    { $match: match },
+    { $group: { _id: null, amount: { $sum: '$amount' }, tokens: { $sum: '$tokens' }, payments: { $sum: 1 } } }
+  ]);
+
+  return {
+    revenueUsd: (totals?.amount || 0) / 100,
+    tokensSold: totals?.tokens || 0,
+    payments: totals?.payments || 0
+  };
+};
+
+/**
+ * Revenue per package with cost estimated from the average provider cost per token
+ */
+const getPackageRows = async (paymentMatch, costPerToken) => {
+  const rows = await Payment.aggregate([
+    { $match: paymentMatch },
+    {
+      $group: {
+        _id: '$packageId',
+        payments: { $sum: 1 },
+        amount: { $sum: '$amount' },
+        tokensSold: { $sum: '$tokens' }
+      }
+    },
+    { $lookup: { from: 'tokenpackages', localField: '_id', foreignField: '_id', as: 'package' } },
+    { $sort: { amount: -1 } }
+  ]);
+
+  return rows.map(row => {
+    const revenueUsd = row.amount / 100;
+    const estimatedCostUsd = row.tokensSold * costPerToken;
+
+    return {
+      packageId: row._id,
+      packageName: row.package[0]?.name || null,
+      payments: row.payments,
+      tokensSold: row.tokensSold,
+      revenueUsd: round(revenueUsd),
+      estimatedCostUsd: round(estimatedCostUsd, 4),
+      grossMarginUsd: round(revenueUsd - estimatedCostUsd),
+      grossMarginPercent: revenueUsd > 0 ? round(((revenueUsd - estimatedCostUsd) / revenueUsd) * 100) : null
+    };
+  });
+};
+
+/**
+ * Gross margin report joining provider costs with payment revenue
+ * Image revenue is the tokens it spent valued at the period's average price per token.
+ * Prompt enhancements are counted from their ledger spends, as `prompt_enhancement` rows.
+ * @param {Object} options - { from, to, groupBy }
+ * @returns {Promise<Object>} - { period, groupBy, summary, rows }
+ */
+const getMarginReport = async ({ from, to, groupBy = 'provider' }) => {
+  const period = { $gte: from, $lte: to };
+  const paymentMatch = { status: 'succeeded', createdAt: period };
+
+  const payments = await getPaymentTotals(paymentMatch);
+  const revenuePerToken = payments.tokensSold > 0 ? payments.revenueUsd / payments.tokensSold : 0;
+
+  const [usage] = await Image.aggregate([
+    { $match: { status: 'completed', createdAt: period } },
+    {
+      $group: {
+        _id: null,
+        images: { $sum: 1 },
+        tokensUsed: { $sum: '$tokensUsed' },
+        providerCostUsd: { $sum: '$providerCostUsd' }
+      }
+    }
+  ]);
+  const [enhancementUsage] = await Token.aggregate([
+    { $match: enhancementMatch(period) },
+    { $group: { _id: null, ...enhancementTotals } }
+  ]);
+  const tokensUsed = (usage?.tokensUsed || 0) + (enhancementUsage?.tokensUsed || 0);
+  const providerCostUsd = (usage?.providerCostUsd || 0) + (enhancementUsage?.providerCostUsd || 0);
+  const costPerToken = tokensUsed > 0 ? providerCostUsd / tokensUsed : 0;
+
+  let rows;
+  if (groupBy === 'package') {
+    rows = await getPackageRows(paymentMatch, costPerToken);
+  } else {
+    const groups = await Image.aggregate([
+      { $match: { status: 'completed', createdAt: period } },
+      {
+        $group: {
+          _id: groupExpressions[groupBy],
+          images: { $sum: 1 },
+          cacheHits: { $sum: { $cond: [{ $ifNull: ['$cachedFrom', false] }, 1, 0] } },
+          tokensUsed: { $sum: '$tokensUsed' },
+          providerCostUsd: { $sum: '$providerCostUsd' }
+        }
+      },
+    ]);
+    const enhancementGroups = await Token.aggregate([
+      { $match: enhancementMatch(period) },
+      { $group: { _id: enhancementGroupExpressions[groupBy], ...enhancementTotals } }
+    ]);
+
+    const flat = [
+      ...groups.map(({ _id, ...row }) => ({ ..._id, enhancements: 0, ...row })),
+      ...enhancementGroups.map(({ _id, ...row }) => ({ ..._id, images: 0, cacheHits: 0, ...row }))
+    ];
+    const combined = groupBy === 'day' ? mergeRows(flat, row => row.day) : flat;
+    combined.sort(groupBy === 'day' ? (a, b) => a.day.localeCompare(b.day) : (a, b) => b.tokensUsed - a.tokensUsed);
+
+    rows = combined.map(row => withMargin(row, revenuePerToken));
+
+    // Days also show the cash actually taken that day
+    if (groupBy === 'day') {
+      const daily = await Payment.aggregate([
+        { $match: paymentMatch },
+        { $group: { _id: dayExpression('$createdAt'), amount: { $sum: '$amount' } } }
+      ]);
+      const cashByDay = new Map(daily.map(day => [day._id, day.amount / 100]));
+      rows = rows.map(row => ({ ...row, cashRevenueUsd: round(cashByDay.get(row.day) || 0) }));
+    }
+  }
+
+  return {
+    period: { from, to },
+    groupBy,
+    summary: {
+      payments: payments.payments,
+      cashRevenueUsd: round(payments.revenueUsd),
+      tokensSold: payments.tokensSold,
+      revenuePerToken: round(revenuePerToken, 4),
+      images: usage?.images || 0,
+      enhancements: enhancementUsage?.enhancements || 0,
+      ...withMargin({ tokensUsed, providerCostUsd }, revenuePerToken)
+    },
+    rows
+  };
+};
+
+module.exports = {
+  MARGIN_GROUPINGS,
+  getMarginReport
+};
@@ -0,0 +1,48 @@
+/**
+ * Base Moderation Classifier
+ * Classifiers score content per category (0-1); rule sets decide what the
+ * scores mean. All classifiers must extend this class.
+ */
+class BaseClassifier {
+  constructor(config = {}) {
+    this.config = config;
+    this.name = 'base';
+  }
+
+  /**
+   * Initialize the classifier with configuration
+   * @param {Object} config - Classifier specific configuration
+   */
+  async initialize(config) {
+    this.config = { ...this.config, ...config };
+    return true;
+  }
+
+  /**
+   * Score a text (e.g. a prompt)
+   * @param {string} text - Text to classify
+   * @returns {Promise<Object>} - { categories: { [category]: score } }
+   */
+  async classifyText(text) {
+    throw new Error('classifyText method must be implemented by classifier');
+  }
+
+  /**
+   * Score an image (e.g. a generated result)
+   * @param {Object} image - Image to classify ({ buffer, mimeType })
+   * @returns {Promise<Object>} - { categories: { [category]: score } }
+   */
+  async classifyImage(image) {
+    throw new Error('classifyImage method must be implemented by classifier');
+  }
+
+  /**
+   * Categories this classifier can score
+   * @returns {Array<string>} - Category names
+   */
+  getCategories() {
+    return [];
+  }
+}
+
+module.exports = BaseClassifier;
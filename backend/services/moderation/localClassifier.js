@@ -0,0 +1,45 @@
+const BaseClassifier = require('./baseClassifier');
+
+// Keyword lexicon per category; each hit raises the category score
+const CATEGORY_TERMS = {
+  sexual: ['nude', 'naked', 'explicit', 'porn', 'nsfw'],
+  violence: ['violence', 'gore', 'blood', 'weapon', 'kill'],
+  drugs: ['drug', 'cocaine', 'heroin'],
+  illegal: ['illegal']
+};
+
+/**
+ * Local Moderation Classifier
+ * Offline stand-in for a real classifier: scores text with a keyword lexicon
+ * and cannot see image content, so images always score zero.
+ */
+class LocalClassifier extends BaseClassifier {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'local';
+  }
+
+  async classifyText(text = '') {
+    const words = text.toLowerCase().match(/[a-z]+/g) || [];
+    const categories = {};
+
+    for (const [category, terms] of Object.entries(CATEGORY_TERMS)) {
+      const hits = words.filter(word => terms.some(term => word.startsWith(term))).length;
+      categories[category] = Math.min(1, hits * 0.5);
+    }
+
+    return { categories };
+  }
+
+  async classifyImage() {
+    return {
+      categories: Object.fromEntries(Object.keys(CATEGORY_TERMS).map(category => [category, 0]))
+    };
+  }
+
+  getCategories() {
+    return Object.keys(CATEGORY_TERMS);
+  }
+}
+
+module.exports = LocalClassifier;
@@ -0,0 +1,238 @@
+const ModerationRuleSet = require('../models/ModerationRuleSet');
+const ModerationEvent = require('../models/ModerationEvent');
+
+// How long active rule sets are cached before being re-read from the database
+const RULE_SET_CACHE_TTL = 60 * 1000;
+
+// Used until an admin creates rule sets of their own
+const DEFAULT_RULE_SETS = [
+  {
+    name: 'default',
+    description: 'Built-in word list',
+    stages: ['prompt'],
+    action: 'block',
+    words: ['nude', 'naked', 'explicit', 'porn', 'violence', 'gore', 'blood', 'weapon', 'drug', 'illegal'],
+    patterns: [],
+    categoryThresholds: {}
+  }
+];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toPlainThresholds = (thresholds) => (
+  thresholds instanceof Map ? Object.fromEntries(thresholds) : { ...(thresholds || {}) }
+);
+
+/**
+ * Moderation Service
+ * Checks prompts before generation and images after it against the
+ * admin-configured rule sets, using a pluggable classifier for category scores.
+ */
+class ModerationService {
+  constructor() {
+    this.classifiers = new Map();
+    this.classifier = null;
+    this.config = {};
+    this.ruleSetCache = null;
+    this.ruleSetCacheExpiresAt = 0;
+  }
+
+  /**
+   * Register a classifier implementation
+   * @param {string} name - Classifier name
+   * @param {BaseClassifier} classifierClass - Classifier class
+   */
+  registerClassifier(name, classifierClass) {
+    this.classifiers.set(name, classifierClass);
+    console.log(`Moderation classifier registered: ${name}`);
+  }
+
+  /**
+   * Initialize the service with configuration
+   * @param {Object} config - { classifier, classifierPath, classifierConfig }
+   */
+  async initialize(config = {}) {
+    this.config = config;
+
+    this.registerClassifier('local', require('./moderation/localClassifier'));
+
+    if (config.classifierPath) {
+      try {
+        this.registerClassifier('custom', require(config.classifierPath));
+      } catch (error) {
+        console.error('Failed to load custom moderation classifier:', error);
+      }
+    }
+
+    await this.setClassifier(config.classifier || 'local');
+  }
+
+  /**
+   * Set the classifier used for category scores
+   * @param {string} name - Registered classifier name
+   */
+  async setClassifier(name) {
+    const ClassifierClass = this.classifiers.get(name);
+    if (!ClassifierClass) {
+      throw new Error(`Moderation classifier '${name}' not found`);
+    }
+
+    const classifier = new ClassifierClass(this.config.classifierConfig || {});
+    await classifier.initialize(this.config.classifierConfig || {});
+    this.classifier = classifier;
+
+    console.log(`Moderation classifier set to: ${name}`);
+  }
+
+  /**
+   * Classifier in use, falling back to the local one if the service was never initialized
+   */
+  getClassifier() {
+    if (!this.classifier) {
+      const LocalClassifier = require('./moderation/localClassifier');
+      this.classifier = new LocalClassifier();
+    }
+    return this.classifier;
+  }
+
+  /**
+   * Active rule sets, cached briefly so every generation does not hit the database
+   * @returns {Promise<Array>} - Plain rule set objects
+   */
+  async getRuleSets() {
+    if (this.ruleSetCache && this.ruleSetCacheExpiresAt > Date.now()) {
+      return this.ruleSetCache;
+    }
+
+    const ruleSets = await ModerationRuleSet.find({ isActive: true }).lean();
+    const total = await ModerationRuleSet.countDocuments();
+
+    // The built-in list only applies while no rule sets have been configured at all
+    this.ruleSetCache = total === 0 ? DEFAULT_RULE_SETS : ruleSets;
+    this.ruleSetCacheExpiresAt = Date.now() + RULE_SET_CACHE_TTL;
+
+    return this.ruleSetCache;
+  }
+
+  /**
+   * Drop cached rule sets after they are changed
+   */
+  invalidateRuleSets() {
+    this.ruleSetCache = null;
+    this.ruleSetCacheExpiresAt = 0;
+  }
+
+  /**
+   * Match text and category scores against rule sets
+   * @param {Array} ruleSets - Rule sets to apply
+   * @param {string} stage - 'prompt' or 'output'
+   * @param {string|null} text - Text to match words and patterns against
+   * @param {Object} categoryScores - Classifier scores
+   * @returns {Array} - Matches
+   */
+  evaluateRuleSets(ruleSets, stage, text, categoryScores) {
+    const matches = [];
+
+    for (const ruleSet of ruleSets) {
+      if (!(ruleSet.stages || []).includes(stage)) {
+        continue;
+      }
+
+      const base = { ruleSet: ruleSet._id || null, ruleSetName: ruleSet.name, action: ruleSet.action };
+
+      if (text) {
+        for (const word of ruleSet.words || []) {
+          if (new RegExp(`\\b${escapeRegExp(word)}\\b`, 'i').test(text)) {
+            matches.push({ ...base, type: 'word', value: word });
+          }
+        }
+
+        for (const { pattern, flags } of ruleSet.patterns || []) {
+          try {
+            if (new RegExp(pattern, flags).test(text)) {
+              matches.push({ ...base, type: 'pattern', value: pattern });
+            }
+          } catch (error) {
+            console.error(`Invalid moderation pattern in rule set ${ruleSet.name}:`, error.message);
+          }
+        }
+      }
+
+      for (const [category, threshold] of Object.entries(toPlainThresholds(ruleSet.categoryThresholds))) {
+        const score = categoryScores[category];
+        if (typeof score === 'number' && score >= threshold) {
+          matches.push({ ...base, type: 'category', value: category, score });
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Run a moderation check and log it when it is not a plain allow
+   * @param {string} stage - 'prompt' or 'output'
+   * @param {Object} input - { text, categoryScores, content }
+   * @param {Object} context - { userId, imageId, dryRun }
+   * @returns {Promise<Object>} - { decision, allowed, matches, reasons, categoryScores, event }
+   */
+  async evaluate(stage, { text, categoryScores, content }, context = {}) {
+    const ruleSets = await this.getRuleSets();
+    const matches = this.evaluateRuleSets(ruleSets, stage, text, categoryScores);
+
+    let decision = 'allowed';
+    if (matches.some(match => match.action === 'block')) {
+      decision = 'blocked';
+    } else if (matches.length > 0) {
+      decision = 'flagged';
+    }
+
+    let event = null;
+    if (decision !== 'allowed' && !context.dryRun && context.userId) {
+      event = await ModerationEvent.create({
+        user: context.userId,
+        image: context.imageId || null,
+        stage,
+        decision,
+        content,
+        matches,
+        categoryScores,
+        classifier: this.getClassifier().name
+      });
+    }
+
+    return {
+      decision,
+      allowed: decision !== 'blocked',
+      matches,
+      reasons: [...new Set(matches.map(match => match.value))],
+      categoryScores,
+      event
+    };
+  }
+
+  /**
+   * Check a prompt before it is sent to a provider
+   * @param {string} text - Prompt (and negative prompt) text
+   * @param {Object} context - { userId, dryRun }
+   */
+  async moderatePrompt(text, context = {}) {
+    const { categories = {} } = await this.getClassifier().classifyText(text);
+    return this.evaluate('prompt', { text, categoryScores: categories, content: text }, context);
+  }
+
+  /**
+   * Check a generated image before it is shown to the user
+   * @param {Object} image - { buffer, mimeType, url, text } where text is e.g. the provider's revised prompt
+   * @param {Object} context - { userId, imageId }
+   */
+  async moderateImage({ buffer, mimeType, url, text = null }, context = {}) {
+    const { categories = {} } = await this.getClassifier().classifyImage({ buffer, mimeType });
+    return this.evaluate('output', { text, categoryScores: categories, content: url || null }, context);
+  }
+}
+
+// Create singleton instance
+const moderationService = new ModerationService();
+
+module.exports = moderationService;
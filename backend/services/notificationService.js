@@ -250,6 +250,25 @@ class NotificationService {
     });
   }
 
+  // Send tokens expiring soon notification
+  async sendTokensExpiringNotification(userId, expiringTokens, expiresAt) {
+    await this.sendNotification({
+      userId,
+      type: 'in_app',
+      category: 'token',
+      title: 'Token Süresi Doluyor ⏳',
+      message: `${expiringTokens} token'ınızın süresi ${expiresAt.toLocaleDateString('tr-TR')} tarihinde dolacak. Süresi dolmadan kullanın!`,
+      data: {
+        expiringTokens,
+        expiresAt,
+        action: 'navigate',
+        route: '/dashboard'
+      },
+      priority: 'high',
+      sendPush: true
+    });
+  }
+
   // Send image generated notification
   async sendImageGeneratedNotification(userId, imageCount, imageIds) {
     await this.sendNotification({
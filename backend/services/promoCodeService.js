@@ -0,0 +1,343 @@
+const mongoose = require('mongoose');
+const PromoCode = require('../models/PromoCode');
+const TokenClaim = require('../models/TokenClaim');
+const Payment = require('../models/Payment');
+const tokenLedger = require('./tokenLedgerService');
+
+// Abandoned checkouts are cancelled at Stripe before their code is given back
+const stripe = process.env.STRIPE_SECRET_KEY ? require('stripe')(process.env.STRIPE_SECRET_KEY) : null;
+
+// Smallest amount Stripe will charge, in the package currency
+const MIN_CHARGE = 0.5;
+
+let reservationTimer = null;
+
+const promoError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const normalizeCode = (input) => String(input || '').trim().toUpperCase();
+
+/**
+ * Look up a promo code and check it can be used by a user
+ * @param {ObjectId} userId - User using the code
+ * @param {string} input - Code as typed by the user
+ * @param {Object} options - { packageId } when the code is used at checkout
+ * @returns {Promise<PromoCode>}
+ */
+const findUsableCode = async (userId, input, { packageId = null } = {}) => {
+  const code = normalizeCode(input);
+  if (!code) {
+    throw promoError('Code is required', 'invalid_code');
+  }
+
+  const promo = await PromoCode.findOne({ code });
+  if (!promo || !promo.isAvailable()) {
+    throw promoError('Invalid or expired code', 'invalid_code');
+  }
+
+  if (packageId && promo.packages.length > 0 && !promo.packages.some(id => id.equals(packageId))) {
+    throw promoError('This code cannot be used on the selected package', 'invalid_code');
+  }
+
+  if (promo.maxRedemptions !== null && promo.redemptionCount >= promo.maxRedemptions) {
+    throw promoError('This code has reached its redemption limit', 'code_exhausted', 410);
+  }
+
+  if (promo.maxRedemptionsPerUser !== null) {
+    const used = await TokenClaim.countDocuments({ user: userId, promoCode: promo._id });
+    if (used >= promo.maxRedemptionsPerUser) {
+      throw promoError('You have already used this code', 'already_claimed', 409);
+    }
+  }
+
+  return promo;
+};
+
+/**
+ * Price and tokens of a package bought with a promo code
+ * @param {number} price - Package price after its own discount
+ * @param {PromoCode} promo - Code applied at checkout
+ * @returns {Object} - { finalPrice, discount, bonusTokens } (prices in the package currency)
+ */
+const applyToPrice = (price, promo) => {
+  let discount = 0;
+  if (promo.discountType === 'percent') {
+    discount = price * Math.min(promo.discountValue, 100) / 100;
+  } else if (promo.discountType === 'fixed') {
+    discount = promo.discountValue;
+  }
+
+  const finalPrice = Math.max(price - discount, Math.min(price, MIN_CHARGE));
+  return {
+    finalPrice,
+    discount: price - finalPrice,
+    bonusTokens: promo.bonusTokens
+  };
+};
+
+// Claim key of a user's nth use of a code; the first use is the bare code
+const useKey = (code, n) => (n === 1 ? code : `${code}#${n}`);
+
+/**
+ * Record a user's use of a code in the first free use slot
+ * Use keys are unique per user and code whatever the action, so a redemption and a
+ * checkout racing for the user's last use cannot both get it. With a per-user limit
+ * every slot up to it is tried, so one given back by a cancelled checkout is used again.
+ * @returns {Promise<TokenClaim>}
+ */
+const claimUseSlot = async (userId, promo, fields) => {
+  const limit = promo.maxRedemptionsPerUser;
+  const used = await TokenClaim.countDocuments({ user: userId, promoCode: promo._id });
+  if (limit !== null && used >= limit) {
+    throw promoError('You have already used this code', 'already_claimed', 409);
+  }
+
+  const last = limit === null ? Infinity : limit;
+  for (let n = limit === null ? used + 1 : 1; n <= last; n++) {
+    try {
+      return await TokenClaim.create({
+        user: userId,
+        action: 'redeem_code',
+        key: useKey(promo.code, n),
+        promoCode: promo._id,
+        ...fields
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  throw promoError('You have already used this code', 'already_claimed', 409);
+};
+
+/**
+ * Count a redemption against the code's limits and record its claim
+ * The code's total is taken with a conditional `$inc` and the user's use with a
+ * unique use slot (see claimUseSlot()), so concurrent uses cannot go over either limit.
+ * Checkouts reserve their use the same way (`action: 'checkout_code'`) when the
+ * purchase starts, so the discount is only given while the code has uses left.
+ * @param {ObjectId} userId - Redeeming user
+ * @param {PromoCode} promo - Code
+ * @param {Object} fields - Claim fields ({ tokens, ipAddress, userAgent }; { action, discount } at checkout)
+ * @returns {Promise<TokenClaim>}
+ */
+const reserveRedemption = async (userId, promo, fields) => {
+  const counted = await PromoCode.updateOne(
+    {
+      _id: promo._id,
+      $or: [{ maxRedemptions: null }, { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }]
+    },
+    { $inc: { redemptionCount: 1 } }
+  );
+  if (counted.modifiedCount === 0) {
+    throw promoError('This code has reached its redemption limit', 'code_exhausted', 410);
+  }
+
+  try {
+    return await claimUseSlot(userId, promo, fields);
+  } catch (error) {
+    await PromoCode.updateOne({ _id: promo._id }, { $inc: { redemptionCount: -1 } });
+    throw error;
+  }
+};
+
+/**
+ * Give back a reserved redemption whose tokens were never credited
+ * @param {TokenClaim} claim - Reserved claim
+ * @returns {Promise<boolean>} - Whether the redemption was given back (false once it was credited)
+ */
+const cancelRedemption = async (claim) => {
+  const deleted = await TokenClaim.findOneAndDelete({ _id: claim._id, transaction: null });
+  if (!deleted) {
+    return false;
+  }
+  await PromoCode.updateOne({ _id: deleted.promoCode }, { $inc: { redemptionCount: -1 } });
+  return true;
+};
+
+/**
+ * Record a promo code used on a paid purchase
+ * The use was reserved when the purchase started, so this only ties the claim to
+ * the purchase entry. A payment without a reservation (started before reservations,
+ * or paid after its reservation was given back) has its use recorded now, even if
+ * the code ran out meanwhile: the user has paid. Only called by the request that
+ * credited the payment, and keyed by payment, so it runs once.
+ * @param {Payment} payment - Succeeded payment
+ * @param {Token} transaction - Purchase entry that credited it
+ */
+const recordCheckoutRedemption = async (payment, transaction) => {
+  const promo = payment.metadata?.promoCode;
+  if (!promo?.id) {
+    return null;
+  }
+
+  try {
+    if (promo.claimId) {
+      const claim = await TokenClaim.findOneAndUpdate(
+        { _id: promo.claimId },
+        { $set: { payment: payment._id, transaction: transaction?._id || null } },
+        { new: true }
+      );
+      if (claim) {
+        return claim;
+      }
+    }
+
+    const claim = await TokenClaim.create({
+      user: payment.user,
+      action: 'checkout_code',
+      key: `${promo.code}:${payment._id}`,
+      tokens: promo.bonusTokens || 0,
+      promoCode: promo.id,
+      payment: payment._id,
+      discount: promo.discount || 0,
+      transaction: transaction?._id || null
+    });
+    await PromoCode.updateOne({ _id: promo.id }, { $inc: { redemptionCount: 1 } });
+    return claim;
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    console.error('Failed to record promo code redemption:', error);
+    return null;
+  }
+};
+
+/**
+ * Give back the code reserved by a purchase that will not be paid
+ * @param {Payment} payment - Cancelled or abandoned payment
+ * @returns {Promise<boolean>} - Whether a reservation was given back
+ */
+const releaseCheckoutRedemption = async (payment) => {
+  const claimId = payment.metadata?.promoCode?.claimId;
+  return claimId ? cancelRedemption({ _id: claimId }) : false;
+};
+
+/**
+ * Cancel checkouts that reserved a code but were not paid in time, and give the code back
+ * The intent is cancelled at Stripe first so it can no longer be paid with the discount;
+ * one Stripe will not cancel (it succeeded or is processing) is left to the webhook, and so
+ * is one whose tokens are already being credited.
+ * @param {number} maxAge - Age in ms after which an unpaid checkout is abandoned
+ * @returns {Promise<number>} - Reservations given back
+ */
+const releaseAbandonedCheckouts = async (maxAge) => {
+  const payments = await Payment.find({
+    status: { $in: ['pending', 'failed'] },
+    'metadata.promoCode.claimId': { $ne: null },
+    createdAt: { $lt: new Date(Date.now() - maxAge) }
+  }).limit(100);
+
+  let released = 0;
+  for (const payment of payments) {
+    if (await tokenLedger.findKeyHolder({ type: 'purchase', paymentId: payment._id.toString() })) {
+      continue;
+    }
+
+    if (stripe) {
+      try {
+        await stripe.paymentIntents.cancel(payment.stripePaymentIntentId);
+      } catch (error) {
+        const intent = await stripe.paymentIntents.retrieve(payment.stripePaymentIntentId).catch(() => null);
+        if (intent?.status !== 'canceled') {
+          console.warn(`Could not cancel abandoned checkout ${payment.stripePaymentIntentId}: ${error.message}`);
+          continue;
+        }
+      }
+    }
+
+    if (await releaseCheckoutRedemption(payment)) {
+      released++;
+    }
+    await Payment.updateOne(
+      { _id: payment._id, status: { $in: ['pending', 'failed'] } },
+      { $set: { status: 'cancelled', updatedAt: new Date() } }
+    );
+  }
+
+  if (released > 0) {
+    console.log(`🎟️ Released ${released} promo code reservation(s) of abandoned checkouts`);
+  }
+
+  return released;
+};
+
+/**
+ * Start the periodic release of codes held by abandoned checkouts
+ * @param {Object} config - { reservationTtl, sweepInterval } in ms
+ */
+const startReservationSweep = ({ reservationTtl, sweepInterval }) => {
+  clearInterval(reservationTimer);
+  reservationTimer = setInterval(() => {
+    releaseAbandonedCheckouts(reservationTtl).catch(error => console.error('Promo code reservation sweep error:', error));
+  }, sweepInterval);
+};
+
+/**
+ * Redemption totals per code
+ * @param {Array<ObjectId>} promoCodeIds - Codes to report on
+ * @returns {Promise<Map>} - Code id → { redemptions, users, tokensGranted, discountGiven, revenue }
+ */
+const getRedemptionStats = async (promoCodeIds) => {
+  const ids = promoCodeIds.map(id => new mongoose.Types.ObjectId(id));
+
+  const [claims, payments] = await Promise.all([
+    TokenClaim.aggregate([
+      { $match: { promoCode: { $in: ids } } },
+      {
+        $group: {
+          _id: '$promoCode',
+          redemptions: { $sum: 1 },
+          users: { $addToSet: '$user' },
+          tokensGranted: { $sum: '$tokens' },
+          discountGiven: { $sum: '$discount' },
+          lastRedeemedAt: { $max: '$createdAt' }
+        }
+      }
+    ]),
+    Payment.aggregate([
+      { $match: { 'metadata.promoCode.id': { $in: ids }, status: 'succeeded' } },
+      { $group: { _id: '$metadata.promoCode.id', revenue: { $sum: '$amount' }, purchases: { $sum: 1 } } }
+    ])
+  ]);
+
+  const revenue = new Map(payments.map(row => [row._id.toString(), row]));
+  const stats = new Map();
+
+  ids.forEach(id => {
+    const row = claims.find(claim => claim._id.equals(id));
+    const paid = revenue.get(id.toString());
+    stats.set(id.toString(), {
+      redemptions: row?.redemptions || 0,
+      users: row?.users.length || 0,
+      tokensGranted: row?.tokensGranted || 0,
+      purchases: paid?.purchases || 0,
+      // In the package currency, like package prices
+      discountGiven: (row?.discountGiven || 0) / 100,
+      revenue: (paid?.revenue || 0) / 100,
+      lastRedeemedAt: row?.lastRedeemedAt || null
+    });
+  });
+
+  return stats;
+};
+
+module.exports = {
+  normalizeCode,
+  findUsableCode,
+  applyToPrice,
+  reserveRedemption,
+  cancelRedemption,
+  recordCheckoutRedemption,
+  releaseCheckoutRedemption,
+  releaseAbandonedCheckouts,
+  startReservationSweep,
+  getRedemptionStats
+};
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const PromptTemplate = require('../models/PromptTemplate');
+
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+// Error for templates that cannot be found or expanded; `status` is the HTTP status to answer with
+const templateError = (message, status = 400) => {
+  const error = new Error(message);
+  error.code = 'invalid_template';
+  error.status = status;
+  return error;
+};
+
+// Names of the {{variables}} used in a template string
+const extractVariables = (template = '') => {
+  const names = new Set();
+  for (const match of template.matchAll(VARIABLE_PATTERN)) {
+    names.add(match[1]);
+  }
+  return Array.from(names);
+};
+
+// Build variable declarations for every placeholder, keeping the given descriptions and defaults
+const normalizeVariables = (template, negativePrompt, declared = []) => {
+  const byName = new Map(declared.filter(variable => variable && variable.name).map(variable => [variable.name, variable]));
+  const names = new Set([...extractVariables(template), ...extractVariables(negativePrompt || '')]);
+
+  return Array.from(names).map(name => ({
+    name,
+    description: byName.get(name)?.description || '',
+    defaultValue: byName.get(name)?.defaultValue ?? null
+  }));
+};
+
+// Replace {{variables}} in one template string
+const render = (template, values) => template.replace(VARIABLE_PATTERN, (placeholder, name) => values[name]);
+
+/**
+ * Copy user supplied fields onto a template document
+ * Variables are always derived from the placeholders, so declarations cannot drift from the text.
+ * @param {PromptTemplate} template - Template document to update
+ * @param {Object} body - Request body
+ */
+const applyTemplateFields = (template, body) => {
+  const { name, description, negativePrompt, defaults, category, tags } = body;
+
+  if (name !== undefined) template.name = name;
+  if (description !== undefined) template.description = description;
+  if (body.template !== undefined) template.template = body.template;
+  if (negativePrompt !== undefined) template.negativePrompt = negativePrompt || null;
+  if (defaults !== undefined) template.defaults = defaults || {};
+  if (category !== undefined) template.category = category;
+  if (Array.isArray(tags)) template.tags = tags;
+
+  template.variables = normalizeVariables(
+    template.template,
+    template.negativePrompt,
+    Array.isArray(body.variables) ? body.variables : template.variables
+  );
+};
+
+/**
+ * Expand a template with the caller's variables
+ * @param {PromptTemplate} template - Template document
+ * @param {Object} variables - Variable values by name
+ * @returns {Object} - { prompt, negativePrompt, options } ready for provider validation
+ */
+const expandTemplate = (template, variables = {}) => {
+  const values = {};
+  const missing = [];
+
+  for (const variable of template.variables) {
+    const value = variables[variable.name] ?? variable.defaultValue;
+    if (value === null || value === undefined || String(value).trim() === '') {
+      missing.push(variable.name);
+    } else if (typeof value === 'object') {
+      throw templateError(`Variable '${variable.name}' must be a string`);
+    } else {
+      values[variable.name] = String(value).trim();
+    }
+  }
+
+  if (missing.length > 0) {
+    throw templateError(`Missing template variables: ${missing.join(', ')}`);
+  }
+
+  const { parameters = {}, ...defaults } = template.defaults?.toObject ? template.defaults.toObject() : (template.defaults || {});
+  const options = { ...parameters };
+  for (const [name, value] of Object.entries(defaults)) {
+    if (value !== null && value !== undefined) {
+      options[name] = value;
+    }
+  }
+
+  return {
+    prompt: render(template.template, values),
+    negativePrompt: template.negativePrompt ? render(template.negativePrompt, values) : null,
+    options,
+    variables: values
+  };
+};
+
+/**
+ * Load a template the user may use and expand it
+ * @param {string} templateId - Template id
+ * @param {string} userId - Requesting user
+ * @param {Object} variables - Variable values by name
+ * @returns {Promise<Object>} - Expanded template plus the template document
+ */
+const expandTemplateById = async (templateId, userId, variables = {}) => {
+  const template = mongoose.isValidObjectId(templateId)
+    ? await PromptTemplate.findOne({ _id: templateId, ...PromptTemplate.accessibleBy(userId) })
+    : null;
+
+  if (!template) {
+    throw templateError('Prompt template not found', 404);
+  }
+
+  return { template, ...expandTemplate(template, variables) };
+};
+
+module.exports = {
+  extractVariables,
+  normalizeVariables,
+  applyTemplateFields,
+  expandTemplate,
+  expandTemplateById
+};
@@ -23,8 +23,8 @@ const generateUniqueFileName = (originalname) => {
   return `${nameWithoutExt}_${timestamp}_${randomString}${extension}`;
 };
 
-// Configure multer middleware for S3 upload
-const uploadToS3 = multer({
+// Configure multer middleware for S3 upload (multer-s3 cannot be set up without a bucket)
+const uploadToS3 = process.env.AWS_S3_BUCKET ? multer({
   storage: multerS3({
     s3: s3,
     bucket: process.env.AWS_S3_BUCKET,
@@ -71,22 +71,25 @@ const uploadToS3 = multer({
       cb(new Error('Invalid file type. Only images, videos, PDFs, and documents are allowed.'), false);
     }
   }
-});
+}) : null;
+
+// Without a bucket uploads fail per request, so the rest of the app (and local image storage) still works
+const storageNotConfigured = (req, res, cb) => cb(new Error('Cloud storage is not configured'));
 
 // Middleware for single file upload
-const uploadSingle = uploadToS3.single('file');
+const uploadSingle = uploadToS3 ? uploadToS3.single('file') : storageNotConfigured;
 
 // Middleware for multiple files upload
-const uploadMultiple = uploadToS3.array('files', 5);
+const uploadMultiple = uploadToS3 ? uploadToS3.array('files', 5) : storageNotConfigured;
 
 // Upload AI generated image to S3 with metadata
-const uploadAIImage = async (imageBuffer, fileName, userId) => {
+const uploadAIImage = async (imageBuffer, fileName, userId, contentType = 'image/png') => {
   try {
     const params = {
       Bucket: process.env.AWS_S3_BUCKET,
       Key: `ai-images/${userId}/${fileName}`,
       Body: imageBuffer,
-      ContentType: 'image/png',
+      ContentType: contentType,
       ACL: 'public-read',
       Metadata: {
         generatedBy: 'AI',
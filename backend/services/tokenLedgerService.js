@@ -0,0 +1,696 @@
+const Token = require('../models/Token');
+const User = require('../models/User');
+const Image = require('../models/Image');
+const TokenLot = require('../models/TokenLot');
+const GenerationJob = require('../models/GenerationJob');
+const notificationService = require('./notificationService');
+const {
+  DAY_MS,
+  LOT_SOURCES,
+  openLot,
+  remainingInLots,
+  consumeLots,
+  restoreLots,
+  closeExpiredLot,
+  finishExpiredLot
+} = require('./tokenLotService');
+
+// Pending entries younger than this may still be in flight and are left alone
+const STALE_PENDING_AGE = 5 * 60 * 1000;
+
+// Entry states that count towards the spendable balance
+const BALANCE_STATUSES = ['completed', 'held'];
+
+// Entry states that keep a unique key (a payment, a refunded image) taken
+const UNIQUE_KEY_STATUSES = ['pending', 'completed'];
+
+const ledgerError = (message, code, status) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+/**
+ * Token Ledger
+ * Every change to a user's token balance goes through here. The `Token`
+ * entries are written as pending, the balance is changed with a single
+ * conditional `$inc` (so concurrent spends cannot overdraw it) and the
+ * entries are then marked completed. A periodic reconciliation settles
+ * entries left pending by a crash and reports balances that disagree with
+ * the sum of their entries.
+ *
+ * Work whose outcome is not known yet (a queued generation) is paid with a
+ * hold: the tokens leave the spendable balance (`User.tokens`) right away,
+ * but the entry stays `held` until it is captured on success or released
+ * back to the user on failure. Holds nobody settles expire.
+ *
+ * Credited tokens (purchases, bonuses) are kept as lots that may expire;
+ * debits take from the oldest lot first and expired lots are written off.
+ */
+class TokenLedger {
+  constructor() {
+    this.reconcileTimer = null;
+    this.holdTimer = null;
+    this.lotTimer = null;
+    this.config = {
+      reconcileInterval: 60 * 60 * 1000,
+      holdTtl: 60 * 60 * 1000,
+      holdSweepInterval: 60 * 1000,
+      lotSweepInterval: 60 * 60 * 1000,
+      expiryNoticeDays: 7
+    };
+  }
+
+  /**
+   * Apply one or more entries to a user's balance as a single unit
+   * @param {string|ObjectId} userId - User whose balance changes
+   * @param {Array<Object>} entries - Token fields; negative amounts are debits, `hold: true` reserves instead of spending,
+   *   `lotExpiresAt` sets when the tokens of a credit expire
+   * @param {Object} options - { allowNegative } lets an adjustment take the balance below zero
+   * @returns {Promise<Object>} - { transactions, balance }
+   */
+  async apply(userId, entries, { allowNegative = false } = {}) {
+    const net = entries.reduce((sum, entry) => sum + entry.amount, 0);
+    const holdExpiresAt = new Date(Date.now() + this.config.holdTtl);
+
+    const lotExpiry = entries.map(entry => entry.lotExpiresAt || null);
+    const transactions = await Token.insertMany(entries.map(({ hold, lotExpiresAt, ...entry }) => ({
+      ...entry,
+      user: userId,
+      status: 'pending',
+      holdExpiresAt: hold ? holdExpiresAt : null
+    })));
+    const ids = transactions.map(transaction => transaction._id);
+
+    const filter = { _id: userId };
+    if (net < 0 && !allowNegative) {
+      filter.tokens = { $gte: -net };
+    }
+
+    const user = await User.findOneAndUpdate(filter, { $inc: { tokens: net } }, { new: true, projection: { tokens: 1 } });
+
+    if (!user) {
+      // The balance never changed, so the entries never happened
+      await Token.deleteMany({ _id: { $in: ids } });
+
+      const current = await User.findById(userId).select('tokens');
+      if (!current) {
+        throw ledgerError('User not found', 'user_not_found', 404);
+      }
+
+      const error = ledgerError(
+        `Insufficient tokens. Required: ${-net}, Available: ${current.tokens}`,
+        'insufficient_tokens',
+        400
+      );
+      error.required = -net;
+      error.available = current.tokens;
+      throw error;
+    }
+
+    // Lots only decide what expires when, so a failure here must not undo the charge;
+    // the entries are flagged instead and reconciliation reports them
+    let lotsFailed = false;
+    try {
+      await this.allocateLots(user.tokens - net, transactions, lotExpiry);
+    } catch (error) {
+      lotsFailed = true;
+      console.error('❌ Failed to update token lots:', error);
+    }
+
+    for (const transaction of transactions) {
+      transaction.status = transaction.holdExpiresAt ? 'held' : 'completed';
+      transaction.balanceAfter = user.tokens;
+      await Token.updateOne(
+        { _id: transaction._id },
+        {
+          $set: {
+            status: transaction.status,
+            balanceAfter: user.tokens,
+            lots: transaction.lots,
+            ...(lotsFailed && { 'metadata.lotAllocationFailed': true })
+          }
+        }
+      );
+    }
+
+    return { transactions, balance: user.tokens };
+  }
+
+  /**
+   * Move tokens between lots for entries that were just applied
+   * Debits take from the oldest lots; balance that predates lots counts as the
+   * oldest and goes first. Credits open a lot, or go back to the lots of the
+   * entry they reverse.
+   * @param {number} balanceBefore - Balance before the entries
+   * @param {Array<Token>} transactions - Applied entries of one user
+   * @param {Array<Date|null>} lotExpiry - Expiry of the lot each credit opens
+   */
+  async allocateLots(balanceBefore, transactions, lotExpiry) {
+    const user = transactions[0].user;
+    let untracked = Math.max(0, balanceBefore - await remainingInLots(user));
+
+    for (const [index, transaction] of transactions.entries()) {
+      if (transaction.amount < 0 && transaction.lots.length === 0) {
+        const fromUntracked = Math.min(untracked, -transaction.amount);
+        untracked -= fromUntracked;
+        transaction.lots = await consumeLots(user, -transaction.amount - fromUntracked);
+      } else if (transaction.amount > 0 && transaction.relatedTransaction) {
+        const original = await Token.findById(transaction.relatedTransaction).select('lots');
+        await restoreLots(original?.lots, transaction.amount);
+      } else if (transaction.amount > 0 && LOT_SOURCES.includes(transaction.type)) {
+        await openLot(transaction, lotExpiry[index]);
+      }
+    }
+  }
+
+  /**
+   * Take tokens from a user, failing if the balance does not cover them
+   * @param {string|ObjectId} userId - User to charge
+   * @param {number} amount - Tokens to take (positive)
+   * @param {Object} fields - Token fields (type, description, category, ...)
+   * @returns {Promise<Object>} - { transaction, balance }
+   */
+  async debit(userId, amount, fields) {
+    const { transactions, balance } = await this.apply(userId, [{ type: 'spend', ...fields, amount: -amount }]);
+    return { transaction: transactions[0], balance };
+  }
+
+  /**
+   * Turn a hold into a spend; the tokens already left the balance when it was placed
+   * @param {string|ObjectId} transactionId - Held entry
+   * @returns {Promise<Token|null>} - Captured entry, or null if it was no longer held
+   */
+  capture(transactionId) {
+    return Token.findOneAndUpdate(
+      { _id: transactionId, status: 'held' },
+      { $set: { status: 'completed', 'metadata.capturedAt': new Date() } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Give the tokens of a hold back to the user
+   * The entry passes through `releasing` so a crash before the credit can be finished by reconciliation.
+   * @param {string|ObjectId} transactionId - Held entry
+   * @param {string} reason - Why the hold is released
+   * @returns {Promise<Object|null>} - { transaction, balance }, or null if it was no longer held
+   */
+  async release(transactionId, reason) {
+    const transaction = await Token.findOneAndUpdate(
+      { _id: transactionId, status: 'held' },
+      { $set: { status: 'releasing', 'metadata.releaseReason': reason, 'metadata.releaseStartedAt': new Date() } },
+      { new: true }
+    );
+    if (!transaction) {
+      return null;
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: transaction.user },
+      { $inc: { tokens: -transaction.amount } },
+      { new: true, projection: { tokens: 1 } }
+    );
+    await restoreLots(transaction.lots, -transaction.amount);
+
+    transaction.status = 'released';
+    await Token.updateOne({ _id: transaction._id }, { $set: { status: 'released', 'metadata.releasedAt': new Date() } });
+
+    return { transaction, balance: user ? user.tokens : null };
+  }
+
+  /**
+   * Spendable, held and total tokens of a user
+   * @param {string|ObjectId} userId - User
+   * @returns {Promise<Object>} - { available, held, total }
+   */
+  async getBalance(userId) {
+    const user = await User.findById(userId).select('tokens');
+    const [holds] = await Token.aggregate([
+      { $match: { user: user._id, status: 'held' } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+    const held = -(holds?.total || 0);
+
+    return { available: user.tokens, held, total: user.tokens + held };
+  }
+
+  /**
+   * Charge again for a hold that expired while its image was still being made
+   * The hold is stamped `rechargedAt` first so only one caller charges it. The spend
+   * may take the balance below zero, so a low balance never fails it; if writing it
+   * fails (a database error), the stamp is taken back and the error thrown, leaving
+   * the image uncharged until the hold is recharged by another call.
+   * @param {string|ObjectId} transactionId - Released hold
+   * @returns {Promise<Object|null>} - { transaction, balance }, or null if the hold was not released or is already charged again
+   */
+  async rechargeReleasedHold(transactionId) {
+    const hold = await Token.findOneAndUpdate(
+      { _id: transactionId, status: 'released', 'metadata.rechargedAt': { $exists: false } },
+      { $set: { 'metadata.rechargedAt': new Date() } },
+      { new: true }
+    );
+    if (!hold) {
+      return null;
+    }
+
+    const { releaseReason, releaseStartedAt, releasedAt, rechargedAt, ...metadata } = hold.metadata || {};
+    try {
+      // The image was delivered, so the spend stands even if the tokens are gone by now
+      const { transactions, balance } = await this.apply(hold.user, [{
+        type: 'spend',
+        amount: hold.amount,
+        description: hold.description,
+        category: hold.category,
+        image: hold.image,
+        aiProvider: hold.aiProvider,
+        generationType: hold.generationType,
+        imageCount: hold.imageCount,
+        imageSize: hold.imageSize,
+        metadata: { ...metadata, rechargeOf: hold._id }
+      }], { allowNegative: true });
+
+      return { transaction: transactions[0], balance };
+    } catch (error) {
+      await Token.updateOne(
+        { _id: hold._id, 'metadata.rechargedAt': rechargedAt },
+        { $unset: { 'metadata.rechargedAt': '' } }
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Settle holds past their expiry
+   * A hold whose image completed is captured (its capture was lost) and one whose
+   * image a queued or running job still works on is extended; anything else has
+   * waited too long and goes back to the user, failing its image so it is not retried.
+   * @returns {Promise<Object>} - { captured, extended, released }
+   */
+  async expireHolds() {
+    const now = new Date();
+    const expired = await Token.find({ status: 'held', holdExpiresAt: { $lt: now } }).limit(100);
+    const result = { captured: 0, extended: 0, released: 0 };
+
+    for (const hold of expired) {
+      const image = hold.image ? await Image.findById(hold.image).select('status') : null;
+
+      if (image && image.status === 'completed') {
+        if (await this.capture(hold._id)) result.captured++;
+        continue;
+      }
+
+      if (image && image.status !== 'failed') {
+        const liveJob = await GenerationJob.exists({ image: image._id, status: { $in: ['queued', 'running'] } });
+        if (liveJob) {
+          const extended = await Token.updateOne(
+            { _id: hold._id, status: 'held' },
+            { $set: { holdExpiresAt: new Date(now.getTime() + this.config.holdTtl) } }
+          );
+          if (extended.modifiedCount > 0) result.extended++;
+          continue;
+        }
+      }
+
+      if (await this.release(hold._id, 'Hold expired')) {
+        result.released++;
+        if (image) {
+          await Image.updateOne({ _id: image._id, refundedAt: null }, { $set: { refundedAt: new Date() } });
+          await Image.updateOne(
+            { _id: image._id, status: { $in: ['queued', 'generating'] } },
+            { $set: { status: 'failed', 'metadata.error': 'Token hold expired', updatedAt: new Date() } }
+          );
+        }
+      }
+    }
+
+    if (result.captured + result.extended + result.released > 0) {
+      console.log(`⏳ Token holds expired: ${result.captured} captured, ${result.extended} extended, ${result.released} released`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Write off the tokens left in lots past their expiry
+   * A lot is emptied into `expiring` first and only marked expired once its ledger
+   * entry is applied; lots a crash or an error left expiring are finished on a later run.
+   * @returns {Promise<Object>} - { lots, tokens }
+   */
+  async expireLots() {
+    const result = { lots: 0, tokens: 0 };
+    const staleBefore = new Date(Date.now() - STALE_PENDING_AGE);
+
+    const unfinished = await TokenLot.find({ expiring: { $gt: 0 }, expiringAt: { $lt: staleBefore } }).limit(500);
+    for (const lot of unfinished) {
+      const entry = await Token.findOne({
+        type: 'expired',
+        'metadata.lotId': lot._id,
+        status: { $in: ['pending', 'completed'] }
+      }).select('status');
+
+      // Reconciliation decides first whether a half-done entry reached the balance
+      if (entry && entry.status === 'pending') {
+        continue;
+      }
+
+      if (entry) {
+        await finishExpiredLot(lot._id);
+      } else if (await this.writeOffLot(lot)) {
+        result.lots++;
+        result.tokens += lot.expiring;
+      }
+    }
+
+    const lots = await TokenLot.find({ expiresAt: { $lt: new Date() }, remaining: { $gt: 0 } }).limit(500);
+    for (const lot of lots) {
+      const closed = await closeExpiredLot(lot._id);
+      if (closed && await this.writeOffLot(closed)) {
+        result.lots++;
+        result.tokens += closed.expiring;
+      }
+    }
+
+    if (result.lots > 0) {
+      console.log(`⌛ Expired ${result.tokens} tokens from ${result.lots} lot(s)`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Take the expiring tokens of a lot off the balance and mark the lot expired
+   * @param {TokenLot} lot - Lot emptied by closeExpiredLot()
+   * @returns {Promise<boolean>} - Whether the lot is now expired; if not, a later run retries it
+   */
+  async writeOffLot(lot) {
+    const entry = (amount) => ({
+      type: 'expired',
+      amount: -amount,
+      description: `${amount} tokens expired`,
+      category: 'expiration',
+      lots: [{ lot: lot._id, amount }],
+      metadata: { lotId: lot._id, expiresAt: lot.expiresAt }
+    });
+
+    try {
+      await this.apply(lot.user, [entry(lot.expiring)]);
+    } catch (error) {
+      if (error.code !== 'insufficient_tokens') {
+        console.error(`❌ Failed to expire token lot ${lot._id}:`, error);
+        return false;
+      }
+      // Spent from balance the lots did not see; write off what is left
+      try {
+        if (error.available > 0) {
+          await this.apply(lot.user, [entry(error.available)]);
+        }
+      } catch (retryError) {
+        console.error(`❌ Failed to expire token lot ${lot._id}:`, retryError);
+        return false;
+      }
+    }
+
+    await finishExpiredLot(lot._id);
+    return true;
+  }
+
+  /**
+   * Tell users about tokens that expire within the notice period, once per lot
+   * @returns {Promise<number>} - Users notified
+   */
+  async notifyExpiringLots() {
+    const now = new Date();
+    const expiring = await TokenLot.aggregate([
+      {
+        $match: {
+          expiresAt: { $gte: now, $lte: new Date(now.getTime() + this.config.expiryNoticeDays * DAY_MS) },
+          remaining: { $gt: 0 },
+          expiryNotifiedAt: null
+        }
+      },
+      { $group: { _id: '$user', tokens: { $sum: '$remaining' }, expiresAt: { $min: '$expiresAt' }, lots: { $push: '$_id' } } }
+    ]);
+
+    for (const { _id: userId, tokens, expiresAt, lots } of expiring) {
+      try {
+        await notificationService.sendTokensExpiringNotification(userId, tokens, expiresAt);
+      } catch (error) {
+        // Try again next run
+        continue;
+      }
+      await TokenLot.updateMany({ _id: { $in: lots } }, { $set: { expiryNotifiedAt: now } });
+    }
+
+    return expiring.length;
+  }
+
+  /**
+   * Give tokens to a user
+   * @param {string|ObjectId} userId - User to credit
+   * @param {number} amount - Tokens to add (positive)
+   * @param {Object} fields - Token fields (type, description, category, ...)
+   * @returns {Promise<Object>} - { transaction, balance }
+   */
+  async credit(userId, amount, fields) {
+    const { transactions, balance } = await this.apply(userId, [{ ...fields, amount }]);
+    return { transaction: transactions[0], balance };
+  }
+
+  /**
+   * Find the entry a credit collided with on a unique key (duplicate key error 11000)
+   * A completed entry means the credit already happened; a pending one is still
+   * being applied (or was left by a crash, which reconciliation settles).
+   * @param {Object} filter - The unique key, e.g. { type: 'purchase', paymentId }
+   * @returns {Promise<Token|null>}
+   */
+  findKeyHolder(filter) {
+    return Token.findOne({ ...filter, status: { $in: UNIQUE_KEY_STATUSES } });
+  }
+
+  /**
+   * Configure the ledger and start the periodic reconciliation, hold expiry and lot expiry
+   * @param {Object} config - { reconcileInterval, holdTtl, holdSweepInterval, lotSweepInterval, expiryNoticeDays }
+   */
+  start(config = {}) {
+    this.config = { ...this.config, ...config };
+
+    this.reconcileTimer = setInterval(() => {
+      this.reconcile().catch(error => console.error('Token ledger reconciliation error:', error));
+    }, this.config.reconcileInterval);
+    this.holdTimer = setInterval(() => {
+      this.expireHolds().catch(error => console.error('Token hold expiry error:', error));
+    }, this.config.holdSweepInterval);
+    this.lotTimer = setInterval(() => {
+      this.expireLots()
+        .then(() => this.notifyExpiringLots())
+        .catch(error => console.error('Token lot expiry error:', error));
+    }, this.config.lotSweepInterval);
+
+    console.log(`Token ledger reconciliation scheduled every ${Math.round(this.config.reconcileInterval / 60000)} minutes`);
+  }
+
+  /**
+   * Stop the periodic jobs
+   */
+  stop() {
+    clearInterval(this.reconcileTimer);
+    clearInterval(this.holdTimer);
+    clearInterval(this.lotTimer);
+    this.reconcileTimer = null;
+    this.holdTimer = null;
+    this.lotTimer = null;
+  }
+
+  /**
+   * Sum of a user's ledger entries, split by state
+   * @param {Object} match - Token filter (a user, or nothing for everyone)
+   * @param {Date} staleBefore - Unfinished entries older than this are considered abandoned
+   * @returns {Promise<Array>} - { _id: userId, settled, stalePending, stalePendingIds, staleReleasing, staleReleasingIds, inFlight }
+   */
+  summarize(match, staleBefore) {
+    const isStalePending = { $and: [{ $eq: ['$status', 'pending'] }, { $lt: ['$createdAt', staleBefore] }] };
+    const isStaleReleasing = { $and: [{ $eq: ['$status', 'releasing'] }, { $lt: ['$metadata.releaseStartedAt', staleBefore] }] };
+    const isUnfinished = { $in: ['$status', ['pending', 'releasing']] };
+
+    return Token.aggregate([
+      { $match: { ...match, status: { $in: [...BALANCE_STATUSES, 'pending', 'releasing'] } } },
+      {
+        $group: {
+          _id: '$user',
+          settled: { $sum: { $cond: [{ $in: ['$status', BALANCE_STATUSES] }, '$amount', 0] } },
+          stalePending: { $sum: { $cond: [isStalePending, '$amount', 0] } },
+          stalePendingIds: { $push: { $cond: [isStalePending, '$_id', '$$REMOVE'] } },
+          staleReleasing: { $sum: { $cond: [isStaleReleasing, '$amount', 0] } },
+          staleReleasingIds: { $push: { $cond: [isStaleReleasing, '$_id', '$$REMOVE'] } },
+          inFlight: {
+            $sum: { $cond: [{ $and: [isUnfinished, { $not: [isStalePending] }, { $not: [isStaleReleasing] }] }, 1, 0] }
+          }
+        }
+      }
+    ]);
+  }
+
+  /**
+   * Compare every balance with the sum of its completed and held ledger entries
+   * Entries left half-done by a crash are settled when the difference is exactly
+   * what they explain: a pending entry whose `$inc` went through is completed (or
+   * held), one whose `$inc` did not is failed; a release whose credit is missing
+   * is credited. Anything else is reported; with `fix`, the balance is set to the ledger sum.
+   * Entries whose lot allocation failed and users whose lots exceed their balance are reported too.
+   * @param {Object} options - { fix }
+   * @returns {Promise<Object>} - { checked, settled, discrepancies }
+   */
+  async reconcile({ fix = false } = {}) {
+    const staleBefore = new Date(Date.now() - STALE_PENDING_AGE);
+    const empty = {
+      settled: 0, stalePending: 0, stalePendingIds: [], staleReleasing: 0, staleReleasingIds: [], inFlight: 0
+    };
+
+    const totals = await this.summarize({}, staleBefore);
+    const ledgerByUser = new Map(totals.map(total => [total._id.toString(), total]));
+
+    const report = { checked: 0, settled: 0, discrepancies: [] };
+    const users = User.find().select('tokens').lean().cursor();
+
+    for await (const { _id: userId, tokens } of users) {
+      report.checked++;
+      const summary = ledgerByUser.get(userId.toString()) || empty;
+      const unfinished = summary.inFlight + summary.stalePendingIds.length + summary.staleReleasingIds.length;
+      if (unfinished === 0 && tokens === summary.settled) {
+        continue;
+      }
+
+      // The bulk pass can race with live changes, so look again at this user alone
+      const user = await User.findById(userId).select('tokens username').lean();
+      const [ledger = empty] = await this.summarize({ user: userId }, staleBefore);
+      const recheck = await User.findById(userId).select('tokens').lean();
+
+      // A change is in flight; check again next run
+      if (!user || !recheck || recheck.tokens !== user.tokens || ledger.inFlight > 0) {
+        continue;
+      }
+
+      const difference = user.tokens - ledger.settled;
+
+      if (ledger.stalePendingIds.length > 0 || ledger.staleReleasingIds.length > 0) {
+        // Which half-done entries reached the balance: pending ones add their amount
+        // once applied, releasing ones still hold it back until their credit is made
+        const outcome = [[true, true], [true, false], [false, true], [false, false]].find(([pendingApplied, releaseApplied]) => (
+          difference === (pendingApplied ? ledger.stalePending : 0) + (releaseApplied ? 0 : ledger.staleReleasing)
+        ));
+
+        if (outcome) {
+          const [pendingApplied, releaseApplied] = outcome;
+          await this.settleStale(userId, user.tokens, ledger, pendingApplied, releaseApplied);
+          report.settled += ledger.stalePendingIds.length + ledger.staleReleasingIds.length;
+          continue;
+        }
+      } else if (difference === 0) {
+        continue;
+      }
+
+      const discrepancy = {
+        userId,
+        username: user.username,
+        balance: user.tokens,
+        ledgerBalance: ledger.settled,
+        difference,
+        unfinishedEntries: ledger.stalePendingIds.length + ledger.staleReleasingIds.length,
+        fixed: false
+      };
+
+      // Compare-and-set, so a change made meanwhile is not overwritten
+      if (fix) {
+        const result = await User.updateOne({ _id: userId, tokens: user.tokens }, { $set: { tokens: ledger.settled } });
+        discrepancy.fixed = result.modifiedCount === 1;
+      }
+
+      report.discrepancies.push(discrepancy);
+    }
+
+    if (report.discrepancies.length > 0) {
+      console.warn(`⚠️ Token ledger: ${report.discrepancies.length} balance(s) disagree with their transactions`);
+    }
+
+    // Lots cannot be rebuilt from the ledger, so their problems are reported but never fixed
+    const lotFilter = { 'metadata.lotAllocationFailed': true };
+    report.lotAllocationFailures = {
+      count: await Token.countDocuments(lotFilter),
+      recent: await Token.find(lotFilter).select('user type amount createdAt').sort({ createdAt: -1 }).limit(20).lean()
+    };
+    report.lotDrift = await this.findLotDrift();
+
+    if (report.lotAllocationFailures.count > 0 || report.lotDrift.length > 0) {
+      console.warn(`⚠️ Token lots: ${report.lotAllocationFailures.count} entries without lot allocation, ${report.lotDrift.length} user(s) with more tokens in lots than balance`);
+    }
+
+    return report;
+  }
+
+  /**
+   * Users whose unspent lots hold more tokens than their balance
+   * Lots may hold less (balance from before lots existed), but never more.
+   * @returns {Promise<Array>} - { userId, username, balance, inLots }
+   */
+  async findLotDrift() {
+    const rows = await TokenLot.aggregate([
+      { $match: { remaining: { $gt: 0 } } },
+      { $group: { _id: '$user', inLots: { $sum: '$remaining' } } },
+      { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'user' } },
+      { $unwind: '$user' },
+      { $match: { $expr: { $gt: ['$inLots', '$user.tokens'] } } },
+      { $limit: 100 }
+    ]);
+
+    return rows.map(row => ({
+      userId: row._id,
+      username: row.user.username,
+      balance: row.user.tokens,
+      inLots: row.inLots
+    }));
+  }
+
+  /**
+   * Finish entries a crash left half-done
+   * @param {ObjectId} userId - User
+   * @param {number} balance - Balance the outcome was worked out against
+   * @param {Object} ledger - summarize() row of the user
+   * @param {boolean} pendingApplied - Whether the pending entries' `$inc` went through
+   * @param {boolean} releaseApplied - Whether the releasing entries' credit went through
+   */
+  async settleStale(userId, balance, ledger, pendingApplied, releaseApplied) {
+    const pendingIds = { _id: { $in: ledger.stalePendingIds }, status: 'pending' };
+    if (pendingApplied) {
+      await Token.updateMany({ ...pendingIds, holdExpiresAt: null }, { $set: { status: 'completed' } });
+      await Token.updateMany({ ...pendingIds, holdExpiresAt: { $ne: null } }, { $set: { status: 'held' } });
+    } else {
+      await Token.updateMany(pendingIds, { $set: { status: 'failed' } });
+    }
+
+    if (ledger.staleReleasingIds.length === 0) {
+      return;
+    }
+
+    if (!releaseApplied) {
+      const credited = await User.updateOne(
+        { _id: userId, tokens: balance },
+        { $inc: { tokens: -ledger.staleReleasing } }
+      );
+      // The balance moved meanwhile; try again next run
+      if (credited.modifiedCount !== 1) {
+        return;
+      }
+    }
+    await Token.updateMany(
+      { _id: { $in: ledger.staleReleasingIds }, status: 'releasing' },
+      { $set: { status: 'released', 'metadata.releasedAt': new Date() } }
+    );
+  }
+}
+
+// Create singleton instance
+const tokenLedger = new TokenLedger();
+
+module.exports = tokenLedger;
@@ -0,0 +1,122 @@
+const TokenLot = require('../models/TokenLot');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ledger entry types that open a lot when they credit tokens
+const LOT_SOURCES = ['purchase', 'bonus', 'admin_adjustment'];
+
+/**
+ * Expiry date for tokens valid for a number of days
+ * @param {number|null} days - Validity in days (empty means no expiry)
+ * @param {Date} from - Start of the validity
+ * @returns {Date|null}
+ */
+const expiryFromDays = (days, from = new Date()) => {
+  const value = parseFloat(days);
+  return value > 0 ? new Date(from.getTime() + value * DAY_MS) : null;
+};
+
+/**
+ * Open a lot for credited tokens
+ * @param {Token} transaction - Crediting ledger entry
+ * @param {Date|null} expiresAt - When the tokens expire
+ * @returns {Promise<TokenLot>}
+ */
+const openLot = (transaction, expiresAt = null) => TokenLot.create({
+  user: transaction.user,
+  transaction: transaction._id,
+  source: LOT_SOURCES.includes(transaction.type) ? transaction.type : 'other',
+  amount: transaction.amount,
+  remaining: transaction.amount,
+  expiresAt
+});
+
+// Tokens still left in a user's lots
+const remainingInLots = async (userId) => {
+  const [lots] = await TokenLot.aggregate([
+    { $match: { user: userId, remaining: { $gt: 0 } } },
+    { $group: { _id: null, total: { $sum: '$remaining' } } }
+  ]);
+  return lots?.total || 0;
+};
+
+/**
+ * Take tokens out of a user's lots, oldest first
+ * Lots can race with each other, so every take is conditional and retried on conflict.
+ * @param {ObjectId} userId - User
+ * @param {number} amount - Tokens to take
+ * @returns {Promise<Array>} - Allocations ({ lot, amount }) for the ledger entry
+ */
+const consumeLots = async (userId, amount) => {
+  const allocations = [];
+  let needed = amount;
+
+  while (needed > 0) {
+    const lot = await TokenLot.findOne({ user: userId, remaining: { $gt: 0 } }).sort({ createdAt: 1 });
+    if (!lot) {
+      break;
+    }
+
+    const take = Math.min(needed, lot.remaining);
+    const taken = await TokenLot.updateOne({ _id: lot._id, remaining: { $gte: take } }, { $inc: { remaining: -take } });
+    if (taken.modifiedCount === 0) {
+      continue;
+    }
+
+    allocations.push({ lot: lot._id, amount: take });
+    needed -= take;
+  }
+
+  return allocations;
+};
+
+/**
+ * Put tokens back into the lots they were taken from, most recently taken first
+ * A lot that expired meanwhile gets them back too; the next expiry run takes them.
+ * @param {Array} allocations - Allocations recorded on the original entry
+ * @param {number} amount - Tokens to give back (may be less than was taken)
+ */
+const restoreLots = async (allocations = [], amount) => {
+  let left = amount;
+
+  for (const allocation of [...allocations].reverse()) {
+    if (left <= 0) {
+      break;
+    }
+    const give = Math.min(left, allocation.amount);
+    await TokenLot.updateOne({ _id: allocation.lot }, { $inc: { remaining: give } });
+    left -= give;
+  }
+};
+
+/**
+ * Empty a lot past its expiry, moving what is left to `expiring` until the ledger entry is written
+ * @param {ObjectId} lotId - Lot
+ * @returns {Promise<TokenLot|null>} - The emptied lot, or null if someone else emptied it or it is already expiring
+ */
+const closeExpiredLot = (lotId) => TokenLot.findOneAndUpdate(
+  { _id: lotId, remaining: { $gt: 0 }, expiring: { $in: [0, null] } },
+  [{ $set: { expiring: '$remaining', remaining: 0, expiringAt: '$$NOW' } }],
+  { new: true }
+);
+
+/**
+ * Mark the expiry of a lot as written to the ledger
+ * @param {ObjectId} lotId - Lot
+ */
+const finishExpiredLot = (lotId) => TokenLot.updateOne(
+  { _id: lotId, expiring: { $gt: 0 } },
+  { $set: { expiring: 0, expiredAt: new Date() } }
+);
+
+module.exports = {
+  DAY_MS,
+  LOT_SOURCES,
+  expiryFromDays,
+  openLot,
+  remainingInLots,
+  consumeLots,
+  restoreLots,
+  closeExpiredLot,
+  finishExpiredLot
+};
@@ -0,0 +1,109 @@
+const Image = require('../models/Image');
+const Token = require('../models/Token');
+const tokenLedger = require('./tokenLedgerService');
+
+// The image has nothing to give back; the sweep stops picking it up
+const skipRefund = (image, reason) => Image.updateOne(
+  { _id: image._id, refundedAt: null },
+  { $set: { refundSkippedAt: new Date(), 'metadata.refundSkipReason': reason } }
+);
+
+/**
+ * Give back the tokens of a failed image generation
+ * Images paid with a hold get the hold released. Older images paid with a
+ * completed spend are refunded; batches shared one spend, so only the failed
+ * image's share is refunded. Safe to call more than once: a hold is only
+ * released once, and the unique index on refund transactions guarantees each
+ * image of a spend is only ever refunded once.
+ * @param {string|ObjectId} imageId - Failed image
+ * @param {string} reason - Why the generation failed
+ * @returns {Promise<Token|null>} - Released hold or refund transaction, or null if nothing was given back
+ */
+const refundFailedGeneration = async (imageId, reason = 'Image generation failed') => {
+  const image = await Image.findById(imageId);
+  if (!image || image.status !== 'failed' || image.refundedAt || image.refundSkippedAt) {
+    return null;
+  }
+
+  // Older images only reference their spend through metadata
+  const spend = image.tokenTransaction
+    ? await Token.findById(image.tokenTransaction)
+    : await Token.findOne({ type: 'spend', 'metadata.imageId': image._id });
+
+  // Without a recorded spend there is nothing to reverse
+  if (!spend || spend.type !== 'spend') {
+    await skipRefund(image, 'no_spend');
+    return null;
+  }
+
+  if (['held', 'releasing', 'released'].includes(spend.status)) {
+    const released = await tokenLedger.release(spend._id, reason);
+    // A hold already on its way back (another worker, the expiry sweep) counts as given back
+    await Image.updateOne({ _id: image._id, refundedAt: null }, { $set: { refundedAt: new Date() } });
+
+    if (released) {
+      console.log(`💸 Released ${Math.abs(spend.amount)} held tokens to user ${image.user} for failed image ${image._id}`);
+    }
+    return released ? released.transaction : null;
+  }
+
+  if (spend.status === 'pending') {
+    // Not settled yet: try again on a later sweep, behind the other failed images
+    await Image.updateOne({ _id: image._id }, { $set: { updatedAt: new Date() } });
+    return null;
+  }
+
+  if (spend.status !== 'completed') {
+    // The charge never went through (failed or cancelled)
+    await skipRefund(image, `spend_${spend.status}`);
+    return null;
+  }
+
+  const amount = Math.min(image.tokensUsed, Math.abs(spend.amount));
+
+  let refund;
+  try {
+    ({ transaction: refund } = await tokenLedger.credit(image.user, amount, {
+      type: 'refund',
+      description: `Refund for failed AI image generation: "${image.prompt.substring(0, 50)}${image.prompt.length > 50 ? '...' : ''}"`,
+      category: 'refund',
+      image: image._id,
+      relatedTransaction: spend._id,
+      aiProvider: spend.aiProvider,
+      metadata: {
+        imageId: image._id,
+        originalTransactionId: spend._id,
+        batchId: image.batchId,
+        reason
+      }
+    }));
+  } catch (error) {
+    if (error.code === 11000) {
+      const existing = await tokenLedger.findKeyHolder({ type: 'refund', relatedTransaction: spend._id, image: image._id });
+      if (existing?.status === 'completed') {
+        // Already refunded (another worker, or a crash before the image was marked)
+        await Image.updateOne(
+          { _id: image._id, refundedAt: null },
+          { $set: { refundTransaction: existing._id, refundedAt: new Date() } }
+        );
+      } else {
+        // Another refund is still being applied; a later sweep checks again
+        await Image.updateOne({ _id: image._id }, { $set: { updatedAt: new Date() } });
+      }
+      return null;
+    }
+    throw error;
+  }
+
+  await Image.updateOne(
+    { _id: image._id },
+    { $set: { refundTransaction: refund._id, refundedAt: new Date() } }
+  );
+
+  console.log(`💸 Refunded ${amount} tokens to user ${image.user} for failed image ${image._id}`);
+  return refund;
+};
+
+module.exports = {
+  refundFailedGeneration
+};
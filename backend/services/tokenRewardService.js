@@ -0,0 +1,209 @@
+const TokenClaim = require('../models/TokenClaim');
+const tokenLedger = require('./tokenLedgerService');
+const { expiryFromDays } = require('./tokenLotService');
+const { findUsableCode, reserveRedemption, cancelRedemption } = require('./promoCodeService');
+
+// Built-in rewards: tokens granted, who qualifies and how often it can be claimed
+const REWARDS = {
+  email_verified: {
+    label: 'Verify your email',
+    tokens: 10,
+    period: 'once',
+    eligible: user => Boolean(user.isVerified)
+  },
+  profile_completed: {
+    label: 'Complete your profile',
+    tokens: 5,
+    period: 'once',
+    eligible: user => Boolean(user.bio && user.avatar?.url)
+  },
+  daily_login: {
+    label: 'Daily bonus',
+    tokens: 1,
+    period: 'daily',
+    eligible: () => true
+  }
+};
+
+const claimError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const requestFields = (context = {}) => ({
+  ipAddress: context.ipAddress || null,
+  userAgent: context.userAgent || null
+});
+
+/**
+ * Token Reward Service
+ * The only ways users can give themselves tokens: redeeming a promo code and
+ * claiming a reward. Every grant is recorded as a `TokenClaim` (with the
+ * request's IP and user agent) before the ledger credits it, and the unique
+ * claim index makes each reward period claimable once per user. Codes are
+ * limited by their own per-code and per-user limits.
+ */
+class TokenRewardService {
+  constructor() {
+    this.rewards = new Map();
+    Object.entries(REWARDS).forEach(([name, reward]) => this.registerReward(name, reward));
+  }
+
+  /**
+   * Register a reward users can claim
+   * @param {string} name - Reward name
+   * @param {Object} reward - { label, tokens, period: 'once' | 'daily', eligible(user) }
+   */
+  registerReward(name, reward) {
+    this.rewards.set(name, reward);
+  }
+
+  /**
+   * Apply configuration
+   * @param {Object} config - { rewardTokens: { [name]: tokens } } (0 turns a reward off)
+   */
+  initialize(config = {}) {
+    Object.entries(config.rewardTokens || {}).forEach(([name, tokens]) => {
+      const reward = this.rewards.get(name);
+      if (reward) {
+        this.registerReward(name, { ...reward, tokens: Number(tokens) || 0 });
+      }
+    });
+  }
+
+  // Claim key of a reward for the current period
+  rewardKey(name, reward, now = new Date()) {
+    return reward.period === 'daily' ? `${name}:${now.toISOString().slice(0, 10)}` : name;
+  }
+
+  /**
+   * Rewards on offer and whether the user can claim them now
+   * @param {User} user - User
+   * @returns {Promise<Array>}
+   */
+  async listRewards(user) {
+    const claims = await TokenClaim.find({ user: user._id, action: 'claim_reward' }).select('key createdAt');
+    const claimed = new Map(claims.map(claim => [claim.key, claim.createdAt]));
+
+    return [...this.rewards]
+      .filter(([, reward]) => reward.tokens > 0)
+      .map(([name, reward]) => {
+        const claimedAt = claimed.get(this.rewardKey(name, reward)) || null;
+        return {
+          name,
+          label: reward.label,
+          tokens: reward.tokens,
+          period: reward.period,
+          claimedAt,
+          claimable: !claimedAt && reward.eligible(user)
+        };
+      });
+  }
+
+  /**
+   * Claim a reward
+   * @param {User} user - Claiming user
+   * @param {string} name - Reward name
+   * @param {Object} context - { ipAddress, userAgent } of the request
+   * @returns {Promise<Object>} - { claim, transaction, balance }
+   */
+  async claimReward(user, name, context = {}) {
+    const reward = this.rewards.get(name);
+    if (!reward || !(reward.tokens > 0)) {
+      throw claimError('Reward not found', 'reward_not_found', 404);
+    }
+    if (!reward.eligible(user)) {
+      throw claimError('You are not eligible for this reward yet', 'not_eligible', 403);
+    }
+
+    const request = requestFields(context);
+    const claim = await this.recordClaim({
+      user: user._id,
+      action: 'claim_reward',
+      key: this.rewardKey(name, reward),
+      tokens: reward.tokens,
+      ...request
+    });
+
+    try {
+      return await this.creditClaim(claim, {
+        description: `Reward: ${reward.label}`,
+        category: 'reward',
+        metadata: { reward: name }
+      }, request);
+    } catch (error) {
+      await TokenClaim.deleteOne({ _id: claim._id });
+      throw error;
+    }
+  }
+
+  /**
+   * Redeem a promo code for its free tokens
+   * @param {User} user - Redeeming user
+   * @param {string} input - Code as typed by the user
+   * @param {Object} context - { ipAddress, userAgent } of the request
+   * @returns {Promise<Object>} - { claim, transaction, balance }
+   */
+  async redeemCode(user, input, context = {}) {
+    const promo = await findUsableCode(user._id, input);
+    if (!(promo.tokens > 0)) {
+      throw claimError('This code can only be used at checkout', 'checkout_only');
+    }
+
+    const request = requestFields(context);
+    const claim = await reserveRedemption(user._id, promo, { tokens: promo.tokens, ...request });
+
+    try {
+      return await this.creditClaim(claim, {
+        description: `Promo code ${promo.code}`,
+        category: 'promo_code',
+        lotExpiresAt: expiryFromDays(promo.tokenExpiryDays),
+        metadata: { promoCodeId: promo._id }
+      }, request);
+    } catch (error) {
+      await cancelRedemption(claim);
+      throw error;
+    }
+  }
+
+  /**
+   * Write a claim; its unique index is what stops a second claim
+   * @param {Object} fields - Claim fields
+   * @returns {Promise<TokenClaim>}
+   */
+  async recordClaim(fields) {
+    try {
+      return await TokenClaim.create(fields);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw claimError('You have already claimed this', 'already_claimed', 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Credit a recorded claim's tokens
+   * @param {TokenClaim} claim - Claim to pay out
+   * @param {Object} entry - Ledger entry fields for the credit
+   * @param {Object} request - { ipAddress, userAgent } of the request
+   * @returns {Promise<Object>} - { claim, transaction, balance }
+   */
+  async creditClaim(claim, entry, request) {
+    const { transaction, balance } = await tokenLedger.credit(claim.user, claim.tokens, {
+      type: 'bonus',
+      ...entry,
+      ...request,
+      metadata: { ...entry.metadata, claimId: claim._id }
+    });
+
+    claim.transaction = transaction._id;
+    await claim.save();
+
+    return { claim, transaction, balance };
+  }
+}
+
+module.exports = new TokenRewardService();
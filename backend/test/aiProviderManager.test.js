@@ -0,0 +1,95 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const aiProviderManager = require('../services/aiProviderManager');
+const OpenAIProvider = require('../services/aiProviders/openaiProvider');
+
+// The OpenAI API is down: every image request fails with a server error
+class UnavailableOpenAIProvider extends OpenAIProvider {
+  async initialize(config) {
+    this.config = { ...this.config, ...config };
+    this.openai = {
+      images: {
+        generate: async () => {
+          throw Object.assign(new Error('The server had an error while processing your request'), { status: 500 });
+        }
+      }
+    };
+    this.initialized = true;
+    return true;
+  }
+}
+
+describe('provider failover', () => {
+  let manager;
+  let stabilityRequests;
+
+  before(async () => {
+    // Providers announce themselves on stdout, which the test runner reads its results from
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+
+    manager = new aiProviderManager.constructor();
+    await manager.initialize({
+      provider: 'mock',
+      retries: 0,
+      stabilityApiKey: 'sk-test',
+      fallbackProviders: ['stability', 'mock']
+    });
+    manager.registerProvider('openai', UnavailableOpenAIProvider);
+    await manager.setProvider('openai');
+
+    stabilityRequests = [];
+    const stability = await manager.getProviderInstance('stability');
+    mock.method(stability, 'request', async (path, init) => {
+      stabilityRequests.push({ path, body: JSON.parse(init.body) });
+      return new Response(JSON.stringify({ artifacts: [{ base64: 'aGVsbG8=', seed: 7, finishReason: 'SUCCESS' }] }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    });
+  });
+
+  after(() => mock.restoreAll());
+
+  it('serves an unpinned request from the next provider with its own model and size', async () => {
+    const validation = await manager.validateGenerationRequest('a red fox in the snow', { size: '1024x1024' });
+    assert.equal(validation.options.model, 'dall-e-3');
+
+    const result = await manager.generateImage('a red fox in the snow', { ...validation.options, provider: undefined });
+
+    assert.deepEqual(result.metadata.providersTried.map(attempt => [attempt.provider, attempt.status]), [
+      ['openai', 'failed'],
+      ['stability', 'succeeded']
+    ]);
+    assert.equal(result.metadata.servedBy, 'stability');
+    assert.equal(result.metadata.model, 'stable-diffusion-xl-1024-v1-0');
+    assert.equal(result.metadata.size, '1024x1024');
+    assert.equal(result.metadata.requestedModel, 'dall-e-3');
+
+    const stability = await manager.getProviderInstance('stability');
+    assert.equal(result.metadata.providerCostUsd, manager.getProviderCost(stability, {
+      model: 'stable-diffusion-xl-1024-v1-0',
+      size: '1024x1024'
+    }));
+
+    assert.equal(stabilityRequests.length, 1);
+    assert.equal(stabilityRequests[0].path, '/v1/generation/stable-diffusion-xl-1024-v1-0/text-to-image');
+    assert.equal(stabilityRequests[0].body.width, 1024);
+  });
+
+  it('keeps the aspect ratio when the fallback lacks the requested size', async () => {
+    const stability = await manager.getProviderInstance('stability');
+    const fitted = manager.fitOptionsToProvider(stability, 'text_to_image', { model: 'dall-e-3', size: '1792x1024' });
+
+    assert.equal(fitted.model, 'stable-diffusion-xl-1024-v1-0');
+    assert.ok(['1216x832', '1344x768'].includes(fitted.size));
+  });
+
+  it('does not move a pinned request to another model', async () => {
+    const stability = await manager.getProviderInstance('stability');
+    const options = { provider: 'openai', model: 'dall-e-3', size: '1024x1024' };
+
+    assert.equal(manager.fitOptionsToProvider(stability, 'text_to_image', options), options);
+  });
+});
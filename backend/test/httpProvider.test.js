@@ -0,0 +1,56 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const HttpProvider = require('../services/aiProviders/httpProvider');
+
+const LocalDiffusion = HttpProvider.define({
+  name: 'local-diffusion',
+  endpoint: 'http://127.0.0.1:7860/generate',
+  request: { body: { prompt: '{{prompt}}', width: '{{width}}', height: '{{height}}' } },
+  response: { image: '$.image' },
+  models: [{ id: 'sd-local', name: 'Local SD', supportedSizes: ['512x512', '768x768'] }]
+});
+
+describe('HTTP provider parameters', () => {
+  let provider;
+  let requests;
+
+  before(async () => {
+    // Providers announce themselves on stdout, which the test runner reads its results from
+    mock.method(console, 'log', () => {});
+
+    provider = new LocalDiffusion();
+    await provider.initialize({ retries: 0 });
+
+    requests = [];
+    mock.method(provider, 'request', async (body) => {
+      requests.push(body);
+      return new Response(JSON.stringify({ image: 'aGVsbG8=' }), { status: 200 });
+    });
+  });
+
+  after(() => mock.restoreAll());
+
+  it('rejects a size the model does not support instead of using another one', async () => {
+    requests.length = 0;
+
+    assert.equal(provider.validateParameters({ size: '1024x1024' }).valid, false);
+    await assert.rejects(provider.generateImage('a lighthouse at dusk', { size: '1024x1024' }), { code: 'invalid_parameters' });
+    assert.equal(requests.length, 0);
+  });
+
+  it('rejects a model the definition does not list', async () => {
+    await assert.rejects(provider.generateImage('a lighthouse at dusk', { model: 'dall-e-3' }), { code: 'invalid_parameters' });
+  });
+
+  it('uses the requested size, or the first size when none is asked for', async () => {
+    requests.length = 0;
+
+    const sized = await provider.generateImage('a lighthouse at dusk', { size: '768x768' });
+    const unsized = await provider.generateImage('a lighthouse at dusk', {});
+
+    assert.equal(sized.metadata.size, '768x768');
+    assert.equal(unsized.metadata.size, '512x512');
+    assert.deepEqual(requests.map(body => body.width), [768, 512]);
+  });
+});
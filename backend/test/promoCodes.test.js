@@ -0,0 +1,151 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// Mail goes nowhere: the SMTP check fails at once instead of reaching out
+process.env.SMTP_HOST = '127.0.0.1';
+
+// Services announce themselves on stdout, which the test runner reads its results from
+mock.method(console, 'log', () => {});
+
+// Nothing here talks to MongoDB; a model without an in-memory collection fails instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const PromoCode = require('../models/PromoCode');
+const TokenClaim = require('../models/TokenClaim');
+const {
+  reserveRedemption,
+  recordCheckoutRedemption,
+  releaseCheckoutRedemption
+} = require('../services/promoCodeService');
+const emailService = require('../services/emailService');
+const { useMemoryCollections } = require('./support/memoryCollections');
+
+let promo;
+
+const userId = new mongoose.Types.ObjectId();
+
+const checkout = async () => {
+  const claim = await reserveRedemption(userId, promo, { action: 'checkout_code', tokens: 0, discount: 500 });
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    user: userId,
+    metadata: { promoCode: { id: promo._id, code: promo.code, discount: 500, bonusTokens: 0, claimId: claim._id } }
+  };
+};
+
+after(async () => {
+  // The email service logs once it has started; keep that quiet too
+  await emailService.ready;
+  mock.restoreAll();
+});
+
+describe('checkout promo code reservations', () => {
+  let db;
+
+  const claims = () => TokenClaim.find({ user: userId });
+  const redemptionCount = async () => (await PromoCode.findById(promo._id)).redemptionCount;
+
+  before(() => {
+    db = useMemoryCollections(PromoCode, TokenClaim);
+  });
+
+  after(() => db.restore());
+
+  beforeEach(async () => {
+    db.reset();
+    promo = await PromoCode.create({ code: 'SPRING', discountType: 'fixed', discountValue: 5, maxRedemptions: 1 });
+  });
+
+  it('counts the use when the checkout starts', async () => {
+    await checkout();
+    assert.equal(await redemptionCount(), 1);
+    assert.equal((await claims())[0].action, 'checkout_code');
+  });
+
+  it('refuses a checkout once the code has no uses left', async () => {
+    await checkout();
+    await assert.rejects(checkout(), { code: 'code_exhausted' });
+    assert.equal(await redemptionCount(), 1);
+  });
+
+  it('ties the reservation to the purchase without counting again', async () => {
+    const payment = await checkout();
+    const transaction = { _id: new mongoose.Types.ObjectId() };
+
+    const claim = await recordCheckoutRedemption(payment, transaction);
+    assert.ok(claim.transaction.equals(transaction._id));
+    assert.equal((await claims()).length, 1);
+    assert.equal(await redemptionCount(), 1);
+  });
+
+  it('gives the code back when the checkout is abandoned', async () => {
+    const payment = await checkout();
+
+    assert.equal(await releaseCheckoutRedemption(payment), true);
+    assert.equal((await claims()).length, 0);
+    assert.equal(await redemptionCount(), 0);
+  });
+
+  it('keeps a reservation whose payment was credited', async () => {
+    const payment = await checkout();
+    await recordCheckoutRedemption(payment, { _id: new mongoose.Types.ObjectId() });
+
+    assert.equal(await releaseCheckoutRedemption(payment), false);
+    assert.equal(await redemptionCount(), 1);
+  });
+});
+
+describe('per-user promo code limits', () => {
+  let db;
+
+  const keys = async () => (await TokenClaim.find({ user: userId }).sort({ key: 1 })).map(claim => claim.key);
+  const redemptionCount = async () => (await PromoCode.findById(promo._id)).redemptionCount;
+  const redeem = () => reserveRedemption(userId, promo, { tokens: 0 });
+
+  before(() => {
+    db = useMemoryCollections(PromoCode, TokenClaim);
+  });
+
+  after(() => db.restore());
+
+  beforeEach(async () => {
+    db.reset();
+    promo = await PromoCode.create({ code: 'SPRING', discountType: 'fixed', discountValue: 5 });
+  });
+
+  it('lets only one of a redemption and a checkout racing for the last use through', async () => {
+    const results = await Promise.allSettled([redeem(), checkout()]);
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+    assert.equal(results.find(result => result.status === 'rejected').reason.code, 'already_claimed');
+    assert.deepEqual(await keys(), ['SPRING']);
+    assert.equal(await redemptionCount(), 1);
+  });
+
+  it('keeps concurrent uses within the per-user limit', async () => {
+    await PromoCode.updateOne({ _id: promo._id }, { maxRedemptionsPerUser: 2 });
+    promo = await PromoCode.findById(promo._id);
+
+    const results = await Promise.allSettled([redeem(), checkout(), redeem()]);
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 2);
+    assert.deepEqual(await keys(), ['SPRING', 'SPRING#2']);
+    assert.equal(await redemptionCount(), 2);
+  });
+
+  it('lets a use given back by a cancelled checkout be taken again', async () => {
+    await PromoCode.updateOne({ _id: promo._id }, { maxRedemptionsPerUser: 2 });
+    promo = await PromoCode.findById(promo._id);
+
+    const payment = await checkout();
+    await redeem();
+    assert.equal(await releaseCheckoutRedemption(payment), true);
+
+    const claim = await redeem();
+    assert.equal(claim.key, 'SPRING');
+    assert.deepEqual(await keys(), ['SPRING', 'SPRING#2']);
+    await assert.rejects(redeem(), { code: 'already_claimed' });
+    assert.equal(await redemptionCount(), 2);
+  });
+});
@@ -0,0 +1,574 @@
+const mongoose = require('mongoose');
+
+const { ObjectId } = mongoose.Types;
+
+// In-memory stand-in for the MongoDB driver collections behind Mongoose models.
+// Mongoose still casts, hydrates and runs its hooks; only the driver calls are answered here.
+// It understands the query, update and aggregation operators the services use and
+// throws on anything else, so a test never passes on an operator it silently ignored.
+
+const REMOVE = Symbol('REMOVE');
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null);
+
+const clone = (value) => {
+  if (value instanceof ObjectId) return new ObjectId(value.toHexString());
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, clone(field)]));
+  }
+  return value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => {
+  if (value === null || value === undefined) return undefined;
+  if (Array.isArray(value) && !/^\d+$/.test(key)) return value.map(item => item?.[key]);
+  return value[key];
+}, doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (!isPlainObject(target[key]) && !Array.isArray(target[key])) target[key] = {};
+    return target[key];
+  }, doc);
+  parent[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = getPath(doc, keys.join('.')) ?? (keys.length === 0 ? doc : undefined);
+  if (parent && typeof parent === 'object') delete parent[last];
+};
+
+const typeRank = (value) => {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'number') return 1;
+  if (typeof value === 'string') return 2;
+  if (value instanceof ObjectId) return 3;
+  if (typeof value === 'boolean') return 4;
+  if (value instanceof Date) return 5;
+  return 6;
+};
+
+const equal = (a, b) => {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a === null || a === undefined) && (b === null || b === undefined);
+  }
+  if (a instanceof ObjectId || b instanceof ObjectId) {
+    return a instanceof ObjectId && b instanceof ObjectId && a.equals(b);
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => equal(item, b[i]));
+  }
+  if (typeof a === 'object' && typeof b === 'object') {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => equal(a[key], b[key]));
+  }
+  return a === b;
+};
+
+// Ordering across types follows MongoDB's: null, numbers, strings, ObjectIds, booleans, dates
+const compare = (a, b) => {
+  const rank = typeRank(a) - typeRank(b);
+  if (rank !== 0) return rank;
+  if (a === null || a === undefined) return 0;
+  if (a instanceof ObjectId) return a.toHexString().localeCompare(b.toHexString());
+  if (a instanceof Date) return a.getTime() - b.getTime();
+  if (typeof a === 'string') return a < b ? -1 : a > b ? 1 : 0;
+  return a - b;
+};
+
+// Range operators only compare values of the same type, like MongoDB
+const comparable = (a, b) => a !== null && a !== undefined && typeRank(a) === typeRank(b);
+
+const TYPES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number',
+  bool: value => typeof value === 'boolean',
+  date: value => value instanceof Date,
+  objectId: value => value instanceof ObjectId,
+  array: value => Array.isArray(value),
+  object: value => isPlainObject(value),
+  null: value => value === null
+};
+
+const valueMatches = (value, condition) => {
+  const candidates = Array.isArray(value) ? [value, ...value] : [value];
+
+  if (!isPlainObject(condition) || !Object.keys(condition).some(key => key.startsWith('$'))) {
+    return candidates.some(candidate => equal(candidate, condition));
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq': return candidates.some(candidate => equal(candidate, operand));
+      case '$ne': return !candidates.some(candidate => equal(candidate, operand));
+      case '$gt': return candidates.some(candidate => comparable(candidate, operand) && compare(candidate, operand) > 0);
+      case '$gte': return candidates.some(candidate => comparable(candidate, operand) && compare(candidate, operand) >= 0);
+      case '$lt': return candidates.some(candidate => comparable(candidate, operand) && compare(candidate, operand) < 0);
+      case '$lte': return candidates.some(candidate => comparable(candidate, operand) && compare(candidate, operand) <= 0);
+      case '$in': return operand.some(option => candidates.some(candidate => equal(candidate, option)));
+      case '$nin': return !operand.some(option => candidates.some(candidate => equal(candidate, option)));
+      case '$exists': return (value !== undefined) === Boolean(operand);
+      case '$type': return value !== undefined && [].concat(operand).some(type => {
+        if (!TYPES[type]) throw new Error(`Unsupported $type ${type}`);
+        return TYPES[type](value);
+      });
+      case '$not': return !valueMatches(value, operand);
+      default: throw new Error(`Unsupported query operator ${operator}`);
+    }
+  });
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([field, condition]) => {
+  switch (field) {
+    case '$and': return condition.every(part => matches(doc, part));
+    case '$or': return condition.some(part => matches(doc, part));
+    case '$nor': return !condition.some(part => matches(doc, part));
+    case '$expr': return Boolean(evaluate(doc, condition));
+    default:
+      if (field.startsWith('$')) throw new Error(`Unsupported query operator ${field}`);
+      return valueMatches(getPath(doc, field), condition);
+  }
+});
+
+const evaluate = (doc, expression) => {
+  if (typeof expression === 'string' && expression.startsWith('$$')) {
+    switch (expression) {
+      case '$$NOW': return new Date();
+      case '$$REMOVE': return REMOVE;
+      case '$$ROOT': return doc;
+      default: throw new Error(`Unsupported variable ${expression}`);
+    }
+  }
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return getPath(doc, expression.slice(1));
+  }
+  if (Array.isArray(expression)) {
+    return expression.map(item => evaluate(doc, item));
+  }
+  if (!isPlainObject(expression)) {
+    return expression;
+  }
+
+  const [operator] = Object.keys(expression);
+  if (!operator?.startsWith('$')) {
+    return Object.fromEntries(Object.entries(expression).map(([key, field]) => [key, evaluate(doc, field)]));
+  }
+
+  const operand = expression[operator];
+  const args = () => [].concat(operand).map(item => evaluate(doc, item));
+  switch (operator) {
+    case '$literal': return operand;
+    case '$cond': {
+      const [condition, then, otherwise] = Array.isArray(operand) ? operand : [operand.if, operand.then, operand.else];
+      return evaluate(doc, evaluate(doc, condition) ? then : otherwise);
+    }
+    case '$ifNull': {
+      const values = args();
+      return values.find(value => value !== null && value !== undefined) ?? values[values.length - 1];
+    }
+    case '$eq': { const [a, b] = args(); return equal(a, b); }
+    case '$ne': { const [a, b] = args(); return !equal(a, b); }
+    case '$gt': { const [a, b] = args(); return compare(a, b) > 0; }
+    case '$gte': { const [a, b] = args(); return compare(a, b) >= 0; }
+    case '$lt': { const [a, b] = args(); return compare(a, b) < 0; }
+    case '$lte': { const [a, b] = args(); return compare(a, b) <= 0; }
+    case '$in': { const [value, list] = args(); return list.some(item => equal(item, value)); }
+    case '$and': return args().every(Boolean);
+    case '$or': return args().some(Boolean);
+    case '$not': return !args()[0];
+    case '$abs': return Math.abs(args()[0]);
+    case '$add': return args().reduce((sum, value) => sum + value, 0);
+    case '$subtract': { const [a, b] = args(); return a - b; }
+    case '$multiply': return args().reduce((product, value) => product * value, 1);
+    default: throw new Error(`Unsupported expression operator ${operator}`);
+  }
+};
+
+const applyUpdate = (doc, update, inserting = false) => {
+  if (Array.isArray(update)) {
+    for (const stage of update) {
+      const [name] = Object.keys(stage);
+      if (name === '$set' || name === '$addFields') {
+        const values = Object.entries(stage[name]).map(([path, expression]) => [path, evaluate(doc, expression)]);
+        values.forEach(([path, value]) => setPath(doc, path, clone(value)));
+      } else if (name === '$unset') {
+        [].concat(stage.$unset).forEach(path => unsetPath(doc, path));
+      } else {
+        throw new Error(`Unsupported update stage ${name}`);
+      }
+    }
+    return;
+  }
+
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      switch (operator) {
+        case '$set': setPath(doc, path, clone(value)); break;
+        case '$setOnInsert': if (inserting) setPath(doc, path, clone(value)); break;
+        case '$unset': unsetPath(doc, path); break;
+        case '$inc': setPath(doc, path, (getPath(doc, path) || 0) + value); break;
+        case '$push': setPath(doc, path, [...(getPath(doc, path) || []), clone(value)]); break;
+        case '$addToSet': {
+          const list = getPath(doc, path) || [];
+          setPath(doc, path, list.some(item => equal(item, value)) ? list : [...list, clone(value)]);
+          break;
+        }
+        default: throw new Error(`Unsupported update operator ${operator}`);
+      }
+    }
+  }
+};
+
+const sortDocs = (docs, sort) => {
+  const fields = Object.entries(sort instanceof Map ? Object.fromEntries(sort) : sort || {});
+  if (fields.length === 0) return docs;
+  return [...docs].sort((a, b) => {
+    for (const [path, direction] of fields) {
+      const order = compare(getPath(a, path), getPath(b, path));
+      if (order !== 0) return direction === -1 || direction === 'desc' ? -order : order;
+    }
+    return 0;
+  });
+};
+
+const project = (doc, projection) => {
+  const fields = Object.entries(projection || {});
+  if (fields.length === 0) return doc;
+
+  const included = fields.filter(([path, flag]) => flag && path !== '_id');
+  if (included.length > 0) {
+    const result = {};
+    if (projection._id !== 0 && projection._id !== false) result._id = doc._id;
+    included.forEach(([path]) => {
+      const value = getPath(doc, path);
+      if (value !== undefined) setPath(result, path, value);
+    });
+    return result;
+  }
+
+  const result = clone(doc);
+  fields.forEach(([path]) => unsetPath(result, path));
+  return result;
+};
+
+// ObjectIds and dates serialize to their string forms, so equal group ids get equal keys
+const groupKey = (value) => JSON.stringify(value) ?? 'undefined';
+
+const accumulate = (operator, values) => {
+  const present = values.filter(value => value !== REMOVE && value !== undefined);
+  switch (operator) {
+    case '$sum': return present.reduce((sum, value) => sum + (typeof value === 'number' ? value : 0), 0);
+    case '$avg': {
+      const numbers = present.filter(value => typeof value === 'number');
+      return numbers.length ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+    }
+    case '$min': return present.filter(value => value !== null).sort(compare)[0] ?? null;
+    case '$max': return present.filter(value => value !== null).sort(compare).pop() ?? null;
+    case '$first': return values[0] === REMOVE ? undefined : values[0];
+    case '$last': return values[values.length - 1] === REMOVE ? undefined : values[values.length - 1];
+    case '$push': return present;
+    case '$addToSet': return present.filter((value, i) => present.findIndex(other => equal(other, value)) === i);
+    default: throw new Error(`Unsupported accumulator ${operator}`);
+  }
+};
+
+class MemoryCursor {
+  constructor(docs) {
+    this.docs = docs;
+  }
+
+  async toArray() {
+    return this.docs.splice(0);
+  }
+
+  async next() {
+    return this.docs.shift() ?? null;
+  }
+
+  async hasNext() {
+    return this.docs.length > 0;
+  }
+
+  close(callback) {
+    if (typeof callback === 'function') callback();
+    return Promise.resolve();
+  }
+
+  async *[Symbol.asyncIterator]() {
+    while (this.docs.length > 0) {
+      yield this.docs.shift();
+    }
+  }
+}
+
+const duplicateKeyError = (collection, index) => {
+  const error = new Error(`E11000 duplicate key error collection: ${collection} index: ${index}`);
+  error.name = 'MongoServerError';
+  error.code = 11000;
+  return error;
+};
+
+class MemoryCollection {
+  constructor(model, registry) {
+    this.name = model.collection.name;
+    this.registry = registry;
+    this.docs = [];
+    this.uniqueIndexes = [
+      { name: '_id_', fields: ['_id'] },
+      ...model.schema.indexes()
+        .filter(([, options]) => options?.unique)
+        .map(([fields, options]) => ({
+          name: options.name || Object.entries(fields).map(pair => pair.join('_')).join('_'),
+          fields: Object.keys(fields),
+          partialFilterExpression: options.partialFilterExpression
+        }))
+    ];
+  }
+
+  checkUnique(doc, ignore = null) {
+    for (const index of this.uniqueIndexes) {
+      if (index.partialFilterExpression && !matches(doc, index.partialFilterExpression)) {
+        continue;
+      }
+      const key = index.fields.map(field => getPath(doc, field) ?? null);
+      const taken = this.docs.some(other => other !== ignore &&
+        (!index.partialFilterExpression || matches(other, index.partialFilterExpression)) &&
+        index.fields.every((field, i) => equal(getPath(other, field) ?? null, key[i])));
+      if (taken) {
+        throw duplicateKeyError(this.name, index.name);
+      }
+    }
+  }
+
+  select(filter, { sort, skip = 0, limit = 0 } = {}) {
+    const found = sortDocs(this.docs.filter(doc => matches(doc, filter)), sort).slice(skip);
+    return limit > 0 ? found.slice(0, limit) : found;
+  }
+
+  // Updates the stored document in place, undoing the change if it breaks a unique index
+  modify(doc, update, inserting = false) {
+    const before = clone(doc);
+    applyUpdate(doc, update, inserting);
+    try {
+      this.checkUnique(doc, doc);
+    } catch (error) {
+      Object.keys(doc).forEach(key => delete doc[key]);
+      Object.assign(doc, before);
+      throw error;
+    }
+    return !equal(before, doc);
+  }
+
+  upsert(filter, update) {
+    const doc = { _id: new ObjectId() };
+    Object.entries(filter).forEach(([path, value]) => {
+      if (!path.startsWith('$') && !(isPlainObject(value) && Object.keys(value).some(key => key.startsWith('$')))) {
+        setPath(doc, path, clone(value));
+      }
+    });
+    applyUpdate(doc, update, true);
+    this.checkUnique(doc);
+    this.docs.push(doc);
+    return doc;
+  }
+
+  async insertOne(doc) {
+    const stored = clone(doc);
+    if (stored._id === undefined) stored._id = new ObjectId();
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  // Ordered, like the driver's default: documents before a failing one stay inserted
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [i, doc] of docs.entries()) {
+      insertedIds[i] = (await this.insertOne(doc)).insertedId;
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  find(filter, options = {}) {
+    return new MemoryCursor(this.select(filter, options).map(doc => clone(project(doc, options.projection))));
+  }
+
+  async findOne(filter, options = {}) {
+    const [doc] = this.select(filter, { ...options, limit: 1 });
+    return doc ? clone(project(doc, options.projection)) : null;
+  }
+
+  async countDocuments(filter, options = {}) {
+    return this.select(filter, options).length;
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const [doc] = this.select(filter, { sort: options.sort, limit: 1 });
+    if (!doc) {
+      if (options.upsert) {
+        const inserted = this.upsert(filter, update);
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+      }
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+    }
+    const modified = this.modify(doc, update);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: modified ? 1 : 0, upsertedCount: 0, upsertedId: null };
+  }
+
+  async updateMany(filter, update) {
+    const docs = this.select(filter);
+    const modified = docs.filter(doc => this.modify(doc, update)).length;
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount: modified, upsertedCount: 0, upsertedId: null };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    let [doc] = this.select(filter, { sort: options.sort, limit: 1 });
+    const before = doc ? clone(doc) : null;
+    if (doc) {
+      this.modify(doc, update);
+    } else if (options.upsert) {
+      doc = this.upsert(filter, update);
+    }
+    const value = options.returnDocument === 'after' ? doc : before;
+    const result = value ? clone(project(value, options.projection)) : null;
+    return options.includeResultMetadata ? { value: result, ok: 1 } : result;
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [doc] = this.select(filter, { sort: options.sort, limit: 1 });
+    if (doc) {
+      this.docs.splice(this.docs.indexOf(doc), 1);
+    }
+    const result = doc ? clone(project(doc, options.projection)) : null;
+    return options.includeResultMetadata ? { value: result, ok: 1 } : result;
+  }
+
+  async deleteOne(filter) {
+    const [doc] = this.select(filter, { limit: 1 });
+    if (doc) {
+      this.docs.splice(this.docs.indexOf(doc), 1);
+    }
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter) {
+    const doomed = this.select(filter);
+    this.docs = this.docs.filter(doc => !doomed.includes(doc));
+    return { acknowledged: true, deletedCount: doomed.length };
+  }
+
+  aggregate(pipeline) {
+    let docs = this.docs.map(clone);
+
+    for (const stage of pipeline) {
+      const [name] = Object.keys(stage);
+      const spec = stage[name];
+      switch (name) {
+        case '$match':
+          docs = docs.filter(doc => matches(doc, spec));
+          break;
+        case '$sort':
+          docs = sortDocs(docs, spec);
+          break;
+        case '$limit':
+          docs = docs.slice(0, spec);
+          break;
+        case '$skip':
+          docs = docs.slice(spec);
+          break;
+        case '$count':
+          docs = docs.length ? [{ [spec]: docs.length }] : [];
+          break;
+        case '$set':
+        case '$addFields':
+          docs.forEach(doc => applyUpdate(doc, [{ $set: spec }]));
+          break;
+        case '$unwind': {
+          const { path, preserveNullAndEmptyArrays = false } = typeof spec === 'string' ? { path: spec } : spec;
+          const field = path.slice(1);
+          docs = docs.flatMap(doc => {
+            const value = getPath(doc, field);
+            if (!Array.isArray(value) || value.length === 0) {
+              return preserveNullAndEmptyArrays ? [doc] : [];
+            }
+            return value.map(item => {
+              const copy = clone(doc);
+              setPath(copy, field, clone(item));
+              return copy;
+            });
+          });
+          break;
+        }
+        case '$lookup': {
+          const foreign = this.registry.get(spec.from);
+          if (!foreign) throw new Error(`$lookup from ${spec.from}, which is not an in-memory collection`);
+          docs.forEach(doc => {
+            const local = getPath(doc, spec.localField);
+            setPath(doc, spec.as, foreign.docs
+              .filter(other => valueMatches(getPath(other, spec.foreignField), Array.isArray(local) ? { $in: local } : local))
+              .map(clone));
+          });
+          break;
+        }
+        case '$group': {
+          const groups = new Map();
+          docs.forEach(doc => {
+            const id = evaluate(doc, spec._id);
+            const key = groupKey(id);
+            if (!groups.has(key)) groups.set(key, { _id: id, docs: [] });
+            groups.get(key).docs.push(doc);
+          });
+          docs = [...groups.values()].map(group => {
+            const row = { _id: group._id };
+            Object.entries(spec).filter(([field]) => field !== '_id').forEach(([field, accumulator]) => {
+              const [operator] = Object.keys(accumulator);
+              row[field] = accumulate(operator, group.docs.map(doc => evaluate(doc, accumulator[operator])));
+            });
+            return row;
+          });
+          break;
+        }
+        default:
+          throw new Error(`Unsupported aggregation stage ${name}`);
+      }
+    }
+
+    return new MemoryCursor(docs);
+  }
+}
+
+/**
+ * Back models with in-memory collections until restore() is called
+ * @param {...Model} models - Mongoose models; a `$lookup` can only reach models given here
+ * @returns {Object} - { docs(model), reset(), restore() }
+ */
+const useMemoryCollections = (...models) => {
+  const registry = new Map();
+  const replaced = [];
+
+  for (const model of models) {
+    const collection = new MemoryCollection(model, registry);
+    registry.set(collection.name, collection);
+    replaced.push([model.collection, model.collection.collection]);
+    model.collection.collection = collection;
+  }
+
+  return {
+    docs: (model) => registry.get(model.collection.name).docs,
+    reset: () => registry.forEach(collection => { collection.docs = []; }),
+    restore: () => replaced.forEach(([native, driver]) => { native.collection = driver; })
+  };
+};
+
+module.exports = { useMemoryCollections };
@@ -0,0 +1,437 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// Mail goes nowhere: the SMTP check fails at once instead of reaching out
+process.env.SMTP_HOST = '127.0.0.1';
+
+// Services announce themselves on stdout, which the test runner reads its results from
+mock.method(console, 'log', () => {});
+
+// Nothing here talks to MongoDB; a model without an in-memory collection fails instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const Token = require('../models/Token');
+const User = require('../models/User');
+const TokenLot = require('../models/TokenLot');
+const Image = require('../models/Image');
+const GenerationJob = require('../models/GenerationJob');
+const tokenLedger = require('../services/tokenLedgerService');
+const emailService = require('../services/emailService');
+const { useMemoryCollections } = require('./support/memoryCollections');
+
+describe('token ledger', () => {
+  let db;
+
+  const createUser = async (tokens) => {
+    const _id = new mongoose.Types.ObjectId();
+    await User.collection.insertOne({ _id, name: 'Ada', username: `ada-${_id}`, email: `${_id}@example.com`, password: 'x', tokens });
+    return _id;
+  };
+
+  const balanceOf = async (userId) => (await User.findById(userId).select('tokens').lean()).tokens;
+
+  // Past the age after which unfinished work counts as abandoned
+  const tenMinutesAgo = () => new Date(Date.now() - 10 * 60 * 1000);
+
+  const quietly = async (work) => {
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    try {
+      return await work();
+    } finally {
+      console.warn.mock.restore();
+      console.error.mock.restore();
+    }
+  };
+
+  before(() => {
+    db = useMemoryCollections(Token, User, TokenLot, Image, GenerationJob);
+  });
+
+  after(async () => {
+    // The email service logs once it has started; keep that quiet too
+    await emailService.ready;
+    db.restore();
+    mock.restoreAll();
+  });
+
+  beforeEach(() => db.reset());
+
+  describe('apply', () => {
+    it('completes a credit, records the balance after it and opens a lot', async () => {
+      const userId = await createUser(5);
+
+      const { transactions, balance } = await tokenLedger.apply(userId, [{ type: 'bonus', amount: 20, description: 'Welcome' }]);
+
+      assert.equal(balance, 25);
+      assert.equal(await balanceOf(userId), 25);
+
+      const entry = await Token.findById(transactions[0]._id);
+      assert.equal(entry.status, 'completed');
+      assert.equal(entry.balanceAfter, 25);
+
+      const lots = await TokenLot.find({ user: userId });
+      assert.deepEqual(lots.map(lot => [lot.source, lot.remaining]), [['bonus', 20]]);
+    });
+
+    it('leaves a hold held until it is settled', async () => {
+      const userId = await createUser(10);
+
+      const { transactions, balance } = await tokenLedger.apply(userId, [{ type: 'spend', amount: -4, description: 'Image', hold: true }]);
+
+      assert.equal(balance, 6);
+      const entry = await Token.findById(transactions[0]._id);
+      assert.equal(entry.status, 'held');
+      assert.ok(entry.holdExpiresAt > new Date());
+    });
+
+    it('refuses a debit the balance does not cover and removes its entries', async () => {
+      const userId = await createUser(3);
+
+      await assert.rejects(
+        tokenLedger.debit(userId, 5, { description: 'Image' }),
+        { code: 'insufficient_tokens', status: 400, required: 5, available: 3 }
+      );
+
+      assert.equal(await balanceOf(userId), 3);
+      assert.equal(await Token.countDocuments({ user: userId }), 0);
+    });
+
+    it('lets only one of two concurrent debits through when the balance covers one', async () => {
+      const userId = await createUser(10);
+
+      const results = await Promise.allSettled([
+        tokenLedger.debit(userId, 7, { description: 'First image' }),
+        tokenLedger.debit(userId, 7, { description: 'Second image' })
+      ]);
+
+      assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+      assert.equal(results.find(result => result.status === 'rejected').reason.code, 'insufficient_tokens');
+      assert.equal(await balanceOf(userId), 3);
+      assert.deepEqual((await Token.find({ user: userId })).map(entry => entry.status), ['completed']);
+    });
+
+    it('takes an adjustment below zero only when allowed', async () => {
+      const userId = await createUser(2);
+      const entry = { type: 'admin_adjustment', amount: -5, description: 'Chargeback' };
+
+      await assert.rejects(tokenLedger.apply(userId, [entry]), { code: 'insufficient_tokens' });
+      const { balance } = await tokenLedger.apply(userId, [entry], { allowNegative: true });
+
+      assert.equal(balance, -3);
+    });
+
+    it('reports an unknown user', async () => {
+      await assert.rejects(
+        tokenLedger.credit(new mongoose.Types.ObjectId(), 5, { type: 'bonus', description: 'Welcome' }),
+        { code: 'user_not_found', status: 404 }
+      );
+      assert.equal(await Token.countDocuments({}), 0);
+    });
+
+    it('credits a payment only once', async () => {
+      const userId = await createUser(0);
+      const paymentId = new mongoose.Types.ObjectId();
+      const purchase = { type: 'purchase', description: 'Purchased 50 tokens', paymentId };
+
+      await tokenLedger.credit(userId, 50, purchase);
+      await assert.rejects(tokenLedger.credit(userId, 50, purchase), { code: 11000 });
+
+      assert.equal(await balanceOf(userId), 50);
+      const holder = await tokenLedger.findKeyHolder({ type: 'purchase', paymentId: paymentId.toString() });
+      assert.equal(holder.status, 'completed');
+    });
+  });
+
+  describe('holds', () => {
+    const hold = async (userId, amount, fields = {}) => {
+      const { transactions } = await tokenLedger.apply(userId, [{ type: 'spend', amount: -amount, description: 'Image', hold: true, ...fields }]);
+      return transactions[0];
+    };
+
+    const expire = (entry) => Token.updateOne({ _id: entry._id }, { $set: { holdExpiresAt: new Date(Date.now() - 1000) } });
+
+    const createImage = async (userId, status) => {
+      const _id = new mongoose.Types.ObjectId();
+      await Image.collection.insertOne({ _id, user: userId, prompt: 'A lighthouse', status, refundedAt: null });
+      return _id;
+    };
+
+    it('captures a hold once', async () => {
+      const userId = await createUser(10);
+      const entry = await hold(userId, 4);
+
+      const captured = await tokenLedger.capture(entry._id);
+      assert.equal(captured.status, 'completed');
+      assert.equal(await tokenLedger.capture(entry._id), null);
+      assert.equal(await balanceOf(userId), 6);
+    });
+
+    it('gives a released hold back to the user and to its lot', async () => {
+      const userId = await createUser(0);
+      await tokenLedger.credit(userId, 10, { type: 'bonus', description: 'Welcome' });
+      const entry = await hold(userId, 4);
+      assert.deepEqual((await TokenLot.find({ user: userId })).map(lot => lot.remaining), [6]);
+
+      const { transaction, balance } = await tokenLedger.release(entry._id, 'Generation failed');
+
+      assert.equal(balance, 10);
+      assert.equal(transaction.status, 'released');
+      assert.equal((await Token.findById(entry._id)).status, 'released');
+      assert.deepEqual((await TokenLot.find({ user: userId })).map(lot => lot.remaining), [10]);
+      assert.equal(await tokenLedger.capture(entry._id), null);
+      assert.equal(await tokenLedger.release(entry._id, 'Again'), null);
+    });
+
+    it('captures, extends or releases expired holds by what became of their image', async () => {
+      const userId = await createUser(30);
+
+      const completedImage = await createImage(userId, 'completed');
+      const queuedImage = await createImage(userId, 'queued');
+      const abandonedImage = await createImage(userId, 'generating');
+      await GenerationJob.collection.insertOne({ image: queuedImage, user: userId, status: 'queued' });
+
+      const completed = await hold(userId, 5, { image: completedImage });
+      const queued = await hold(userId, 5, { image: queuedImage });
+      const abandoned = await hold(userId, 5, { image: abandonedImage });
+      const notDue = await hold(userId, 5);
+      await Promise.all([completed, queued, abandoned].map(expire));
+
+      const result = await tokenLedger.expireHolds();
+
+      assert.deepEqual(result, { captured: 1, extended: 1, released: 1 });
+      assert.equal((await Token.findById(completed._id)).status, 'completed');
+
+      const extended = await Token.findById(queued._id);
+      assert.equal(extended.status, 'held');
+      assert.ok(extended.holdExpiresAt > new Date());
+
+      assert.equal((await Token.findById(abandoned._id)).status, 'released');
+      const failedImage = await Image.findById(abandonedImage);
+      assert.equal(failedImage.status, 'failed');
+      assert.ok(failedImage.refundedAt);
+
+      assert.equal((await Token.findById(notDue._id)).status, 'held');
+      assert.equal(await balanceOf(userId), 15);
+    });
+
+    it('charges a released hold again once, even below zero', async () => {
+      const userId = await createUser(5);
+      const entry = await hold(userId, 5, { metadata: { batchId: 'b1' } });
+      await tokenLedger.release(entry._id, 'Hold expired');
+      const { transaction: spend } = await tokenLedger.debit(userId, 4, { description: 'Another image' });
+
+      const { transaction, balance } = await tokenLedger.rechargeReleasedHold(entry._id);
+
+      assert.equal(balance, -4);
+      assert.equal(transaction.status, 'completed');
+      assert.equal(transaction.amount, -5);
+      assert.ok(transaction.metadata.rechargeOf.equals(entry._id));
+      assert.equal(transaction.metadata.batchId, 'b1');
+      assert.equal(await tokenLedger.rechargeReleasedHold(entry._id), null);
+      assert.equal(await tokenLedger.rechargeReleasedHold(spend._id), null);
+    });
+
+    it('leaves a hold rechargeable when charging it fails', async () => {
+      const userId = await createUser(5);
+      const entry = await hold(userId, 5);
+      await tokenLedger.release(entry._id, 'Hold expired');
+
+      const users = User.collection.collection;
+      const outage = mock.method(users, 'findOneAndUpdate', async () => {
+        throw new Error('connection reset');
+      });
+      await assert.rejects(tokenLedger.rechargeReleasedHold(entry._id), /connection reset/);
+      outage.mock.restore();
+
+      assert.equal((await Token.findById(entry._id)).metadata.rechargedAt, undefined);
+      assert.equal(await balanceOf(userId), 5);
+
+      const { balance } = await tokenLedger.rechargeReleasedHold(entry._id);
+      assert.equal(balance, 0);
+    });
+  });
+
+  describe('lot expiry', () => {
+    const expiredLot = async (userId, tokens) => {
+      const { transaction } = await tokenLedger.credit(userId, tokens, { type: 'bonus', description: 'Welcome' });
+      return TokenLot.findOneAndUpdate({ transaction: transaction._id }, { $set: { expiresAt: new Date(Date.now() - 1000) } }, { new: true });
+    };
+
+    const staleExpiring = (lot) => TokenLot.updateOne(
+      { _id: lot._id },
+      { $set: { remaining: 0, expiring: lot.remaining, expiringAt: tenMinutesAgo() } }
+    );
+
+    const expiredEntries = (userId) => Token.find({ user: userId, type: 'expired' });
+
+    it('writes off what is left in an expired lot', async () => {
+      const userId = await createUser(0);
+      const lot = await expiredLot(userId, 10);
+      await tokenLedger.debit(userId, 4, { description: 'Image' });
+
+      assert.deepEqual(await tokenLedger.expireLots(), { lots: 1, tokens: 6 });
+
+      assert.equal(await balanceOf(userId), 0);
+      const [entry] = await expiredEntries(userId);
+      assert.equal(entry.amount, -6);
+      assert.equal(entry.status, 'completed');
+
+      const expired = await TokenLot.findById(lot._id);
+      assert.equal(expired.expiring, 0);
+      assert.ok(expired.expiredAt instanceof Date);
+      assert.deepEqual(await tokenLedger.expireLots(), { lots: 0, tokens: 0 });
+    });
+
+    it('writes off only the balance left when tokens were spent outside the lots', async () => {
+      const userId = await createUser(0);
+      await expiredLot(userId, 10);
+      await User.updateOne({ _id: userId }, { $set: { tokens: 4 } });
+
+      await tokenLedger.expireLots();
+
+      assert.equal(await balanceOf(userId), 0);
+      assert.deepEqual((await expiredEntries(userId)).map(entry => entry.amount), [-4]);
+    });
+
+    it('keeps the lot expiring when its entry cannot be written, and finishes it later', async () => {
+      const userId = await createUser(0);
+      const lot = await expiredLot(userId, 10);
+
+      const users = User.collection.collection;
+      const outage = mock.method(users, 'findOneAndUpdate', async () => {
+        throw new Error('connection reset');
+      });
+      assert.deepEqual(await quietly(() => tokenLedger.expireLots()), { lots: 0, tokens: 0 });
+      outage.mock.restore();
+
+      const expiring = await TokenLot.findById(lot._id);
+      assert.equal(expiring.expiring, 10);
+      assert.equal(expiring.expiredAt, null);
+      assert.equal(await balanceOf(userId), 10);
+
+      // Later, reconciliation fails the entry the outage left pending and the next run finishes the lot
+      await TokenLot.updateOne({ _id: lot._id }, { $set: { expiringAt: tenMinutesAgo() } });
+      await Token.updateMany({ 'metadata.lotId': lot._id }, { $set: { createdAt: tenMinutesAgo() } });
+      await quietly(() => tokenLedger.reconcile());
+
+      assert.deepEqual(await tokenLedger.expireLots(), { lots: 1, tokens: 10 });
+      assert.equal(await balanceOf(userId), 0);
+      assert.deepEqual((await expiredEntries(userId)).map(entry => entry.status).sort(), ['completed', 'failed']);
+    });
+
+    it('only marks a stale expiring lot expired when its entry was already written', async () => {
+      const userId = await createUser(0);
+      const lot = await expiredLot(userId, 10);
+      await staleExpiring(lot);
+      await tokenLedger.apply(userId, [{
+        type: 'expired',
+        amount: -10,
+        description: '10 tokens expired',
+        metadata: { lotId: lot._id }
+      }]);
+
+      assert.deepEqual(await tokenLedger.expireLots(), { lots: 0, tokens: 0 });
+
+      assert.equal(await balanceOf(userId), 0);
+      assert.equal((await expiredEntries(userId)).length, 1);
+      assert.ok((await TokenLot.findById(lot._id)).expiredAt instanceof Date);
+    });
+
+    it('leaves a stale expiring lot alone while its entry is pending', async () => {
+      const userId = await createUser(0);
+      const lot = await expiredLot(userId, 10);
+      await staleExpiring(lot);
+      await Token.collection.insertOne({
+        user: userId,
+        type: 'expired',
+        amount: -10,
+        description: '10 tokens expired',
+        status: 'pending',
+        metadata: { lotId: lot._id }
+      });
+
+      assert.deepEqual(await tokenLedger.expireLots(), { lots: 0, tokens: 0 });
+      assert.equal((await TokenLot.findById(lot._id)).expiring, 10);
+      assert.equal(await balanceOf(userId), 10);
+    });
+  });
+
+  describe('reconcile', () => {
+    const staleEntry = (userId, amount) => Token.collection.insertOne({
+      user: userId,
+      type: amount > 0 ? 'bonus' : 'spend',
+      amount,
+      description: 'Interrupted',
+      status: 'pending',
+      holdExpiresAt: null,
+      metadata: {},
+      createdAt: tenMinutesAgo()
+    });
+
+    it('settles entries a crash left pending by whether they reached the balance', async () => {
+      const applied = await createUser(0);
+      await tokenLedger.credit(applied, 10, { type: 'bonus', description: 'Welcome' });
+      const { insertedId: appliedEntry } = await staleEntry(applied, 5);
+      await User.updateOne({ _id: applied }, { $inc: { tokens: 5 } });
+
+      const lost = await createUser(0);
+      await tokenLedger.credit(lost, 10, { type: 'bonus', description: 'Welcome' });
+      const { insertedId: lostEntry } = await staleEntry(lost, -3);
+
+      const report = await quietly(() => tokenLedger.reconcile());
+
+      assert.equal(report.checked, 2);
+      assert.equal(report.settled, 2);
+      assert.deepEqual(report.discrepancies, []);
+      assert.equal((await Token.findById(appliedEntry)).status, 'completed');
+      assert.equal((await Token.findById(lostEntry)).status, 'failed');
+    });
+
+    it('reports a balance the ledger does not explain and fixes it when asked', async () => {
+      const userId = await createUser(0);
+      await tokenLedger.credit(userId, 10, { type: 'bonus', description: 'Welcome' });
+      await User.updateOne({ _id: userId }, { $set: { tokens: 25 } });
+
+      const report = await quietly(() => tokenLedger.reconcile());
+      assert.deepEqual(report.discrepancies.map(({ balance, ledgerBalance, difference, fixed }) => ({ balance, ledgerBalance, difference, fixed })), [
+        { balance: 25, ledgerBalance: 10, difference: 15, fixed: false }
+      ]);
+      assert.equal(await balanceOf(userId), 25);
+
+      const fixed = await quietly(() => tokenLedger.reconcile({ fix: true }));
+      assert.equal(fixed.discrepancies[0].fixed, true);
+      assert.equal(await balanceOf(userId), 10);
+    });
+
+    it('reports entries whose lots were not allocated', async () => {
+      const userId = await createUser(0);
+      const { transaction } = await tokenLedger.credit(userId, 10, { type: 'bonus', description: 'Welcome' });
+      await Token.updateOne({ _id: transaction._id }, { $set: { 'metadata.lotAllocationFailed': true } });
+
+      const report = await quietly(() => tokenLedger.reconcile());
+
+      assert.equal(report.lotAllocationFailures.count, 1);
+      assert.ok(report.lotAllocationFailures.recent[0]._id.equals(transaction._id));
+    });
+
+    it('finds users whose lots hold more than their balance', async () => {
+      const drifted = await createUser(0);
+      await tokenLedger.credit(drifted, 10, { type: 'bonus', description: 'Welcome' });
+      await User.updateOne({ _id: drifted }, { $set: { tokens: 6 } });
+
+      // Balance from before lots existed may exceed them
+      const untracked = await createUser(20);
+      await tokenLedger.credit(untracked, 5, { type: 'bonus', description: 'Welcome' });
+
+      const drift = await tokenLedger.findLotDrift();
+
+      assert.deepEqual(drift.map(({ userId, balance, inLots }) => [String(userId), balance, inLots]), [[String(drifted), 6, 10]]);
+      assert.equal(drift[0].username, `ada-${drifted}`);
+
+      const report = await quietly(() => tokenLedger.reconcile());
+      assert.equal(report.lotDrift.length, 1);
+    });
+  });
+});
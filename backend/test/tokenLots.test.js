@@ -0,0 +1,115 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// Nothing here talks to MongoDB; a model without an in-memory collection fails instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const TokenLot = require('../models/TokenLot');
+const { consumeLots, restoreLots, closeExpiredLot, finishExpiredLot } = require('../services/tokenLotService');
+const { useMemoryCollections } = require('./support/memoryCollections');
+
+describe('token lots', () => {
+  let db;
+  let userId;
+
+  const openLot = (remaining, createdAt, fields = {}) => TokenLot.create({
+    user: userId,
+    source: 'bonus',
+    amount: remaining,
+    remaining,
+    createdAt,
+    ...fields
+  });
+
+  const remaining = async () => (await TokenLot.find({ user: userId }).sort({ createdAt: 1 })).map(lot => lot.remaining);
+
+  before(() => {
+    db = useMemoryCollections(TokenLot);
+  });
+
+  after(() => db.restore());
+
+  beforeEach(() => {
+    db.reset();
+    userId = new mongoose.Types.ObjectId();
+  });
+
+  describe('consumeLots', () => {
+    it('takes from the oldest lot first', async () => {
+      const newer = await openLot(10, new Date('2026-03-01'));
+      const older = await openLot(5, new Date('2026-01-01'));
+
+      const allocations = await consumeLots(userId, 8);
+
+      assert.deepEqual(allocations.map(({ lot, amount }) => [String(lot), amount]), [
+        [String(older._id), 5],
+        [String(newer._id), 3]
+      ]);
+      assert.deepEqual(await remaining(), [0, 7]);
+    });
+
+    it('takes only what the lots hold', async () => {
+      await openLot(4, new Date('2026-01-01'));
+
+      const allocations = await consumeLots(userId, 10);
+
+      assert.deepEqual(allocations.map(allocation => allocation.amount), [4]);
+      assert.deepEqual(await remaining(), [0]);
+    });
+
+    it('never takes the same tokens twice when debits race', async () => {
+      await openLot(6, new Date('2026-01-01'));
+
+      const [first, second] = await Promise.all([consumeLots(userId, 5), consumeLots(userId, 5)]);
+      const taken = [...first, ...second].reduce((sum, allocation) => sum + allocation.amount, 0);
+
+      assert.equal(taken, 6);
+      assert.deepEqual(await remaining(), [0]);
+    });
+  });
+
+  describe('restoreLots', () => {
+    it('gives tokens back to the lots taken from last first', async () => {
+      await openLot(5, new Date('2026-01-01'));
+      await openLot(10, new Date('2026-03-01'));
+      const allocations = await consumeLots(userId, 8);
+
+      await restoreLots(allocations, 4);
+
+      assert.deepEqual(await remaining(), [1, 10]);
+    });
+  });
+
+  describe('expired lots', () => {
+    it('moves what is left into expiring, once', async () => {
+      const lot = await openLot(7, new Date('2026-01-01'), { expiresAt: new Date('2026-02-01') });
+
+      const closed = await closeExpiredLot(lot._id);
+
+      assert.equal(closed.remaining, 0);
+      assert.equal(closed.expiring, 7);
+      assert.ok(closed.expiringAt instanceof Date);
+      assert.equal(await closeExpiredLot(lot._id), null);
+    });
+
+    it('marks the lot expired once its ledger entry is written', async () => {
+      const lot = await openLot(7, new Date('2026-01-01'), { expiresAt: new Date('2026-02-01') });
+      await closeExpiredLot(lot._id);
+
+      await finishExpiredLot(lot._id);
+
+      const finished = await TokenLot.findById(lot._id);
+      assert.equal(finished.expiring, 0);
+      assert.ok(finished.expiredAt instanceof Date);
+      assert.equal((await finishExpiredLot(lot._id)).modifiedCount, 0);
+    });
+
+    it('does not close a lot that has nothing left', async () => {
+      const lot = await openLot(3, new Date('2026-01-01'), { expiresAt: new Date('2026-02-01') });
+      await consumeLots(userId, 3);
+
+      assert.equal(await closeExpiredLot(lot._id), null);
+    });
+  });
+});
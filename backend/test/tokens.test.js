@@ -0,0 +1,190 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Mail goes nowhere: the SMTP check fails at once instead of reaching out
+process.env.SMTP_HOST = '127.0.0.1';
+
+// Services announce themselves on stdout, which the test runner reads its results from
+mock.method(console, 'log', () => {});
+
+// Nothing here talks to MongoDB; a model without an in-memory collection fails instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const User = require('../models/User');
+const Token = require('../models/Token');
+const TokenLot = require('../models/TokenLot');
+const PromoCode = require('../models/PromoCode');
+const TokenClaim = require('../models/TokenClaim');
+const emailService = require('../services/emailService');
+const { useMemoryCollections } = require('./support/memoryCollections');
+
+describe('token routes', () => {
+  let server;
+  let baseUrl;
+  let db;
+  let member;
+  let admin;
+
+  const createUser = async (role) => {
+    const _id = new mongoose.Types.ObjectId();
+    await User.collection.insertOne({ _id, name: role, username: `${role}-${_id}`, email: `${_id}@example.com`, password: 'x', role, tokens: 0 });
+    return { id: _id, token: jwt.sign({ userId: _id }, process.env.JWT_SECRET) };
+  };
+
+  const balanceOf = async (userId) => (await User.findById(userId).select('tokens').lean()).tokens;
+  const setBalance = (userId, tokens) => User.updateOne({ _id: userId }, { $set: { tokens } });
+
+  const request = (method, path, token, body) => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+    body: body && JSON.stringify(body)
+  });
+
+  before(async () => {
+    db = useMemoryCollections(User, Token, TokenLot, PromoCode, TokenClaim);
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/tokens', require('../routes/tokens'));
+    app.use('/api/admin', require('../routes/admin'));
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    // The email service logs once it has started; keep that quiet too
+    await emailService.ready;
+    db.restore();
+    mock.restoreAll();
+  });
+
+  beforeEach(async () => {
+    db.reset();
+    await PromoCode.create({ code: 'WELCOME', tokens: 20 });
+    member = await createUser('user');
+    admin = await createUser('admin');
+  });
+
+  describe('removed self-service endpoints', () => {
+    for (const path of ['/api/tokens/add', '/api/tokens/spend']) {
+      it(`POST ${path} is gone`, async () => {
+        const response = await request('POST', path, member.token, { amount: 1000 });
+        assert.equal(response.status, 404);
+        assert.equal(await balanceOf(member.id), 0);
+      });
+    }
+  });
+
+  describe('POST /api/admin/users/:userId/tokens', () => {
+    it('rejects users who are not admins', async () => {
+      const response = await request('POST', `/api/admin/users/${member.id}/tokens`, member.token, {
+        amount: 1000,
+        description: 'Free tokens'
+      });
+      assert.equal(response.status, 403);
+      assert.equal(await balanceOf(member.id), 0);
+    });
+
+    for (const type of ['purchase', 'refund']) {
+      it(`rejects the ${type} type`, async () => {
+        const response = await request('POST', `/api/admin/users/${member.id}/tokens`, admin.token, {
+          amount: 100,
+          description: 'Manual entry',
+          type
+        });
+        assert.equal(response.status, 400);
+        assert.equal(await balanceOf(member.id), 0);
+      });
+    }
+
+    it('rejects an invalid user id', async () => {
+      const response = await request('POST', '/api/admin/users/nope/tokens', admin.token, {
+        amount: 100,
+        description: 'Goodwill'
+      });
+      assert.equal(response.status, 400);
+    });
+
+    for (const amount of [0, 2.5, '100', Infinity]) {
+      it(`rejects an amount of ${amount}`, async () => {
+        const response = await request('POST', `/api/admin/users/${member.id}/tokens`, admin.token, {
+          amount,
+          description: 'Goodwill'
+        });
+        assert.equal(response.status, 400);
+        assert.equal(await balanceOf(member.id), 0);
+      });
+    }
+
+    it('rejects a negative bonus', async () => {
+      await setBalance(member.id, 50);
+      const response = await request('POST', `/api/admin/users/${member.id}/tokens`, admin.token, {
+        amount: -10,
+        description: 'Goodwill',
+        type: 'bonus'
+      });
+      assert.equal(response.status, 400);
+      assert.equal(await balanceOf(member.id), 50);
+    });
+
+    it('lets admins take tokens away with an adjustment', async () => {
+      await setBalance(member.id, 50);
+      const response = await request('POST', `/api/admin/users/${member.id}/tokens`, admin.token, {
+        amount: -10,
+        description: 'Duplicate grant'
+      });
+      assert.equal(response.status, 200);
+      assert.equal(await balanceOf(member.id), 40);
+    });
+
+    it('lets admins grant a bonus', async () => {
+      const response = await request('POST', `/api/admin/users/${member.id}/tokens`, admin.token, {
+        amount: 100,
+        description: 'Goodwill',
+        type: 'bonus'
+      });
+      assert.equal(response.status, 200);
+      assert.equal((await response.json()).newBalance, 100);
+    });
+  });
+
+  describe('POST /api/tokens/redeem', () => {
+    it('redeems a code once per user', async () => {
+      const first = await request('POST', '/api/tokens/redeem', member.token, { code: 'welcome' });
+      assert.equal(first.status, 200);
+      assert.equal(await balanceOf(member.id), 20);
+
+      const second = await request('POST', '/api/tokens/redeem', member.token, { code: 'WELCOME' });
+      assert.equal(second.status, 409);
+      assert.equal(await balanceOf(member.id), 20);
+      assert.equal((await PromoCode.findOne({ code: 'WELCOME' })).redemptionCount, 1);
+    });
+  });
+
+  describe('POST /api/tokens/rewards/:name/claim', () => {
+    it('pays the daily reward once a day', async () => {
+      const first = await request('POST', '/api/tokens/rewards/daily_login/claim', member.token);
+      assert.equal(first.status, 200);
+      assert.equal(await balanceOf(member.id), 1);
+
+      const second = await request('POST', '/api/tokens/rewards/daily_login/claim', member.token);
+      assert.equal(second.status, 409);
+      assert.equal(await balanceOf(member.id), 1);
+    });
+  });
+
+  describe('GET /api/tokens/admin/claims', () => {
+    it('rejects an invalid user id', async () => {
+      const response = await request('GET', '/api/tokens/admin/claims?userId=nope', admin.token);
+      assert.equal(response.status, 400);
+    });
+  });
+});